@@ -85,11 +85,32 @@ function localDatetimeToISOWithOffset(localDatetime) {
   return isoWithLocalOffsetFromDate(new Date(localDatetime));
 }
 
-/* Narrative wrapper (XHTML) with lang & xml:lang (validator requirement) */
-function buildNarrative(title, innerHtml) {
+/* Escape user-entered text for XHTML narratives ("<", "&" and quotes would break the div or inject markup) */
+function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+/* Free text → escaped <p> paragraphs (blank line) with <br/> for single line breaks */
+function textToXhtml(text) {
+  return String(text ?? "")
+    .replace(/\r\n?/g, "\n")
+    .split(/\n\s*\n/)
+    .map(p => p.trim())
+    .filter(Boolean)
+    .map(p => `<p>${p.split("\n").map(escapeHtml).join("<br/>")}</p>`)
+    .join("");
+}
+
+/* Narrative wrapper (XHTML) with lang & xml:lang (validator requirement); lines are plain text, escaped here */
+function buildNarrative(title, lines) {
   return {
     status: "generated",
-    div: `<div xmlns="http://www.w3.org/1999/xhtml" lang="en-IN" xml:lang="en-IN"><h3>${title}</h3>${innerHtml}</div>`,
+    div: `<div xmlns="http://www.w3.org/1999/xhtml" lang="en-IN" xml:lang="en-IN"><h3>${escapeHtml(title)}</h3>${lines.map(textToXhtml).join("")}</div>`,
   };
 }
 
@@ -284,7 +305,7 @@ export default function App() {
         id: patientId,
         language: "en-IN",
         meta: { profile: ["http://hl7.org/fhir/StructureDefinition/Patient"] },
-        text: buildNarrative("Patient", `<p>${p.name || ""}</p><p>${p.gender || ""} ${p.dob || ""}</p>`),
+        text: buildNarrative("Patient", [p.name, `${p.gender || ""} ${p.dob || ""}`]),
         identifier: identifiers,
         name: p.name ? [{ text: p.name }] : undefined,
         gender: p.gender ? String(p.gender).toLowerCase() : undefined,
@@ -302,7 +323,7 @@ export default function App() {
         id: practitionerId,
         language: "en-IN",
         meta: { profile: ["http://hl7.org/fhir/StructureDefinition/Practitioner"] },
-        text: buildNarrative("Practitioner", `<p>${p.name}</p><p>${p.qualification}</p>`),
+        text: buildNarrative("Practitioner", [p.name, p.qualification]),
         identifier: p.registration?.system && p.registration?.value ? [{ system: p.registration.system, value: p.registration.value }] : undefined,
         name: [{ text: p.name }],
         telecom: [
@@ -320,7 +341,7 @@ export default function App() {
         id: orgId,
         language: "en-IN",
         meta: { profile: ["http://hl7.org/fhir/StructureDefinition/Organization"] },
-        text: buildNarrative("Organization", `<p>${orgName}</p>`),
+        text: buildNarrative("Organization", [orgName]),
         name: orgName,
       };
     }
@@ -334,7 +355,7 @@ export default function App() {
         id: encounterId,
         language: "en-IN",
         meta: { profile: ["http://hl7.org/fhir/StructureDefinition/Encounter"] },
-        text: buildNarrative("Encounter", `<p>${encounterRefText}</p>`),
+        text: buildNarrative("Encounter", [encounterRefText]),
         status: "finished",
         class: { system: "http://terminology.hl7.org/CodeSystem/v3-ActCode", code: "AMB", display: "ambulatory" },
         subject: { reference: `urn:uuid:${patientId}` },
@@ -376,7 +397,7 @@ export default function App() {
           id: docId,
           language: "en-IN",
           meta: { profile: ["http://hl7.org/fhir/StructureDefinition/DocumentReference"] },
-          text: buildNarrative("DocumentReference", `<p>${title}</p>`),
+          text: buildNarrative("DocumentReference", [title]),
           status: "current",
           type: {
             coding: [{ system: "http://loinc.org", code: "34108-1", display: "Outpatient Note" }],
@@ -420,7 +441,7 @@ export default function App() {
         id: compId,
         language: "en-IN",
         meta: { profile: ["http://hl7.org/fhir/StructureDefinition/Composition"] },
-        text: buildNarrative("Composition", `<p>${title}</p><p>Author: ${PRACTITIONERS[selectedPractitionerIdx]?.name || ""}</p>`),
+        text: buildNarrative("Composition", [title, `Author: ${PRACTITIONERS[selectedPractitionerIdx]?.name || ""}`]),
         status: status,
         type: { coding: [COMPOSITION_DOC_TYPE], text: "Record artifact" }, // fixed per mapping
         subject: { reference: `urn:uuid:${patientId}` },
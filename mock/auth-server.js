@@ -0,0 +1,157 @@
+// mock/auth-server.js
+/*
+  Local mock of the login + discharge API for exercising src/auth.js (no dependencies)
+    npm run mock:auth            → http://localhost:4010 (MOCK_AUTH_PORT to change)
+  Start the app against it:
+    REACT_APP_ENV=local REACT_APP_API_BASE_URL=http://localhost:4010 \
+    REACT_APP_AUTH_AUTHORIZE_URL=http://localhost:4010/authorize REACT_APP_AUTH_TOKEN_URL=http://localhost:4010/token \
+    REACT_APP_AUTH_CLIENT_ID=discharge-builder npm start
+  Endpoints
+    GET  /authorize              login page (authorization code + PKCE S256)
+    POST /token                  grant_type=authorization_code | refresh_token (refresh tokens rotate)
+    GET  /api/v5/patients        public/patients.json, bearer token required
+    POST /api/v5/fhir-bundle     stores the bundle by Bundle.identifier (a repeat → 200 with the same id, with or
+                                 without If-None-Exist; CORS allows the header)
+  MOCK_ACCESS_TTL / MOCK_REFRESH_TTL (seconds, default 60 / 600) make expiry easy to try;
+  restarting the server forgets every token, which forces the app back to the login page.
+*/
+const http = require("http");
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+const PORT = Number(process.env.MOCK_AUTH_PORT || 4010);
+const ACCESS_TTL = Number(process.env.MOCK_ACCESS_TTL || 60);
+const REFRESH_TTL = Number(process.env.MOCK_REFRESH_TTL || 600);
+const CLIENT_ID = process.env.MOCK_CLIENT_ID || "discharge-builder";
+const PATIENTS = path.join(__dirname, "..", "public", "patients.json");
+
+const codes = new Map(); // code → { redirectUri, challenge, expires }
+const accessTokens = new Map(); // token → expires
+const refreshTokens = new Map(); // token → expires
+const bundles = new Map(); // Bundle.identifier value → id
+
+const token = () => crypto.randomBytes(24).toString("hex");
+const s256 = verifier => crypto.createHash("sha256").update(verifier).digest("base64url");
+const escape = s => String(s).replace(/[&<>"]/g, c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" }[c]));
+
+function send(req, res, status, body, headers = {}) {
+  res.writeHead(status, {
+    "Access-Control-Allow-Origin": req.headers.origin || "*",
+    "Access-Control-Allow-Headers": "Authorization, Content-Type, If-None-Exist",
+    "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+    "Access-Control-Expose-Headers": "Location",
+    ...(typeof body === "string" ? { "Content-Type": "text/html; charset=utf-8" } : { "Content-Type": "application/json" }),
+    ...headers,
+  });
+  res.end(typeof body === "string" ? body : JSON.stringify(body));
+}
+
+function outcome(code, diagnostics) {
+  return { resourceType: "OperationOutcome", issue: [{ severity: "error", code, diagnostics }] };
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let data = "";
+    req.on("data", chunk => (data += chunk));
+    req.on("end", () => resolve(data));
+    req.on("error", reject);
+  });
+}
+
+function authorized(req) {
+  const m = /^Bearer (.+)$/.exec(req.headers.authorization || "");
+  const expires = m && accessTokens.get(m[1]);
+  return !!expires && expires > Date.now();
+}
+
+function issueTokens() {
+  const access = token();
+  const refresh = token();
+  accessTokens.set(access, Date.now() + ACCESS_TTL * 1000);
+  refreshTokens.set(refresh, Date.now() + REFRESH_TTL * 1000);
+  return { access_token: access, token_type: "Bearer", expires_in: ACCESS_TTL, refresh_token: refresh };
+}
+
+function loginPage(query) {
+  const hidden = [...query].map(([k, v]) => `<input type="hidden" name="${escape(k)}" value="${escape(v)}">`).join("");
+  return `<!doctype html><title>Mock login</title>
+<body style="font-family:sans-serif;max-width:360px;margin:4em auto">
+<h3>Mock hospital login</h3>
+<form method="post" action="/authorize">${hidden}<button>Sign in as Dr. Demo</button></form>
+</body>`;
+}
+
+async function handleToken(req, res) {
+  const form = new URLSearchParams(await readBody(req));
+  if (form.get("client_id") !== CLIENT_ID) return send(req, res, 401, { error: "invalid_client" });
+  if (form.get("grant_type") === "authorization_code") {
+    const entry = codes.get(form.get("code"));
+    codes.delete(form.get("code"));
+    if (!entry || entry.expires < Date.now() || entry.redirectUri !== form.get("redirect_uri")) {
+      return send(req, res, 400, { error: "invalid_grant", error_description: "Unknown or expired code" });
+    }
+    if (s256(form.get("code_verifier") || "") !== entry.challenge) {
+      return send(req, res, 400, { error: "invalid_grant", error_description: "PKCE verification failed" });
+    }
+    return send(req, res, 200, issueTokens());
+  }
+  if (form.get("grant_type") === "refresh_token") {
+    const expires = refreshTokens.get(form.get("refresh_token"));
+    refreshTokens.delete(form.get("refresh_token"));
+    if (!expires || expires < Date.now()) return send(req, res, 400, { error: "invalid_grant", error_description: "Refresh token expired" });
+    return send(req, res, 200, issueTokens());
+  }
+  return send(req, res, 400, { error: "unsupported_grant_type" });
+}
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, `http://localhost:${PORT}`);
+  try {
+    if (req.method === "OPTIONS") return send(req, res, 204, "");
+
+    if (url.pathname === "/authorize" && req.method === "GET") {
+      const q = url.searchParams;
+      if (q.get("client_id") !== CLIENT_ID || q.get("code_challenge_method") !== "S256" || !q.get("code_challenge")) {
+        return send(req, res, 400, "<p>Invalid authorization request</p>");
+      }
+      return send(req, res, 200, loginPage(q));
+    }
+    if (url.pathname === "/authorize" && req.method === "POST") {
+      const q = new URLSearchParams(await readBody(req));
+      const code = token();
+      codes.set(code, { redirectUri: q.get("redirect_uri"), challenge: q.get("code_challenge"), expires: Date.now() + 60000 });
+      const back = new URL(q.get("redirect_uri"));
+      back.searchParams.set("code", code);
+      back.searchParams.set("state", q.get("state") || "");
+      return send(req, res, 302, "", { Location: back.toString() });
+    }
+    if (url.pathname === "/token" && req.method === "POST") return await handleToken(req, res);
+
+    if (url.pathname.startsWith("/api/")) {
+      if (!authorized(req)) {
+        return send(req, res, 401, outcome("login", "Missing or expired access token"), { "WWW-Authenticate": 'Bearer error="invalid_token"' });
+      }
+      if (url.pathname === "/api/v5/patients" && req.method === "GET") {
+        return send(req, res, 200, JSON.parse(fs.readFileSync(PATIENTS, "utf8")));
+      }
+      if (url.pathname === "/api/v5/fhir-bundle" && req.method === "POST") {
+        const { bundle } = JSON.parse((await readBody(req)) || "{}");
+        const key = bundle?.identifier?.value;
+        if (bundle?.resourceType !== "Bundle" || !key) {
+          return send(req, res, 422, outcome("required", "Bundle with an identifier is required"));
+        }
+        if (bundles.has(key)) return send(req, res, 200, { id: bundles.get(key), message: "Already received" });
+        const id = crypto.randomUUID();
+        bundles.set(key, id);
+        return send(req, res, 201, { id, message: "Stored" }, { Location: `/api/v5/fhir-bundle/${id}` });
+      }
+    }
+    return send(req, res, 404, outcome("not-found", `${req.method} ${url.pathname}`));
+  } catch (err) {
+    return send(req, res, 500, outcome("exception", err.message));
+  }
+});
+
+server.listen(PORT, () => console.log(`Mock auth + API server on http://localhost:${PORT} (client_id ${CLIENT_ID})`));
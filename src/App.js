@@ -1,82 +1,90 @@
 // src/App.js
-import React, { useEffect, useMemo, useState, useRef } from "react";
+import React, { useCallback, useEffect, useMemo, useState, useRef } from "react";
 import axios from "axios";
 import "bootstrap/dist/css/bootstrap.min.css";
+import { buildDischargeSummaryBundle, validateBundle, checkReferences, uuidv4 } from "./fhir";
+import { getCustodianConfig, validateCustodian, getFormularySystem, getApiConfig, validateApiConfig } from "./config";
+import { createAuth } from "./auth";
+import EncounterCard, { EMPTY_ENCOUNTER } from "./components/EncounterCard";
+import VitalsCard, { EMPTY_VITALS } from "./components/VitalsCard";
+import DiagnosesCard from "./components/DiagnosesCard";
+import AllergiesCard from "./components/AllergiesCard";
+import FamilyHistoryCard from "./components/FamilyHistoryCard";
+import ProceduresCard from "./components/ProceduresCard";
+import InvestigationsCard from "./components/InvestigationsCard";
+import MedicationsCard, { EMPTY_MEDICATION } from "./components/MedicationsCard";
+import ValidationPanel from "./components/ValidationPanel";
+import ReferencesPanel from "./components/ReferencesPanel";
+import BundlePreview from "./components/BundlePreview";
+import PrintView from "./components/PrintView";
+import DraftsPanel from "./components/DraftsPanel";
+import PatientSearch from "./components/PatientSearch";
+import OutboxPanel from "./components/OutboxPanel";
+import SubmissionResults from "./components/SubmissionResults";
+import { normalizeFormulary } from "./formulary";
+import { normalizeAbhaAddresses } from "./patients";
+import { DRAFT_AUTOSAVE_MS, draftKey, loadDraft, saveDraft, deleteDraft, deleteSubmittedDraft, listDrafts } from "./drafts";
+import {
+  OUTBOX_POLL_MS, loadOutbox, saveOutbox, createOutboxItem, recordAttempt, upsertOutboxItem, removeOutboxItem, retryNow,
+  flushOutbox, idempotencyHeaders, isDuplicate,
+} from "./outbox";
+import { submissionRecord } from "./submissions";
 
 /*
   Discharge Summary — Bootstrap UI version
-  - Patient list fetched from /patients.json (public)
+  - Patient search (name / mobile / ABHA number / ABHA address) is debounced, server-side and paginated
+    (src/patients.js), falling back to filtering public/patients.json when the API is unavailable
   - ABHA addresses normalized + dropdown
   - Practitioner read from global window.GlobalPractioner (FHIR Practitioner)
-  - Builds a FHIR Bundle (document) with:
-    Composition + Patient + Practitioner + Encounter + MedicationRequests + DocumentReference + Binary
-  - Bundle.identifier uses urn:ietf:rfc:3986 + urn:uuid:<uuid>
-  - XHTML narratives include lang & xml:lang
-  - File upload accepts .pdf, .jpg, .jpeg (base64), placeholder used when none uploaded
-  - Posts { bundle, patient: <originalPatientId> } via axios
-  - Logs original patient id and any submission errors to console
+  - Custodian facility read from window.GlobalOrganization (or REACT_APP_ORG_* env); HFR ID required to submit
+  - Builds a FHIR Bundle (document) via src/fhir (buildDischargeSummaryBundle) with:
+    Composition + Patient + Practitioner + Encounter + Conditions + MedicationRequests + DocumentReference + Binary
+  - Encounter captures the inpatient stay: class, admission/discharge times, admit source,
+    discharge disposition, ward/bed and hospital episode identifier
+  - Vital signs are LOINC vital-sign Observations under the Physical exam section (BMI auto-calculated)
+  - Diagnoses are coded (ICD-10 / SNOMED) Condition resources linked from Encounter.diagnosis
+  - Allergies are AllergyIntolerance entries; the free-text allergy note is kept on the section
+  - Family history rows (relative + condition + onset age) are FamilyMemberHistory entries
+  - Procedures are Procedure entries (performer defaults to the practitioner); free text kept as note
+  - Investigations are DiagnosticReports grouping lab Observations (UCUM values, reference ranges);
+    an optional report PDF is attached as Binary + DocumentReference
+  - Medications carry a drug code, strength and structured dosage (dose, route, timing, duration,
+    PRN, additional instruction, dispense qty); the instruction text is generated unless overridden
+  - Medications are reconciled against the home list: continued / dose-changed / stopped drugs also get a
+    MedicationStatement (stopped ones are not prescribed) and the section narrative groups them in a table
+  - Drug catalogue fetched from /formulary.json (public); type-ahead fills the coded drug + default dosage
+  - The bundle is validated offline (FHIR R4 cardinalities + NRCES DischargeSummaryRecord rules, urn:uuid
+    references, code systems, date formats) before submit; errors block submission
+  - "Generate only" builds + validates without submitting; the bundle preview shows highlighted JSON and a
+    per-resource tree with copy-to-clipboard and .json download
+  - Reference integrity panel lists every urn:uuid link, unresolved / duplicate targets and orphan entries
+  - Bundle.identifier uses urn:ietf:rfc:3986 + urn:uuid:<uuid>; it is minted on the first build, saved with the draft
+    and reused by every rebuild / resubmission until the server confirms the summary, so a retry is never a new document
+  - XHTML narratives (escaped, with lang & xml:lang) on the Composition, every section and the resources;
+    textarea text keeps its paragraphs / line breaks and every div is whitelisted to the FHIR XHTML subset
+  - File upload accepts .pdf, .jpg, .jpeg (base64); when none is uploaded a discharge summary PDF is rendered
+    in the browser from the form data (src/fhir/summaryPdf.js) and used as the Binary
+  - "Print preview" swaps the form for an A4 patient handout (letterhead, demographics, encounter dates, every
+    section with content incl. the medication table and care plan, signature blocks) printed via print CSS
+  - Form state is auto-saved per patient to localStorage (src/drafts.js) a few seconds after each edit and
+    restored when the patient is selected again; the Drafts panel resumes / discards drafts and switching
+    patient with unsaved edits asks first. Attached files are not kept; a successful submit (direct, or later from
+    the Outbox) clears the draft
+  - API endpoints come from src/config.js environment profiles (local / UAT / production; REACT_APP_* at build
+    time, window.GlobalApiConfig at runtime); the active environment is shown next to the page title. An unknown
+    environment or a production profile without a base URL blocks submission (and Outbox retries) with an error
+  - Every API call goes through src/auth.js: OAuth2 / OIDC login (authorization code + PKCE) with the token
+    attached by an axios interceptor / fetch wrapper, refreshed on 401 and a redirect to login when the
+    session has expired (or the host's static window.GlobalAuthToken)
+  - Posts { bundle, patient: <originalPatientId> } via axios, conditional on Bundle.identifier (If-None-Exist) where
+    the environment enables conditionalCreate
+  - Offline / failed submissions go to a localStorage outbox (src/outbox.js) and are retried with exponential
+    backoff (immediately when the browser comes back online); the Outbox panel shows each one's status
+  - Submission outcomes (incl. OperationOutcome issues mapped back to form fields and the ids the server
+    returned) are shown in the Submission results panel with a per-session log of the submissions the user
+    started (submit, Outbox "Retry now"); background retries only show in the Outbox panel
 */
 
-/* --------------------------------- HELPERS --------------------------------- */
-function uuidv4() {
-  return "xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx".replace(/[xy]/g, (c) => {
-    const r = (Math.random() * 16) | 0;
-    const v = c === "x" ? r : (r & 0x3) | 0x8;
-    return v.toString(16);
-  });
-}
-
-function isUuid(s) {
-  return typeof s === "string" && /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/.test(s);
-}
-
-// If a global id isn't a UUID, generate a UUID for bundle-local references
-function safeUuid(maybeId) {
-  const s = (maybeId || "").toLowerCase();
-  return isUuid(s) ? s : uuidv4();
-}
-
-function toFHIRDateFromDDMMYYYY(ddmmyyyy) {
-  if (!ddmmyyyy) return undefined;
-  const parts = String(ddmmyyyy).split("-");
-  if (parts.length !== 3) return undefined;
-  const [dd, mm, yyyy] = parts;
-  if (yyyy && yyyy.length === 4) return `${yyyy}-${mm.padStart(2, "0")}-${dd.padStart(2, "0")}`;
-  return undefined;
-}
-
-function nowISOWithOffset() {
-  const d = new Date();
-  const tzo = -d.getTimezoneOffset();
-  const sign = tzo >= 0 ? "+" : "-";
-  const pad = (n) => String(Math.floor(Math.abs(n))).padStart(2, "0");
-  return (
-    d.getFullYear() +
-    "-" +
-    pad(d.getMonth() + 1) +
-    "-" +
-    pad(d.getDate()) +
-    "T" +
-    pad(d.getHours()) +
-    ":" +
-    pad(d.getMinutes()) +
-    ":" +
-    pad(d.getSeconds()) +
-    sign +
-    pad(tzo / 60) +
-    ":" +
-    pad(tzo % 60)
-  );
-}
-
-/* Narrative wrapper with lang & xml:lang */
-function buildNarrative(title, html) {
-  return {
-    status: "generated",
-    div: `<div xmlns="http://www.w3.org/1999/xhtml" lang="en-IN" xml:lang="en-IN"><h3>${title}</h3>${html}</div>`,
-  };
-}
-
 /* convert file to base64 (no data:... prefix) */
 function fileToBase64NoPrefix(file) {
   return new Promise((resolve, reject) => {
@@ -91,87 +99,33 @@ function fileToBase64NoPrefix(file) {
   });
 }
 
-/* Small PDF placeholder */
-const PLACEHOLDER_PDF_B64 = "JVBERi0xLjQKJeLjz9MK";
-
-/* Fixed SNOMED codes/displays (must match exactly) */
-const SNOMED = {
-  DOC_TYPE: { system: "http://snomed.info/sct", code: "373942005", display: "Discharge summary" },
-
-  SECTION_CHIEF: { system: "http://snomed.info/sct", code: "422843007", display: "Chief complaint section" },
-  SECTION_PHYS: { system: "http://snomed.info/sct", code: "425044008", display: "Physical exam section" },
-  SECTION_ALLERGY: { system: "http://snomed.info/sct", code: "722446000", display: "Allergy record" },
-  SECTION_MEDHIST: { system: "http://snomed.info/sct", code: "1003642006", display: "Past medical history section" },
-  SECTION_FAMHIST: { system: "http://snomed.info/sct", code: "422432008", display: "Family history section" },
-  SECTION_INVEST: { system: "http://snomed.info/sct", code: "721981007", display: "Diagnostic studies report" },
-  SECTION_MEDS: { system: "http://snomed.info/sct", code: "1003606003", display: "Medication history section" },
-  SECTION_PROC: { system: "http://snomed.info/sct", code: "1003640003", display: "History of past procedure section" },
-  SECTION_CAREPLAN: { system: "http://snomed.info/sct", code: "734163000", display: "Care plan" },
-  SECTION_DOCREF: { system: "http://snomed.info/sct", code: "373942005", display: "Discharge summary" },
+/* Initial form state; drafts hold exactly these keys (same order, so saved and live JSON compare equal) */
+const EMPTY_FORM = {
+  docStatus: "final",
+  docTitle: "Discharge Summary",
+  encounter: { ...EMPTY_ENCOUNTER },
+  chiefComplaints: "",
+  physicalExam: "",
+  allergiesText: "",
+  medicalHistoryText: "",
+  familyHistoryText: "",
+  investigationsText: "",
+  carePlanText: "",
+  proceduresText: "",
+  vitals: { ...EMPTY_VITALS },
+  diagnoses: [],
+  allergies: [],
+  familyHistory: [],
+  procedures: [],
+  investigations: [],
+  medications: [{ ...EMPTY_MEDICATION, display: "Paracetamol", strength: "500 mg" }],
+  bundleIdentifier: "",
 };
 
-/* Normalize ABHA addresses: handles strings or objects with 'address' & 'isPrimary' */
-function normalizeAbhaAddresses(patientObj) {
-  const raw =
-    patientObj?.additional_attributes?.abha_addresses && Array.isArray(patientObj.additional_attributes.abha_addresses)
-      ? patientObj.additional_attributes.abha_addresses
-      : Array.isArray(patientObj?.abha_addresses)
-        ? patientObj.abha_addresses
-        : [];
-
-  const out = raw
-    .map((item) => {
-      if (!item) return null;
-      if (typeof item === "string") return { value: item, label: item, primary: false };
-      if (typeof item === "object") {
-        if (item.address) return { value: String(item.address), label: item.isPrimary ? `${item.address} (primary)` : String(item.address), primary: !!item.isPrimary };
-        try {
-          const v = JSON.stringify(item);
-          return { value: v, label: v, primary: !!item.isPrimary };
-        } catch {
-          return null;
-        }
-      }
-      return null;
-    })
-    .filter(Boolean);
-
-  out.sort((a, b) => (b.primary - a.primary) || a.value.localeCompare(b.value));
-  return out;
-}
-
-function buildCustodianOrg(orgId) {
-  return {
-    resourceType: "Organization",
-    id: orgId,
-    language: "en-IN",
-    meta: { profile: ["https://nrces.in/ndhm/fhir/r4/StructureDefinition/Organization"] },
-    // text: buildNarrative("Organization", "<p>Custodian HIP</p>"),
-    name: "Your Hospital Name", // replace with your org name
-    identifier: [{
-      system: "https://facility.ndhm.gov.in",
-      value: "HIP123456", // replace with your HIP code
-      type: {
-        coding: [{
-          system: "http://terminology.hl7.org/CodeSystem/v2-0203",
-          code: "XX",
-          display: "Organization identifier"
-        }],
-        text: "HIP code"
-      }
-    }]
-  };
-}
-
-
-
-
 /* ------------------------------- APP COMPONENT ------------------------------ */
 export default function App() {
-  /* Patients (from public/patients.json) */
-  const [patients, setPatients] = useState([]);
-  const [selectedPatientIdx, setSelectedPatientIdx] = useState(-1);
-  const selectedPatient = useMemo(() => (selectedPatientIdx >= 0 ? patients[selectedPatientIdx] : null), [patients, selectedPatientIdx]);
+  /* Selected patient (picked in PatientSearch) */
+  const [selectedPatient, setSelectedPatient] = useState(null);
 
   const [abhaOptions, setAbhaOptions] = useState([]);
   const [selectedAbha, setSelectedAbha] = useState("");
@@ -181,7 +135,6 @@ export default function App() {
     (typeof window !== "undefined" &&
       (window.GlobalPractioner || window.GlobalPractionerFHIR)) ||
     null;
-  const practitionerId = safeUuid(gp?.id); // bundle-local id must be a UUID for urn:uuid
   const practitionerName =
     (Array.isArray(gp?.name) && gp?.name[0]?.text) ||
     (typeof gp?.name === "string" ? gp?.name : "") ||
@@ -192,74 +145,216 @@ export default function App() {
     "LIC-TEMP-0001";
 
 
+  /* Custodian facility from window.GlobalOrganization / REACT_APP_ORG_* (read once) */
+  const custodian = useMemo(() => getCustodianConfig(), []);
+  const custodianErrors = useMemo(() => validateCustodian(custodian), [custodian]);
+
+  /* API environment (base URL, endpoints, auth) — read once */
+  const api = useMemo(() => getApiConfig(), []);
+  const apiErrors = useMemo(() => validateApiConfig(api), [api]);
+  const auth = useMemo(() => createAuth(api.auth), [api]);
+  const http = useMemo(() => auth.attach(axios.create()), [auth]);
+  const [authError, setAuthError] = useState("");
+  // If-None-Exist only where the server allows it cross-origin (see conditionalCreate in src/config.js)
+  const postBundle = useCallback(
+    (payload, headers) => http.post(api.bundleUrl, payload, { headers: api.conditionalCreate ? headers : {} }),
+    [http, api]
+  );
+
   /* Composition meta */
-  const [docStatus, setDocStatus] = useState("final");
-  const [docTitle, setDocTitle] = useState("Discharge Summary");
+  const [docStatus, setDocStatus] = useState(EMPTY_FORM.docStatus);
+  const [docTitle, setDocTitle] = useState(EMPTY_FORM.docTitle);
+
+  /* Encounter (admission / discharge) */
+  const [encounter, setEncounter] = useState(EMPTY_FORM.encounter);
 
   /* Sections */
-  const [chiefComplaints, setChiefComplaints] = useState("");
-  const [physicalExam, setPhysicalExam] = useState("");
-  const [allergiesText, setAllergiesText] = useState("");
-  const [medicalHistoryText, setMedicalHistoryText] = useState("");
-  const [familyHistoryText, setFamilyHistoryText] = useState("");
-  const [investigationsText, setInvestigationsText] = useState("");
-  const [carePlanText, setCarePlanText] = useState("");
-  const [proceduresText, setProceduresText] = useState("");
+  const [chiefComplaints, setChiefComplaints] = useState(EMPTY_FORM.chiefComplaints);
+  const [physicalExam, setPhysicalExam] = useState(EMPTY_FORM.physicalExam);
+  const [allergiesText, setAllergiesText] = useState(EMPTY_FORM.allergiesText);
+  const [medicalHistoryText, setMedicalHistoryText] = useState(EMPTY_FORM.medicalHistoryText);
+  const [familyHistoryText, setFamilyHistoryText] = useState(EMPTY_FORM.familyHistoryText);
+  const [investigationsText, setInvestigationsText] = useState(EMPTY_FORM.investigationsText);
+  const [carePlanText, setCarePlanText] = useState(EMPTY_FORM.carePlanText);
+  const [proceduresText, setProceduresText] = useState(EMPTY_FORM.proceduresText);
+
+  /* Vital signs (Observation) */
+  const [vitals, setVitals] = useState(EMPTY_FORM.vitals);
+
+  /* Diagnoses (Condition) */
+  const [diagnoses, setDiagnoses] = useState(EMPTY_FORM.diagnoses);
+
+  /* Allergies (AllergyIntolerance) */
+  const [allergies, setAllergies] = useState(EMPTY_FORM.allergies);
+
+  /* Family history (FamilyMemberHistory) */
+  const [familyHistory, setFamilyHistory] = useState(EMPTY_FORM.familyHistory);
+
+  /* Procedures (Procedure) */
+  const [procedures, setProcedures] = useState(EMPTY_FORM.procedures);
+
+  /* Investigations (DiagnosticReport + Observation) */
+  const [investigations, setInvestigations] = useState(EMPTY_FORM.investigations);
 
   /* Medications */
-  const [medications, setMedications] = useState([{ medicationText: "Paracetamol 500mg", dosageText: "One tablet twice a day after meal" }]);
+  const [medications, setMedications] = useState(EMPTY_FORM.medications);
+  const [formulary, setFormulary] = useState({ system: "", drugs: [] });
+
+  /* Bundle.identifier of this summary ("" until first built; cleared once the server has it) */
+  const [bundleIdentifier, setBundleIdentifier] = useState(EMPTY_FORM.bundleIdentifier);
 
   /* File upload */
   const fileInputRef = useRef(null);
-  const orgId = uuidv4()
   const [uploadFile, setUploadFile] = useState(null);
   const [uploadPreviewName, setUploadPreviewName] = useState("");
 
-  /* Output JSON */
-  // const [jsonOut, setJsonOut] = useState("");
+  /* Offline validation result of the last built bundle */
+  const [validation, setValidation] = useState(null);
+  const [referenceReport, setReferenceReport] = useState(null);
+
+  /* Last generated bundle (preview / copy / download) */
+  const [jsonOut, setJsonOut] = useState(null);
+  const [printMode, setPrintMode] = useState(false);
+
+  /* Drafts: the live form as saved (attached files are dropped) and the last saved / restored copy */
+  const patientKey = draftKey(selectedPatient);
+  const form = useMemo(() => ({
+    docStatus, docTitle, encounter,
+    chiefComplaints, physicalExam, allergiesText, medicalHistoryText, familyHistoryText, investigationsText, carePlanText, proceduresText,
+    vitals, diagnoses, allergies, familyHistory, procedures,
+    investigations: investigations.map(({ file, ...r }) => r),
+    medications,
+    bundleIdentifier,
+  }), [
+    docStatus, docTitle, encounter,
+    chiefComplaints, physicalExam, allergiesText, medicalHistoryText, familyHistoryText, investigationsText, carePlanText, proceduresText,
+    vitals, diagnoses, allergies, familyHistory, procedures, investigations, medications, bundleIdentifier,
+  ]);
+  const formJson = useMemo(() => JSON.stringify(form), [form]);
+  const [savedJson, setSavedJson] = useState(() => JSON.stringify(EMPTY_FORM));
+  const [draftSavedAt, setDraftSavedAt] = useState(null);
+  const [drafts, setDrafts] = useState(() => listDrafts());
+  const [formEpoch, setFormEpoch] = useState(0); // bumped to reload the form after discarding the open draft
+  const unsaved = !!patientKey && formJson !== savedJson;
+
+  /* Outbox of undelivered submissions */
+  const [outbox, setOutbox] = useState(() => loadOutbox());
+  const [online, setOnline] = useState(() => typeof navigator === "undefined" || navigator.onLine !== false);
+
+  /* Submission results of this session (newest first) */
+  const [submissions, setSubmissions] = useState([]);
+  const resultsRef = useRef(null);
+  // Only submissions the user started (submit / "Retry now") are logged and scrolled to
+  const logSubmission = useCallback(record => {
+    setSubmissions(log => [record, ...log]);
+    setTimeout(() => resultsRef.current?.scrollIntoView({ behavior: "smooth", block: "nearest" }), 0);
+  }, []);
+  // Background retries only update the Outbox panel
+  const onOutboxChange = useCallback((items, attempt) => {
+    setOutbox(items);
+    // A queued summary the server has confirmed is no longer a draft
+    if (attempt?.item.status === "sent" && deleteSubmittedDraft(attempt.item.patientKey, attempt.item.id)) setDrafts(listDrafts());
+  }, []);
 
-  /* Fetch patients on mount */
-  /* Fetch patients on mount: API first, fallback to local patients.json */
+  /* Sign in (or finish the login redirect) before the first API call */
+  useEffect(() => {
+    auth.init().catch(err => {
+      if (err.sessionExpired) return; // on the way to the login page
+      console.error("Sign-in failed:", err);
+      setAuthError(err.message);
+    });
+  }, [auth]);
+
+  /* Fetch the local drug catalogue on mount (medication search is free text without it) */
   useEffect(() => {
     (async () => {
       try {
-        // 🔹 Try live API first
-        const apiRes = await fetch(window.GlobalPatientAPI || "/api/v5/patients", {
-          headers: {
-            "Content-Type": "application/json",
-            ...(window.GlobalAuthToken ? { "Authorization": `Bearer ${window.GlobalAuthToken}` } : {})
-          }
-        });
-        if (!apiRes.ok) throw new Error("API fetch failed");
-        const apiData = await apiRes.json();
-        if (!Array.isArray(apiData) || apiData.length === 0) throw new Error("API returned empty");
-
-        setPatients(apiData);
-        setSelectedPatientIdx(0);
-        const first = apiData[0];
-        const abhas = normalizeAbhaAddresses(first);
-        setAbhaOptions(abhas);
-        setSelectedAbha(abhas.length ? abhas[0].value : "");
-      } catch (apiErr) {
-        console.warn("⚠️ API fetch failed, falling back to local patients.json", apiErr);
-        try {
-          const localRes = await fetch("/patients.json");
-          const localData = await localRes.json();
-          const arr = Array.isArray(localData) ? localData : [];
-          setPatients(arr);
-          if (arr.length > 0) {
-            setSelectedPatientIdx(0);
-            const abhas = normalizeAbhaAddresses(arr[0]);
-            setAbhaOptions(abhas);
-            setSelectedAbha(abhas.length ? abhas[0].value : "");
-          }
-        } catch (localErr) {
-          console.error("Failed to fetch local patients.json:", localErr);
-        }
+        const res = await fetch("/formulary.json");
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        setFormulary(normalizeFormulary(await res.json()));
+      } catch (err) {
+        console.warn("⚠️ Failed to fetch local formulary.json", err);
       }
     })();
   }, []);
 
+  /* Selecting a patient restores their draft (or a blank form) and drops the previous patient's outputs */
+  useEffect(() => {
+    if (!patientKey) return;
+    const draft = loadDraft(patientKey);
+    const next = { ...EMPTY_FORM, ...draft?.form };
+    setDocStatus(next.docStatus);
+    setDocTitle(next.docTitle);
+    setEncounter(next.encounter);
+    setChiefComplaints(next.chiefComplaints);
+    setPhysicalExam(next.physicalExam);
+    setAllergiesText(next.allergiesText);
+    setMedicalHistoryText(next.medicalHistoryText);
+    setFamilyHistoryText(next.familyHistoryText);
+    setInvestigationsText(next.investigationsText);
+    setCarePlanText(next.carePlanText);
+    setProceduresText(next.proceduresText);
+    setVitals(next.vitals);
+    setDiagnoses(next.diagnoses);
+    setAllergies(next.allergies);
+    setFamilyHistory(next.familyHistory);
+    setProcedures(next.procedures);
+    setInvestigations(next.investigations);
+    setMedications(next.medications);
+    setBundleIdentifier(next.bundleIdentifier);
+    setSavedJson(JSON.stringify(next));
+    setDraftSavedAt(draft?.savedAt || null);
+    setUploadFile(null);
+    setUploadPreviewName("");
+    if (fileInputRef.current) fileInputRef.current.value = "";
+    setJsonOut(null);
+    setValidation(null);
+    setReferenceReport(null);
+  }, [patientKey, formEpoch]);
+
+  /* Auto-save a few seconds after the last edit */
+  useEffect(() => {
+    if (!unsaved) return undefined;
+    const timer = setTimeout(() => {
+      const draft = saveDraft(patientKey, selectedPatient?.name, form, selectedPatient);
+      if (!draft) return;
+      setSavedJson(formJson);
+      setDraftSavedAt(draft.savedAt);
+      setDrafts(listDrafts());
+    }, DRAFT_AUTOSAVE_MS);
+    return () => clearTimeout(timer);
+  }, [unsaved, patientKey, selectedPatient, form, formJson]);
+
+  /* Retry due outbox items on a timer, and everything pending as soon as the browser is back online */
+  useEffect(() => {
+    const flush = () => {
+      if (!apiErrors.length && navigator.onLine !== false) flushOutbox(postBundle, onOutboxChange);
+    };
+    const onOnline = () => {
+      setOnline(true);
+      setOutbox(retryNow(loadOutbox()));
+      flush();
+    };
+    const onOffline = () => setOnline(false);
+    flush();
+    const timer = setInterval(flush, OUTBOX_POLL_MS);
+    window.addEventListener("online", onOnline);
+    window.addEventListener("offline", onOffline);
+    return () => {
+      clearInterval(timer);
+      window.removeEventListener("online", onOnline);
+      window.removeEventListener("offline", onOffline);
+    };
+  }, [postBundle, onOutboxChange, apiErrors]);
+
+  /* The open summary was delivered from the Outbox: keep the form, but the next build is a new document */
+  useEffect(() => {
+    if (!bundleIdentifier || !outbox.some(i => i.id === bundleIdentifier && i.status === "sent")) return;
+    setBundleIdentifier("");
+    setSavedJson(JSON.stringify({ ...form, bundleIdentifier: "" }));
+    setDraftSavedAt(null);
+  }, [outbox, bundleIdentifier, form]);
+
   /* When selected patient changes update ABHA options and selectedABHA */
   useEffect(() => {
     if (!selectedPatient) {
@@ -272,17 +367,6 @@ export default function App() {
     setSelectedAbha(abhas.length ? abhas[0].value : "");
   }, [selectedPatient]);
 
-  /* ------------------------- Medication helpers -------------------------- */
-  function addMedication() {
-    setMedications(prev => [...prev, { medicationText: "", dosageText: "One tablet twice a day after meal" }]);
-  }
-  function updateMedication(i, key, v) {
-    setMedications(prev => prev.map((m, idx) => (idx === i ? { ...m, [key]: v } : m)));
-  }
-  function removeMedication(i) {
-    setMedications(prev => prev.filter((_, idx) => idx !== i));
-  }
-
   /* --------------------------- File upload handler ------------------------ */
   async function onFileChange(e) {
     const f = e.target.files?.[0];
@@ -296,309 +380,214 @@ export default function App() {
     setUploadPreviewName(f.name);
   }
 
-  /* ----------------------------- Resource builders ------------------------ */
-  function buildPatientResource(patId) {
-    if (!selectedPatient) return null;
-    const identifiers = [];
-    if (selectedPatient.abha_ref) identifiers.push({
-      system: "https://healthid.ndhm.gov.in",
-      value: selectedPatient.abha_ref,
-      type: {
-        coding: [{
-          system: "http://terminology.hl7.org/CodeSystem/v2-0203",
-          code: "SB",
-          display: "Social Beneficiary Identifier"
-        }],
-        text: "ABHA Number"
+  /* ---------------------- Build + Submit FHIR Bundle ----------------------- */
+  /* Build + validate the bundle and show it in the preview; null when the form is not ready */
+  async function generateBundle() {
+    if (!selectedPatient) {
+      alert("Please select a patient");
+      return null;
+    }
+    if (custodianErrors.length) {
+      alert(custodianErrors.join("\n"));
+      return null;
+    }
+
+    const attachment = uploadFile
+      ? { contentType: uploadFile.type, data: await fileToBase64NoPrefix(uploadFile) }
+      : null;
+    const investigationsInput = await Promise.all(investigations.map(async ({ file, ...r }) => (
+      file ? { ...r, attachment: { contentType: file.type, data: await fileToBase64NoPrefix(file) } } : r
+    )));
+
+    // Reuse the summary's identifier; a new one is saved with the draft straight away so a reload keeps it
+    const identifier = bundleIdentifier || `urn:uuid:${uuidv4()}`;
+    if (identifier !== bundleIdentifier) {
+      const next = { ...form, bundleIdentifier: identifier };
+      setBundleIdentifier(identifier);
+      const draft = saveDraft(patientKey, selectedPatient.name, next, selectedPatient);
+      if (draft) {
+        setSavedJson(JSON.stringify(next));
+        setDraftSavedAt(draft.savedAt);
+        setDrafts(listDrafts());
       }
-    });
+    }
 
-    const telecom = [];
-    if (selectedPatient.mobile) telecom.push({ system: "phone", value: selectedPatient.mobile });
-    if (selectedPatient.email) telecom.push({ system: "email", value: selectedPatient.email });
-    if (selectedAbha) telecom.push({ system: "url", value: `abha://${selectedAbha}` });
-
-    return {
-      resourceType: "Patient",
-      id: patId,
-      language: "en-IN",
-      // text: buildNarrative("Patient", `<p>${selectedPatient.name}</p><p>${selectedPatient.gender || ""} ${selectedPatient.dob || ""}</p>`),
-      // identifier: identifiers,
-      identifier: [
-        ...identifiers,
-        ...(selectedAbha ? [{
-          system: "https://healthid.abdm.gov.in/address",
-          value: selectedAbha,
-          type: {
-            coding: [{
-              system: "http://terminology.hl7.org/CodeSystem/v2-0203",
-              code: "AN",
-              display: "Account number"
-            }],
-            text: "ABHA Address"
-          }
-
-        }] : [])
-      ],
-      name: [{ text: selectedPatient.name }],
-      gender: (selectedPatient.gender || "").toLowerCase(),
-      birthDate: toFHIRDateFromDDMMYYYY(selectedPatient.dob) || undefined,
-      telecom,
-      address: selectedPatient.address ? [{ text: selectedPatient.address }] : undefined,
-      meta: { profile: ["https://nrces.in/ndhm/fhir/r4/StructureDefinition/Patient"] },
-    };
-  }
+    const bundle = buildDischargeSummaryBundle({
+      identifier,
+      patient: selectedPatient,
+      abhaAddress: selectedAbha,
+      practitioner: { id: gp?.id, name: practitionerName, license: practitionerLicense },
+      custodian,
+      composition: { status: docStatus, title: docTitle },
+      encounter,
+      sections: {
+        chiefComplaints,
+        physicalExam,
+        allergies: allergiesText,
+        medicalHistory: medicalHistoryText,
+        familyHistory: familyHistoryText,
+        investigations: investigationsText,
+        procedures: proceduresText,
+        carePlan: carePlanText,
+      },
+      vitals,
+      diagnoses,
+      allergies,
+      familyHistory,
+      procedures,
+      investigations: investigationsInput,
+      medications,
+      formularySystem: getFormularySystem(),
+      attachment,
+    });
 
-  function buildPractitionerResource(pracId) {
-    return {
-      resourceType: "Practitioner",
-      id: pracId,
-      language: "en-IN",
-      // text: buildNarrative("Practitioner", `<p>${practitionerName}</p>`),
-      // identifier: practitionerLicense ? [{ system: "https://doctor.ndhm.gov.in", value: practitionerLicense }] : undefined,
-      // name: [{ text: practitionerName }],
-      // meta: { profile: ["https://nrces.in/ndhm/fhir/r4/StructureDefinition/Practitioner"] },
-      identifier: [{
-        type: {
-          coding: [{
-            system: "http://terminology.hl7.org/CodeSystem/v2-0203",
-            code: "MD",
-            display: "Medical License number"
-          }]
-        },
-        system: "https://doctor.ndhm.gov.in",
-        value: practitionerLicense
-      }],
-      name: [{ text: practitionerName }],
-      meta: { profile: ["https://nrces.in/ndhm/fhir/r4/StructureDefinition/Practitioner"] },
+    setJsonOut(bundle);
 
-    };
+    const result = validateBundle(bundle);
+    setValidation(result);
+    setReferenceReport(checkReferences(bundle));
+    return { bundle, validation: result };
   }
 
-  function buildEncounterResource(encId, patId) {
-    const start = nowISOWithOffset();
-    const end = nowISOWithOffset();
-    return {
-      resourceType: "Encounter",
-      id: encId,
-      language: "en-IN",
-      // text: buildNarrative("Encounter", "<p>Encounter for discharge</p>"),
-      status: "finished",
-      class: {
-        system: "http://terminology.hl7.org/CodeSystem/v3-ActCode",
-        code: "AMB",
-        display: "ambulatory",
-      },
-      subject: { reference: `urn:uuid:${patId}`, type: "Patient" },
-      period: { start, end },
-      meta: { profile: ["https://nrces.in/ndhm/fhir/r4/StructureDefinition/Encounter"] },
-    };
+  /* ------------------------------ Drafts ---------------------------------- */
+  function selectPatient(patient) {
+    if (draftKey(patient) === patientKey) return;
+    if (unsaved && !window.confirm(`Unsaved edits for ${selectedPatient?.name || "this patient"} will be discarded. Switch patient?`)) return;
+    setSelectedPatient(patient);
   }
 
-  function buildMedicationRequests(medReqIds, patId, pracId, authoredOn) {
-    return medications.map((m, idx) => ({
-      resourceType: "MedicationRequest",
-      id: medReqIds[idx],
-      language: "en-IN",
-      // text: buildNarrative("MedicationRequest", `<p>${m.medicationText || ""}</p>`),
-      status: "active",
-      intent: "order",
-      medicationCodeableConcept: m.medicationText?.trim() ? { text: m.medicationText.trim() } : { text: "Medication" },
-      subject: { reference: `urn:uuid:${patId}`, type: "Patient" },
-      authoredOn,
-      requester: { reference: `urn:uuid:${pracId}`, display: practitionerName },
-      dosageInstruction: [{ text: m.dosageText || "One tablet twice a day after meal" }],
-      meta: { profile: ["https://nrces.in/ndhm/fhir/r4/StructureDefinition/MedicationRequest"] },
-    }));
+  function resumeDraft(key) {
+    const draft = drafts.find(d => d.patientKey === key);
+    if (draft?.patient) selectPatient(draft.patient);
   }
 
-  function buildCarePlanResource(carePlanId, patId, pracId) {
-    if (!carePlanText?.trim()) return null;
-    return {
-      resourceType: "CarePlan",
-      id: carePlanId,
-      language: "en-IN",
-      // text: buildNarrative("CarePlan", `<p>${carePlanText}</p>`),
-      status: "active",
-      intent: "plan",
-      subject: { reference: `urn:uuid:${patId}`, type: "Patient" },
-      author: [{ reference: `urn:uuid:${pracId}` }],
-      activity: [{ detail: { kind: "ServiceRequest", description: carePlanText } }],
-      meta: { profile: ["https://nrces.in/ndhm/fhir/r4/StructureDefinition/CarePlan"] },
-    };
+  function discardDraft(key) {
+    const draft = drafts.find(d => d.patientKey === key);
+    if (!window.confirm(`Discard the draft for ${draft?.patientName || key}?`)) return;
+    deleteDraft(key);
+    setDrafts(listDrafts());
+    if (key === patientKey) setFormEpoch(n => n + 1);
   }
 
-  async function buildBinaryAndDocRef(binaryId, docRefId, patId) {
-    let contentType = "application/pdf";
-    let dataB64 = PLACEHOLDER_PDF_B64;
-    if (uploadFile) {
-      const ct = uploadFile.type;
-      if (ct === "application/pdf" || ct === "image/jpeg" || ct === "image/jpg") contentType = ct;
-      dataB64 = await fileToBase64NoPrefix(uploadFile);
+  async function onPrintPreview() {
+    if (await generateBundle()) {
+      setPrintMode(true);
+      window.scrollTo(0, 0);
     }
+  }
 
-    const binary = {
-      resourceType: "Binary",
-      id: binaryId,
-      language: "en-IN",
-      meta: { profile: ["https://nrces.in/ndhm/fhir/r4/StructureDefinition/Binary"] },
-      contentType,
-      data: dataB64,
-    };
-
-    const docRef = {
-      resourceType: "DocumentReference",
-      id: docRefId,
-      language: "en-IN",
-      // text: buildNarrative("DocumentReference", `<p>Discharge document</p>`),
-      status: "current",
-      type: { coding: [SNOMED.DOC_TYPE], text: "Discharge summary" },
-      subject: { reference: `urn:uuid:${patId}`, type: "Patient" },
-      date: nowISOWithOffset(),
-      content: [{
-        attachment: {
-          contentType, url: `urn:uuid:${binaryId}`,
-          data: dataB64 // 🔹 must be present
-        }
-      }],
-      meta: { profile: ["https://nrces.in/ndhm/fhir/r4/StructureDefinition/DocumentReference"] },
-    };
+  async function onBuildJSON() {
+    const generated = await generateBundle();
+    if (!generated) return;
+    const { bundle, validation: result } = generated;
 
-    return { binary, docRef };
-  }
+    const originalPatientId = Number(selectedPatient?.user_id || "");
 
-  function buildComposition(compId, patId, encId, pracId, authoredOn, medReqs, carePlan, docRef, orgId) {
-    function makeSection(title, coding, textValue, entryRefs) {
-      const sec = {
-        title,
-        code: { coding: [coding], text: coding.display },
-      };
-      if (entryRefs && entryRefs.length) sec.entry = entryRefs.map(ref => ({ reference: `urn:uuid:${ref.id}`, type: ref.type }));
-      if (!sec.entry) {
-        sec.text = {
-          status: "generated",
-          div: `<div xmlns="http://www.w3.org/1999/xhtml" lang="en-IN" xml:lang="en-IN"><p>${textValue || "No data"}</p></div>`,
-        };
-      }
-      return sec;
+    // Validate offline before anything leaves the browser
+    if (result.errors.length) {
+      alert(`The bundle has ${result.errors.length} validation error(s). See the Validation panel.`);
+      return;
     }
 
-    const sections = [
-      makeSection("Chief Complaints", SNOMED.SECTION_CHIEF, chiefComplaints, null),
-      makeSection("Physical Examination", SNOMED.SECTION_PHYS, physicalExam, null),
-      makeSection("Allergies", SNOMED.SECTION_ALLERGY, allergiesText, null),
-      makeSection("Medical History", SNOMED.SECTION_MEDHIST, medicalHistoryText, null),
-      makeSection("Family History", SNOMED.SECTION_FAMHIST, familyHistoryText, null),
-      makeSection("Investigations", SNOMED.SECTION_INVEST, investigationsText, null),
-      makeSection("Medications", SNOMED.SECTION_MEDS, medications.length ? "" : "No medications", medReqs.map(m => ({ id: m.id, type: "MedicationRequest" }))),
-      makeSection("Procedures", SNOMED.SECTION_PROC, proceduresText, null),
-      makeSection("Care Plan", SNOMED.SECTION_CAREPLAN, carePlanText, carePlan ? [{ id: carePlan.id, type: "CarePlan" }] : null),
-      makeSection("Documents", SNOMED.SECTION_DOCREF, "Discharge documents attached", docRef ? [{ id: docRef.id, type: "DocumentReference" }] : null),
-    ];
-
-    return {
-      resourceType: "Composition",
-      id: compId,
-      language: "en-IN",
-      // text: buildNarrative("Composition", `<p>${docTitle}</p>`),
-      status: docStatus,
-      type: { coding: [SNOMED.DOC_TYPE], text: "Discharge summary" },
-      custodian: { reference: `urn:uuid:${orgId}` },
-      subject: { reference: `urn:uuid:${patId}`, type: "Patient" },
-      encounter: { reference: `urn:uuid:${encId}`, type: "Encounter" },
-      date: authoredOn,
-      author: [{ reference: `urn:uuid:${pracId}`, display: practitionerName }],
-      title: docTitle,
-      custodian: { reference: `urn:uuid:${orgId}` },
-      section: sections,
-      meta: { profile: ["https://nrces.in/ndhm/fhir/r4/StructureDefinition/DischargeSummaryRecord"] },
-    };
-  }
-
-  /* ---------------------- Build + Submit FHIR Bundle ----------------------- */
-  async function onBuildJSON() {
-    if (!selectedPatient) {
-      alert("Please select a patient");
+    if (apiErrors.length) {
+      alert(apiErrors.join("\n"));
       return;
     }
 
-    const authoredOn = nowISOWithOffset();
-    const originalPatientId = Number(selectedPatient?.user_id || "");
-    console.log("Submitting for patient:", originalPatientId);
-
-    // Generate UUIDs for all bundle-local resources
-    const bundleId = `DischargeSummaryBundle-${uuidv4()}`;
-    const compId = uuidv4();
-    const patId = uuidv4();
-    const encId = uuidv4();
-    // Use the UUID-safe practitioner id derived from global (practitionerId)
-    const pracId = practitionerId || uuidv4();
-    const medReqIds = medications.map(() => uuidv4());
-    const carePlanId = carePlanText?.trim() ? uuidv4() : null;
-    const binaryId = uuidv4();
-    const docRefId = uuidv4();
-
-    // Build resources
-    const patientRes = buildPatientResource(patId);
-    const practitionerRes = buildPractitionerResource(pracId);
-    const encounterRes = buildEncounterResource(encId, patId);
-    const medReqs = buildMedicationRequests(medReqIds, patId, pracId, authoredOn);
-    const carePlanRes = carePlanId ? buildCarePlanResource(carePlanId, patId, pracId) : null;
-    // const { binary, docRef } = await buildBinaryAndDocRef(binaryId, docRefId, patId);
-    // const composition = buildComposition(compId, patId, encId, pracId, authoredOn, medReqs, carePlanRes, docRef);
-    const custodianId = uuidv4();
-    const custodianRes = buildCustodianOrg(orgId);
-    const { binary, docRef } = await buildBinaryAndDocRef(binaryId, docRefId, patId);
-    const composition = buildComposition(compId, patId, encId, pracId, authoredOn, medReqs, carePlanRes, docRef, orgId);
-
-
-
-    // Assemble document Bundle (ensure Composition is first)
-    const bundle = {
-      resourceType: "Bundle",
-      id: bundleId,
-      meta: { lastUpdated: authoredOn },
-      identifier: { system: "urn:ietf:rfc:3986", value: `urn:uuid:${uuidv4()}` },
-      type: "document",
-      timestamp: authoredOn,
-      entry: [
-        { fullUrl: `urn:uuid:${compId}`, resource: composition },
-        { fullUrl: `urn:uuid:${patId}`, resource: patientRes },
-        { fullUrl: `urn:uuid:${pracId}`, resource: practitionerRes },
-        { fullUrl: `urn:uuid:${encId}`, resource: encounterRes },
-        ...medReqs.map((r, i) => ({ fullUrl: `urn:uuid:${medReqIds[i]}`, resource: r })),
-        ...(carePlanRes ? [{ fullUrl: `urn:uuid:${carePlanId}`, resource: carePlanRes }] : []),
-        { fullUrl: `urn:uuid:${docRefId}`, resource: docRef },
-        { fullUrl: `urn:uuid:${binaryId}`, resource: binary },
-        { fullUrl: `urn:uuid:${orgId}`, resource: custodianRes },
-      ],
+    const payload = { bundle, patient: originalPatientId };
+    const item = createOutboxItem(payload, { patientKey, patientName: selectedPatient?.name });
+    const submitted = () => {
+      deleteDraft(patientKey);
+      setDrafts(listDrafts());
+      setBundleIdentifier("");
+      setSavedJson(JSON.stringify({ ...form, bundleIdentifier: "" }));
+      setDraftSavedAt(null);
+    };
+    // Keep the bundle for later; false when local storage could not hold it
+    const queue = queued => {
+      const next = upsertOutboxItem(loadOutbox(), queued);
+      setOutbox(next);
+      return next.some(i => i.id === queued.id);
     };
 
-    // Output valid JSON for validator
-    const json = JSON.stringify(bundle, null, 2);
-    // setJsonOut(json);
-    console.log("Generated Discharge Summary Bundle:", bundle);
+    if (navigator.onLine === false) {
+      logSubmission(submissionRecord({ item, queued: true, stored: queue(item) }));
+      return;
+    }
 
-    // Submit bundle with original patient id; log error details in console
+    // Submit bundle with original patient id
     try {
-      const resp = await axios.post("https://uat.discharge.org.in/api/v5/fhir-bundle", {
-        bundle,
-        patient: originalPatientId,
-      });
-      console.log("FHIR Bundle Submitted:", resp.data);
-      alert("Submitted successfully");
+      const response = await postBundle(payload, idempotencyHeaders(bundle));
+      submitted();
+      logSubmission(submissionRecord({ item, response }));
     } catch (error) {
-      console.error("Error submitting FHIR Bundle:", error?.response?.data || error.message);
-      // also echo patient id to tie the error to the patient
-      console.error("Failed submission for patient:", originalPatientId);
-      alert("Failed to submit FHIR Bundle. See console.");
+      if (isDuplicate(error, bundle)) {
+        submitted();
+        logSubmission(submissionRecord({ item, error }));
+        return;
+      }
+      logSubmission(submissionRecord({ item, error, stored: queue(recordAttempt(item, error)) }));
     }
   }
 
+  /* ------------------------------ Outbox ---------------------------------- */
+  function retryOutboxItem(id) {
+    setOutbox(retryNow(loadOutbox(), i => i.id === id));
+    if (apiErrors.length) return;
+    flushOutbox(postBundle, (items, attempt) => {
+      onOutboxChange(items, attempt);
+      if (attempt.item.id === id) logSubmission(submissionRecord({ ...attempt, via: "outbox" }));
+    });
+  }
+
+  function removeFromOutbox(id) {
+    const item = outbox.find(i => i.id === id);
+    if (item?.status !== "sent" && !window.confirm(`Remove the unsent discharge summary for ${item?.patientName || "this patient"}? It will not be submitted.`)) return;
+    setOutbox(removeOutboxItem(loadOutbox(), id));
+  }
+
+  function clearSentOutbox() {
+    const next = loadOutbox().filter(i => i.status !== "sent");
+    saveOutbox(next);
+    setOutbox(next);
+  }
+
   /* ------------------------------- RENDER UI -------------------------------- */
+  if (printMode && jsonOut) {
+    return (
+      <div className="container py-4">
+        <PrintView bundle={jsonOut} onClose={() => setPrintMode(false)} />
+      </div>
+    );
+  }
+
   return (
     <div className="container py-4">
-      <h2 className="mb-3">Discharge Summary — Builder</h2>
+      <h2 className="mb-3">
+        Discharge Summary — Builder{" "}
+        <span className={`badge fs-6 align-middle ${api.badge}`} title={api.bundleUrl}>{api.label}</span>
+        {auth.type === "oauth" && (
+          <button className="btn btn-sm btn-outline-secondary float-end" onClick={() => auth.logout()}>Sign out</button>
+        )}
+      </h2>
+      {apiErrors.length > 0 && (
+        <div className="alert alert-danger">
+          Submission is disabled until the API configuration is fixed:
+          {apiErrors.map(e => <div key={e}>{e}</div>)}
+        </div>
+      )}
+      {authError && <div className="alert alert-danger">Sign-in failed: {authError}</div>}
+
+      <DraftsPanel
+        drafts={drafts}
+        currentKey={patientKey}
+        status={unsaved ? "Unsaved changes…" : draftSavedAt ? `Draft saved ${new Date(draftSavedAt).toLocaleTimeString()}` : ""}
+        canResume={key => !!drafts.find(d => d.patientKey === key)?.patient}
+        onResume={resumeDraft}
+        onDiscard={discardDraft}
+      />
+
+      <OutboxPanel items={outbox} online={online} onRetry={retryOutboxItem} onRemove={removeFromOutbox} onClearSent={clearSentOutbox} />
 
       {/* Patient card */}
       <div className="card mb-3">
@@ -606,14 +595,8 @@ export default function App() {
         <div className="card-body">
           <div className="row g-3 mb-2">
             <div className="col-md-8">
-              <label className="form-label">Select Patient</label>
-              <select className="form-select" value={selectedPatientIdx} onChange={e => setSelectedPatientIdx(Number(e.target.value))}>
-                {patients.map((p, i) => (
-                  <option key={p.user_id || i} value={i}>
-                    {p.name} {p.abha_ref ? `(${p.abha_ref})` : ""}
-                  </option>
-                ))}
-              </select>
+              <label className="form-label">Find Patient</label>
+              <PatientSearch url={api.patientsUrl} fetch={auth.fetch} selected={selectedPatient} onSelect={selectPatient} />
             </div>
             <div className="col-md-4">
               <label className="form-label">ABHA Address</label>
@@ -670,9 +653,35 @@ export default function App() {
         </div>
       </div>
 
+      {/* Custodian facility (from config) */}
+      <div className="card mb-3">
+        <div className="card-header">3. Facility (Custodian) <span className="text-danger">*</span></div>
+        <div className="card-body">
+          <div className="row g-3">
+            <div className="col-md-6">
+              <label className="form-label">Facility</label>
+              <input className="form-control" readOnly value={custodian.name || ""} />
+            </div>
+            <div className="col-md-3">
+              <label className="form-label">HFR ID</label>
+              <input className={`form-control ${custodian.hfrId ? "" : "is-invalid"}`} readOnly value={custodian.hfrId || ""} />
+            </div>
+            <div className="col-md-3">
+              <label className="form-label">HIP ID</label>
+              <input className="form-control" readOnly value={custodian.hipId || custodian.hfrId || ""} />
+            </div>
+          </div>
+          {custodianErrors.length > 0 && (
+            <div className="alert alert-danger mt-3 mb-0">
+              {custodianErrors.map(e => <div key={e}>{e}</div>)}
+            </div>
+          )}
+        </div>
+      </div>
+
       {/* Composition meta */}
       <div className="card mb-3">
-        <div className="card-header">3. Composition Metadata</div>
+        <div className="card-header">4. Composition Metadata</div>
         <div className="card-body">
           <div className="row g-3">
             <div className="col-md-4">
@@ -692,38 +701,21 @@ export default function App() {
         </div>
       </div>
 
+      {/* Encounter */}
+      <EncounterCard title="5. Encounter (Admission / Discharge)" encounter={encounter} setEncounter={setEncounter} />
+
       {/* Sections */}
       <div className="card mb-3">
-        <div className="card-header">4. Sections</div>
+        <div className="card-header">6. Sections</div>
         <div className="card-body">
           <div className="mb-3">
             <label className="form-label">Chief Complaints</label>
             <textarea className="form-control" rows={2} value={chiefComplaints} onChange={e => setChiefComplaints(e.target.value)} />
           </div>
-          <div className="mb-3">
-            <label className="form-label">Physical Examination</label>
-            <textarea className="form-control" rows={2} value={physicalExam} onChange={e => setPhysicalExam(e.target.value)} />
-          </div>
-          <div className="mb-3">
-            <label className="form-label">Allergies</label>
-            <textarea className="form-control" rows={2} value={allergiesText} onChange={e => setAllergiesText(e.target.value)} />
-          </div>
           <div className="mb-3">
             <label className="form-label">Medical History</label>
             <textarea className="form-control" rows={2} value={medicalHistoryText} onChange={e => setMedicalHistoryText(e.target.value)} />
           </div>
-          <div className="mb-3">
-            <label className="form-label">Family History</label>
-            <textarea className="form-control" rows={2} value={familyHistoryText} onChange={e => setFamilyHistoryText(e.target.value)} />
-          </div>
-          <div className="mb-3">
-            <label className="form-label">Investigations</label>
-            <textarea className="form-control" rows={2} value={investigationsText} onChange={e => setInvestigationsText(e.target.value)} />
-          </div>
-          <div className="mb-3">
-            <label className="form-label">Procedures</label>
-            <textarea className="form-control" rows={2} value={proceduresText} onChange={e => setProceduresText(e.target.value)} />
-          </div>
           <div className="mb-3">
             <label className="form-label">Care Plan</label>
             <textarea className="form-control" rows={2} value={carePlanText} onChange={e => setCarePlanText(e.target.value)} />
@@ -731,44 +723,50 @@ export default function App() {
         </div>
       </div>
 
+      {/* Vital signs + physical exam */}
+      <VitalsCard title="7. Vital Signs & Physical Examination" vitals={vitals} setVitals={setVitals} notes={physicalExam} setNotes={setPhysicalExam} />
+
+      {/* Diagnoses */}
+      <DiagnosesCard title="8. Diagnoses (Condition)" diagnoses={diagnoses} setDiagnoses={setDiagnoses} />
+
+      {/* Allergies */}
+      <AllergiesCard title="9. Allergies (AllergyIntolerance)" allergies={allergies} setAllergies={setAllergies} notes={allergiesText} setNotes={setAllergiesText} />
+
+      {/* Family history */}
+      <FamilyHistoryCard title="10. Family History (FamilyMemberHistory)" familyHistory={familyHistory} setFamilyHistory={setFamilyHistory} notes={familyHistoryText} setNotes={setFamilyHistoryText} />
+
+      {/* Procedures */}
+      <ProceduresCard title="11. Procedures (Procedure)" procedures={procedures} setProcedures={setProcedures} notes={proceduresText} setNotes={setProceduresText} practitionerName={practitionerName} />
+
+      {/* Investigations */}
+      <InvestigationsCard title="12. Investigations (DiagnosticReport / Observation)" investigations={investigations} setInvestigations={setInvestigations} notes={investigationsText} setNotes={setInvestigationsText} />
+
       {/* Medications */}
-      <div className="card mb-3">
-        <div className="card-header">5. Medications (MedicationRequest)</div>
-        <div className="card-body">
-          {medications.map((m, i) => (
-            <div className="border rounded p-2 mb-2" key={i}>
-              <div className="row g-2">
-                <div className="col-md-6">
-                  <label className="form-label">Medication</label>
-                  <input className="form-control" value={m.medicationText} onChange={e => updateMedication(i, "medicationText", e.target.value)} placeholder="e.g., Paracetamol 500mg" />
-                </div>
-                <div className="col-md-5">
-                  <label className="form-label">Dosage text</label>
-                  <input className="form-control" value={m.dosageText} onChange={e => updateMedication(i, "dosageText", e.target.value)} />
-                </div>
-                <div className="col-md-1 d-flex align-items-end">
-                  <button className="btn btn-danger w-100" onClick={() => removeMedication(i)} disabled={medications.length === 1}>X</button>
-                </div>
-              </div>
-            </div>
-          ))}
-          <button className="btn btn-sm btn-outline-secondary" onClick={addMedication}>+ Add medication</button>
-        </div>
-      </div>
+      <MedicationsCard title="13. Medications (MedicationRequest)" medications={medications} setMedications={setMedications} formulary={formulary} />
 
       {/* Document upload */}
       <div className="card mb-3">
-        <div className="card-header">6. Attach Discharge Document (PDF / JPG / JPEG)</div>
+        <div className="card-header">14. Attach Discharge Document (PDF / JPG / JPEG)</div>
         <div className="card-body">
           <div className="mb-2">
             <input ref={fileInputRef} type="file" accept=".pdf,.jpg,.jpeg" onChange={onFileChange} />
           </div>
-          {uploadPreviewName ? <div className="text-muted">Selected: {uploadPreviewName}</div> : <div className="text-muted">No file selected — a small PDF placeholder will be embedded.</div>}
+          {uploadPreviewName ? <div className="text-muted">Selected: {uploadPreviewName}</div> : <div className="text-muted">No file selected — a discharge summary PDF will be generated from the form.</div>}
         </div>
       </div>
 
+      {/* Validation */}
+      <ValidationPanel result={validation} bundle={jsonOut} />
+      <ReferencesPanel report={referenceReport} />
+      <BundlePreview bundle={jsonOut} />
+      <div ref={resultsRef}>
+        <SubmissionResults log={submissions} />
+      </div>
+
       {/* Actions */}
       <div className="mb-4">
+        <button className="btn btn-outline-primary me-2" onClick={generateBundle}>Generate only</button>
+        <button className="btn btn-outline-secondary me-2" onClick={onPrintPreview}>Print preview</button>
         <button className="btn btn-primary" onClick={onBuildJSON}>Build & Submit Discharge Summary</button>
       </div>
 
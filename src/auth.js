@@ -0,0 +1,224 @@
+// src/auth.js
+/*
+  Authentication for API calls (config: getApiConfig().auth, see src/config.js)
+  - createAuth(config) → { init, getToken, refresh, login, logout, attach(axiosInstance), fetch(url, options) }
+  - "oauth": authorization code + PKCE. login() sends the browser to authorizeUrl; when it comes back with
+    ?code=&state=, init() exchanges the code at tokenUrl. Tokens live in sessionStorage (per tab).
+    A 401 (or an access token about to expire) triggers one refresh_token grant and the request is retried;
+    when the refresh fails the session has expired and the browser is sent back to the login page.
+  - "bearer": static token injected by the host page (window.GlobalAuthToken); no refresh, a 401 goes to the caller
+  - "none": no Authorization header
+  Errors for an expired session carry sessionExpired: true.
+  mock/auth-server.js (`npm run mock:auth`) implements the endpoints for local testing.
+*/
+
+const TOKEN_KEY = "discharge-auth";
+const PKCE_KEY = "discharge-auth-pkce";
+const EXPIRY_SKEW_MS = 30000;
+
+function base64Url(bytes) {
+  let s = "";
+  bytes.forEach(b => (s += String.fromCharCode(b)));
+  return btoa(s).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function randomString(length) {
+  const bytes = new Uint8Array(length);
+  crypto.getRandomValues(bytes);
+  return base64Url(bytes);
+}
+
+async function pkceChallenge(verifier) {
+  const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(verifier));
+  return base64Url(new Uint8Array(digest));
+}
+
+function sessionExpired(cause) {
+  return Object.assign(new Error(`Session expired${cause?.message ? ` (${cause.message})` : ""} — signing in again`), { sessionExpired: true });
+}
+
+/* deps are injectable for tests: { storage, location, history, fetch, now } */
+export function createAuth(config = {}, deps = {}) {
+  const {
+    storage = window.sessionStorage,
+    location = window.location,
+    history = window.history,
+    fetch: fetchImpl = (...args) => window.fetch(...args),
+    now = () => Date.now(),
+  } = deps;
+  const type = config.type || "none";
+  let tokens = readTokens();
+  let initializing = null;
+  let refreshing = null;
+
+  function readTokens() {
+    try {
+      return JSON.parse(storage.getItem(TOKEN_KEY));
+    } catch {
+      return null;
+    }
+  }
+
+  function storeTokens(next) {
+    tokens = next;
+    if (next) storage.setItem(TOKEN_KEY, JSON.stringify(next));
+    else storage.removeItem(TOKEN_KEY);
+  }
+
+  function redirectUri() {
+    return config.redirectUri || `${location.origin}${location.pathname}`;
+  }
+
+  async function tokenRequest(params) {
+    const res = await fetchImpl(config.tokenUrl, {
+      method: "POST",
+      headers: { "Content-Type": "application/x-www-form-urlencoded", Accept: "application/json" },
+      body: new URLSearchParams({ client_id: config.clientId, ...params }).toString(),
+    });
+    const body = await res.json().catch(() => ({}));
+    if (!res.ok || !body.access_token) {
+      throw new Error(body.error_description || body.error || `Token endpoint returned HTTP ${res.status}`);
+    }
+    return {
+      accessToken: body.access_token,
+      refreshToken: body.refresh_token || tokens?.refreshToken || "",
+      expiresAt: body.expires_in ? now() + Number(body.expires_in) * 1000 : null,
+    };
+  }
+
+  /* Redirect to the login page; resolves once the navigation has been requested */
+  async function login() {
+    const verifier = randomString(48);
+    const state = randomString(16);
+    storage.setItem(PKCE_KEY, JSON.stringify({ verifier, state }));
+    const url = new URL(config.authorizeUrl, location.href);
+    url.search = new URLSearchParams({
+      response_type: "code",
+      client_id: config.clientId,
+      redirect_uri: redirectUri(),
+      scope: config.scope || "",
+      state,
+      code_challenge: await pkceChallenge(verifier),
+      code_challenge_method: "S256",
+    }).toString();
+    location.assign(url.toString());
+  }
+
+  /* Finish a login redirect (?code=&state=); false when the page was not opened by one */
+  async function handleCallback() {
+    const params = new URLSearchParams(location.search);
+    const code = params.get("code");
+    const state = params.get("state");
+    const error = params.get("error_description") || params.get("error");
+    if (!code && !error) return false;
+
+    const pkce = JSON.parse(storage.getItem(PKCE_KEY) || "null");
+    storage.removeItem(PKCE_KEY);
+    ["code", "state", "session_state", "iss", "error", "error_description"].forEach(k => params.delete(k));
+    const query = params.toString();
+    history.replaceState(null, "", `${location.pathname}${query ? `?${query}` : ""}${location.hash}`);
+
+    if (error) throw new Error(`Login failed: ${error}`);
+    if (!pkce || pkce.state !== state) throw new Error("Login response does not belong to this browser session (state mismatch)");
+    storeTokens(await tokenRequest({ grant_type: "authorization_code", code, redirect_uri: redirectUri(), code_verifier: pkce.verifier }));
+    return true;
+  }
+
+  /*
+    Resolves when API calls can be made (may redirect to the login page first). A failure is not cached, so the
+    next call tries again; only the redirect to login is shared, so concurrent callers do not start several logins.
+  */
+  function init() {
+    if (!initializing) {
+      initializing = (async () => {
+        if (type !== "oauth") return;
+        const missing = ["tokenUrl", "authorizeUrl", "clientId"].filter(k => !config[k]);
+        if (missing.length) throw new Error(`OAuth is enabled but ${missing.join(", ")} is not configured`);
+        if (await handleCallback()) return;
+        if (!tokens?.accessToken) {
+          await login();
+          throw sessionExpired();
+        }
+      })();
+      initializing.catch(err => {
+        if (!err.sessionExpired) initializing = null;
+      });
+    }
+    return initializing;
+  }
+
+  /* New access token from the refresh token; concurrent callers share one request */
+  function refresh() {
+    if (!refreshing) {
+      refreshing = (async () => {
+        if (type !== "oauth" || !tokens?.refreshToken) throw new Error("No refresh token");
+        storeTokens(await tokenRequest({ grant_type: "refresh_token", refresh_token: tokens.refreshToken }));
+        return tokens.accessToken;
+      })().finally(() => {
+        refreshing = null;
+      });
+    }
+    return refreshing;
+  }
+
+  async function refreshOrLogin() {
+    try {
+      return await refresh();
+    } catch (err) {
+      storeTokens(null);
+      await login();
+      throw sessionExpired(err);
+    }
+  }
+
+  async function getToken() {
+    if (type === "bearer") return (typeof window !== "undefined" && window.GlobalAuthToken) || "";
+    if (type !== "oauth") return "";
+    await init();
+    if (tokens?.expiresAt && tokens.expiresAt - EXPIRY_SKEW_MS <= now()) await refreshOrLogin();
+    return tokens?.accessToken || "";
+  }
+
+  async function authHeaders() {
+    const token = await getToken();
+    return token ? { Authorization: `Bearer ${token}` } : {};
+  }
+
+  /* Bearer token on every request; one refresh + retry on 401 */
+  function attach(instance) {
+    instance.interceptors.request.use(async request => {
+      const headers = await authHeaders();
+      request.headers = request.headers || {};
+      Object.entries(headers).forEach(([k, v]) => {
+        if (typeof request.headers.set === "function") request.headers.set(k, v);
+        else request.headers[k] = v;
+      });
+      return request;
+    });
+    instance.interceptors.response.use(response => response, async error => {
+      const request = error?.config;
+      if (type !== "oauth" || error?.response?.status !== 401 || !request || request.authRetried) throw error;
+      request.authRetried = true;
+      await refreshOrLogin();
+      return instance.request(request);
+    });
+    return instance;
+  }
+
+  /* fetch() with the same behaviour */
+  async function authFetch(url, options = {}) {
+    const send = async () => fetchImpl(url, { ...options, headers: { ...options.headers, ...(await authHeaders()) } });
+    const res = await send();
+    if (res.status !== 401 || type !== "oauth") return res;
+    await refreshOrLogin();
+    return send();
+  }
+
+  async function logout() {
+    storeTokens(null);
+    if (config.logoutUrl) location.assign(config.logoutUrl);
+    else if (type === "oauth") await login();
+  }
+
+  return { type, init, getToken, refresh, login, logout, attach, fetch: authFetch };
+}
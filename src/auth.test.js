@@ -0,0 +1,103 @@
+import { webcrypto } from "crypto";
+import { TextEncoder } from "util";
+import { createAuth } from "./auth";
+
+// jsdom has no WebCrypto; the browser provides both
+beforeAll(() => Object.assign(global, { crypto: webcrypto, TextEncoder }));
+
+const OAUTH = { type: "oauth", tokenUrl: "http://auth.test/token", authorizeUrl: "http://auth.test/authorize", clientId: "discharge", scope: "openid" };
+
+function fakeLocation(search = "") {
+  return { origin: "http://app.test", pathname: "/builder", search, hash: "", href: `http://app.test/builder${search}`, assign: jest.fn() };
+}
+
+function tokenResponse(body, status = 200) {
+  return { ok: status < 300, status, json: async () => body };
+}
+
+/* Minimal axios stand-in: records the interceptors attach() installs */
+function fakeAxios() {
+  const instance = {
+    interceptors: {
+      request: { use: fn => (instance.onRequest = fn) },
+      response: { use: (ok, fail) => (instance.onError = fail) },
+    },
+    request: jest.fn(async config => ({ status: 200, config })),
+  };
+  return instance;
+}
+
+beforeEach(() => window.sessionStorage.clear());
+afterEach(() => delete window.GlobalAuthToken);
+
+test("bearer mode sends the host page token", async () => {
+  window.GlobalAuthToken = "static-token";
+  const http = createAuth({ type: "bearer" }).attach(fakeAxios());
+  const request = await http.onRequest({ headers: {} });
+  expect(request.headers.Authorization).toBe("Bearer static-token");
+});
+
+test("finishes the login redirect by exchanging the code with the PKCE verifier", async () => {
+  window.sessionStorage.setItem("discharge-auth-pkce", JSON.stringify({ verifier: "v-123", state: "s-1" }));
+  const fetch = jest.fn(async () => tokenResponse({ access_token: "a1", refresh_token: "r1", expires_in: 300 }));
+  const history = { replaceState: jest.fn() };
+  const auth = createAuth(OAUTH, { location: fakeLocation("?code=c-9&state=s-1&tab=2"), history, fetch, now: () => 0 });
+
+  await auth.init();
+  const body = new URLSearchParams(fetch.mock.calls[0][1].body);
+  expect(Object.fromEntries(body)).toEqual({
+    client_id: "discharge", grant_type: "authorization_code", code: "c-9", redirect_uri: "http://app.test/builder", code_verifier: "v-123",
+  });
+  expect(history.replaceState).toHaveBeenCalledWith(null, "", "/builder?tab=2");
+  expect(await auth.getToken()).toBe("a1");
+});
+
+test("rejects a login response with a foreign state", async () => {
+  window.sessionStorage.setItem("discharge-auth-pkce", JSON.stringify({ verifier: "v", state: "mine" }));
+  const auth = createAuth(OAUTH, { location: fakeLocation("?code=c&state=theirs"), history: { replaceState: jest.fn() }, fetch: jest.fn() });
+  await expect(auth.init()).rejects.toThrow(/state mismatch/);
+});
+
+test("does not cache a failed sign-in, so the next call tries again", async () => {
+  window.sessionStorage.setItem("discharge-auth-pkce", JSON.stringify({ verifier: "v-123", state: "s-1" }));
+  const location = fakeLocation("?code=c-9&state=s-1");
+  const history = { replaceState: jest.fn((_, __, url) => (location.search = new URL(url, location.origin).search)) };
+  const fetch = jest.fn().mockRejectedValueOnce(new Error("Network Error"));
+  const auth = createAuth(OAUTH, { location, history, fetch });
+
+  await expect(auth.init()).rejects.toThrow("Network Error");
+  await expect(auth.init()).rejects.toMatchObject({ sessionExpired: true });
+  await expect(auth.init()).rejects.toMatchObject({ sessionExpired: true });
+  expect(location.assign).toHaveBeenCalledTimes(1);
+});
+
+test("refreshes once on 401 and retries the request with the new token", async () => {
+  window.sessionStorage.setItem("discharge-auth", JSON.stringify({ accessToken: "old", refreshToken: "r1", expiresAt: null }));
+  const fetch = jest.fn(async () => tokenResponse({ access_token: "new", expires_in: 300 }));
+  const http = createAuth(OAUTH, { location: fakeLocation(), fetch }).attach(fakeAxios());
+
+  const config = { headers: {} };
+  await http.onError({ config, response: { status: 401 } });
+  expect(new URLSearchParams(fetch.mock.calls[0][1].body).get("grant_type")).toBe("refresh_token");
+  expect(http.request).toHaveBeenCalledWith(expect.objectContaining({ authRetried: true }));
+  expect((await http.onRequest({ headers: {} })).headers.Authorization).toBe("Bearer new");
+
+  const again = { response: { status: 401 }, config };
+  await expect(http.onError(again)).rejects.toBe(again);
+});
+
+test("sends the browser to login when the refresh token is rejected", async () => {
+  window.sessionStorage.setItem("discharge-auth", JSON.stringify({ accessToken: "old", refreshToken: "expired", expiresAt: null }));
+  const location = fakeLocation();
+  const fetch = jest.fn(async () => tokenResponse({ error: "invalid_grant" }, 400));
+  const auth = createAuth(OAUTH, { location, fetch });
+
+  await expect(auth.refresh()).rejects.toThrow("invalid_grant");
+  const http = auth.attach(fakeAxios());
+  await expect(http.onError({ config: { headers: {} }, response: { status: 401 } })).rejects.toMatchObject({ sessionExpired: true });
+  const login = new URL(location.assign.mock.calls[0][0]);
+  expect(login.origin + login.pathname).toBe("http://auth.test/authorize");
+  expect(login.searchParams.get("code_challenge_method")).toBe("S256");
+  expect(JSON.parse(window.sessionStorage.getItem("discharge-auth-pkce")).state).toBe(login.searchParams.get("state"));
+  expect(window.sessionStorage.getItem("discharge-auth")).toBeNull();
+});
@@ -0,0 +1,72 @@
+// src/components/AllergiesCard.js
+import React from "react";
+import { ALLERGY_CATEGORIES, ALLERGY_CRITICALITY, ALLERGY_VERIFICATION_STATUS, REACTION_SEVERITY } from "../fhir";
+import CodedFields from "./CodedFields";
+
+export const EMPTY_ALLERGY = { codeSystem: "snomed", code: "", display: "", category: "medication", criticality: "low", manifestation: "", severity: "", verificationStatus: "confirmed" };
+
+/* Repeatable allergy entries → AllergyIntolerance resources; free text is kept as the section note */
+export default function AllergiesCard({ title, allergies, setAllergies, notes, setNotes }) {
+  function addAllergy() {
+    setAllergies(prev => [...prev, { ...EMPTY_ALLERGY }]);
+  }
+  function updateAllergy(i, key, v) {
+    setAllergies(prev => prev.map((a, idx) => (idx === i ? { ...a, [key]: v } : a)));
+  }
+  function removeAllergy(i) {
+    setAllergies(prev => prev.filter((_, idx) => idx !== i));
+  }
+
+  return (
+    <div className="card mb-3">
+      <div className="card-header">{title}</div>
+      <div className="card-body">
+        {allergies.length === 0 && <div className="text-muted mb-2">No allergies added.</div>}
+        {allergies.map((a, i) => (
+          <div className="border rounded p-2 mb-2" key={i}>
+            <div className="row g-2">
+              <CodedFields row={a} onChange={(k, v) => updateAllergy(i, k, v)} label="Substance" placeholder="e.g., Penicillin" />
+              <div className="col-md-1 d-flex align-items-end">
+                <button className="btn btn-danger w-100" onClick={() => removeAllergy(i)}>X</button>
+              </div>
+              <div className="col-md-2">
+                <label className="form-label">Category</label>
+                <select className="form-select" value={a.category} onChange={e => updateAllergy(i, "category", e.target.value)}>
+                  {ALLERGY_CATEGORIES.map(c => <option key={c} value={c}>{c}</option>)}
+                </select>
+              </div>
+              <div className="col-md-2">
+                <label className="form-label">Criticality</label>
+                <select className="form-select" value={a.criticality} onChange={e => updateAllergy(i, "criticality", e.target.value)}>
+                  {ALLERGY_CRITICALITY.map(c => <option key={c} value={c}>{c}</option>)}
+                </select>
+              </div>
+              <div className="col-md-4">
+                <label className="form-label">Reaction</label>
+                <input className="form-control" value={a.manifestation} onChange={e => updateAllergy(i, "manifestation", e.target.value)} placeholder="e.g., Urticaria" />
+              </div>
+              <div className="col-md-2">
+                <label className="form-label">Severity</label>
+                <select className="form-select" value={a.severity} onChange={e => updateAllergy(i, "severity", e.target.value)}>
+                  <option value="">—</option>
+                  {REACTION_SEVERITY.map(s => <option key={s} value={s}>{s}</option>)}
+                </select>
+              </div>
+              <div className="col-md-2">
+                <label className="form-label">Verification</label>
+                <select className="form-select" value={a.verificationStatus} onChange={e => updateAllergy(i, "verificationStatus", e.target.value)}>
+                  {ALLERGY_VERIFICATION_STATUS.map(s => <option key={s} value={s}>{s}</option>)}
+                </select>
+              </div>
+            </div>
+          </div>
+        ))}
+        <button className="btn btn-sm btn-outline-secondary mb-3" onClick={addAllergy}>+ Add allergy</button>
+        <div>
+          <label className="form-label">Notes (free text)</label>
+          <textarea className="form-control" rows={2} value={notes} onChange={e => setNotes(e.target.value)} />
+        </div>
+      </div>
+    </div>
+  );
+}
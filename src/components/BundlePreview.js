@@ -0,0 +1,92 @@
+// src/components/BundlePreview.js
+import React, { useMemo, useState } from "react";
+
+const TOKEN = /("(?:\\.|[^"\\])*")(\s*:)?|\b(true|false|null)\b|-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?/g;
+const COLORS = { key: "#0b5394", string: "#38761d", literal: "#990000", number: "#b45f06" };
+const PREVIEW_MAX = 120;
+
+/* Display copy: long base64 payloads are shortened so the preview stays readable (copy/download are full) */
+function previewJson(value) {
+  return JSON.stringify(value, (k, v) => (typeof v === "string" && v.length > PREVIEW_MAX && k === "data"
+    ? `${v.slice(0, PREVIEW_MAX)}… (${v.length} chars)`
+    : v), 2);
+}
+
+/* Pretty-printed JSON split into coloured spans */
+function Highlighted({ json }) {
+  const parts = [];
+  let last = 0;
+  for (const m of json.matchAll(TOKEN)) {
+    const [match, str, colon, literal] = m;
+    if (m.index > last) parts.push(json.slice(last, m.index));
+    const kind = str ? (colon ? "key" : "string") : literal ? "literal" : "number";
+    parts.push(<span key={m.index} style={{ color: COLORS[kind] }}>{str || match}</span>);
+    if (colon) parts.push(colon);
+    last = m.index + match.length;
+  }
+  parts.push(json.slice(last));
+  return <pre className="bg-light border rounded p-2 small mb-0" style={{ maxHeight: 480, overflow: "auto" }}>{parts}</pre>;
+}
+
+/* Collapsible preview of the generated Bundle: highlighted JSON or per-resource tree, copy and download */
+export default function BundlePreview({ bundle }) {
+  const [open, setOpen] = useState(true);
+  const [view, setView] = useState("json");
+  const [copied, setCopied] = useState(false);
+  const text = useMemo(() => (bundle ? JSON.stringify(bundle, null, 2) : ""), [bundle]);
+  const preview = useMemo(() => (bundle ? previewJson(bundle) : ""), [bundle]);
+
+  if (!bundle) return null;
+  const entries = bundle.entry || [];
+
+  async function copy() {
+    try {
+      await navigator.clipboard.writeText(text);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 1500);
+    } catch (err) {
+      console.error("Copy to clipboard failed:", err);
+      alert("Could not copy to the clipboard");
+    }
+  }
+
+  function download() {
+    const url = URL.createObjectURL(new Blob([text], { type: "application/fhir+json" }));
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = `${bundle.id || "discharge-summary"}.json`;
+    a.click();
+    URL.revokeObjectURL(url);
+  }
+
+  return (
+    <div className="card mb-3">
+      <div className="card-header d-flex justify-content-between align-items-center">
+        <button className="btn btn-link p-0 text-decoration-none" onClick={() => setOpen(o => !o)}>
+          {open ? "▾" : "▸"} Bundle preview ({entries.length} entries)
+        </button>
+        <div>
+          <div className="btn-group btn-group-sm me-2">
+            <button className={`btn ${view === "json" ? "btn-secondary" : "btn-outline-secondary"}`} onClick={() => setView("json")}>JSON</button>
+            <button className={`btn ${view === "tree" ? "btn-secondary" : "btn-outline-secondary"}`} onClick={() => setView("tree")}>Resources</button>
+          </div>
+          <button className="btn btn-sm btn-outline-primary me-2" onClick={copy}>{copied ? "Copied" : "Copy"}</button>
+          <button className="btn btn-sm btn-outline-primary" onClick={download}>Download .json</button>
+        </div>
+      </div>
+      {open && (
+        <div className="card-body">
+          {view === "json" && <Highlighted json={preview} />}
+          {view === "tree" && entries.map((e, i) => (
+            <details key={e.fullUrl || i} className="mb-1">
+              <summary>
+                <strong>{e.resource?.resourceType}</strong> <code className="text-muted">{e.fullUrl}</code>
+              </summary>
+              <Highlighted json={previewJson(e.resource)} />
+            </details>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
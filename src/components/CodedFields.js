@@ -0,0 +1,25 @@
+// src/components/CodedFields.js
+import React from "react";
+import { CODE_SYSTEMS } from "../fhir";
+
+/* Code system + code + display columns for a coded row ({ codeSystem, code, display }); displayInput replaces the plain display input */
+export default function CodedFields({ row, onChange, label, placeholder, displayCols = 7, displayInput }) {
+  return (
+    <>
+      <div className="col-md-2">
+        <label className="form-label">Code system</label>
+        <select className="form-select" value={row.codeSystem} onChange={e => onChange("codeSystem", e.target.value)}>
+          {Object.entries(CODE_SYSTEMS).map(([k, cs]) => <option key={k} value={k}>{cs.label}</option>)}
+        </select>
+      </div>
+      <div className="col-md-2">
+        <label className="form-label">Code</label>
+        <input className="form-control" value={row.code} onChange={e => onChange("code", e.target.value)} placeholder={row.codeSystem === "icd10" ? "e.g., A01.0" : "e.g., 4834000"} />
+      </div>
+      <div className={`col-md-${displayCols}`}>
+        <label className="form-label">{label}</label>
+        {displayInput || <input className="form-control" value={row.display} onChange={e => onChange("display", e.target.value)} placeholder={placeholder} />}
+      </div>
+    </>
+  );
+}
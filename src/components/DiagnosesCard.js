@@ -0,0 +1,55 @@
+// src/components/DiagnosesCard.js
+import React from "react";
+import { CONDITION_CLINICAL_STATUS, DIAGNOSIS_ROLES } from "../fhir";
+import CodedFields from "./CodedFields";
+
+export const EMPTY_DIAGNOSIS = { codeSystem: "icd10", code: "", display: "", clinicalStatus: "active", role: "discharge", onsetDate: "" };
+
+/* Repeatable coded diagnoses → Condition resources (see buildConditionResources) */
+export default function DiagnosesCard({ title, diagnoses, setDiagnoses }) {
+  function addDiagnosis() {
+    setDiagnoses(prev => [...prev, { ...EMPTY_DIAGNOSIS }]);
+  }
+  function updateDiagnosis(i, key, v) {
+    setDiagnoses(prev => prev.map((d, idx) => (idx === i ? { ...d, [key]: v } : d)));
+  }
+  function removeDiagnosis(i) {
+    setDiagnoses(prev => prev.filter((_, idx) => idx !== i));
+  }
+
+  return (
+    <div className="card mb-3">
+      <div className="card-header">{title}</div>
+      <div className="card-body">
+        {diagnoses.length === 0 && <div className="text-muted mb-2">No diagnoses added.</div>}
+        {diagnoses.map((d, i) => (
+          <div className="border rounded p-2 mb-2" key={i}>
+            <div className="row g-2">
+              <CodedFields row={d} onChange={(k, v) => updateDiagnosis(i, k, v)} label="Diagnosis" placeholder="e.g., Typhoid fever" />
+              <div className="col-md-1 d-flex align-items-end">
+                <button className="btn btn-danger w-100" onClick={() => removeDiagnosis(i)}>X</button>
+              </div>
+              <div className="col-md-3">
+                <label className="form-label">Clinical status</label>
+                <select className="form-select" value={d.clinicalStatus} onChange={e => updateDiagnosis(i, "clinicalStatus", e.target.value)}>
+                  {CONDITION_CLINICAL_STATUS.map(s => <option key={s} value={s}>{s}</option>)}
+                </select>
+              </div>
+              <div className="col-md-3">
+                <label className="form-label">Role</label>
+                <select className="form-select" value={d.role} onChange={e => updateDiagnosis(i, "role", e.target.value)}>
+                  {Object.entries(DIAGNOSIS_ROLES).map(([k, r]) => <option key={k} value={k}>{r.label}</option>)}
+                </select>
+              </div>
+              <div className="col-md-3">
+                <label className="form-label">Onset</label>
+                <input type="date" className="form-control" value={d.onsetDate} onChange={e => updateDiagnosis(i, "onsetDate", e.target.value)} />
+              </div>
+            </div>
+          </div>
+        ))}
+        <button className="btn btn-sm btn-outline-secondary" onClick={addDiagnosis}>+ Add diagnosis</button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,53 @@
+// src/components/DraftsPanel.js
+import React from "react";
+
+function savedTime(iso) {
+  const d = new Date(iso);
+  return isNaN(d.getTime()) ? "" : d.toLocaleString();
+}
+
+/*
+  Saved drafts (listDrafts) with resume / discard.
+  canResume(patientKey) is false when the draft has no patient row saved with it.
+*/
+export default function DraftsPanel({ drafts, currentKey, status, canResume, onResume, onDiscard }) {
+  return (
+    <div className="card mb-3">
+      <div className="card-header d-flex justify-content-between">
+        <span>Drafts</span>
+        {status && <span className="text-muted small">{status}</span>}
+      </div>
+      <div className="card-body">
+        {!drafts.length && <div className="text-muted">No saved drafts. Edits are saved automatically for the selected patient (attached files are not kept).</div>}
+        {drafts.length > 0 && (
+          <table className="table table-sm mb-0">
+            <thead>
+              <tr><th>Patient</th><th>Last saved</th><th style={{ width: 170 }}></th></tr>
+            </thead>
+            <tbody>
+              {drafts.map(d => (
+                <tr key={d.patientKey} className={d.patientKey === currentKey ? "table-active" : ""}>
+                  <td>
+                    {d.patientName || d.patientKey}
+                    {d.patientKey === currentKey && <span className="badge bg-primary ms-2">open</span>}
+                  </td>
+                  <td>{savedTime(d.savedAt)}</td>
+                  <td className="text-end">
+                    <button
+                      className="btn btn-sm btn-outline-primary me-2"
+                      disabled={d.patientKey === currentKey || !canResume(d.patientKey)}
+                      onClick={() => onResume(d.patientKey)}
+                    >
+                      Resume
+                    </button>
+                    <button className="btn btn-sm btn-outline-danger" onClick={() => onDiscard(d.patientKey)}>Discard</button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,57 @@
+// src/components/DrugSearch.js
+import React, { useState } from "react";
+import { searchFormulary, drugLabel } from "../formulary";
+
+/* Type-ahead over the local formulary; typing edits the free-text name, picking a drug calls onSelect */
+export default function DrugSearch({ value, onChange, onSelect, drugs, placeholder }) {
+  const [open, setOpen] = useState(false);
+  const [active, setActive] = useState(0);
+  const matches = open ? searchFormulary(drugs, value) : [];
+
+  function pick(d) {
+    onSelect(d);
+    setOpen(false);
+  }
+
+  function onKeyDown(e) {
+    if (!matches.length) return;
+    if (e.key === "ArrowDown") {
+      e.preventDefault();
+      setActive(a => Math.min(a + 1, matches.length - 1));
+    } else if (e.key === "ArrowUp") {
+      e.preventDefault();
+      setActive(a => Math.max(a - 1, 0));
+    } else if (e.key === "Enter") {
+      e.preventDefault();
+      pick(matches[active]);
+    } else if (e.key === "Escape") {
+      setOpen(false);
+    }
+  }
+
+  return (
+    <div className="position-relative">
+      <input
+        className="form-control"
+        value={value}
+        placeholder={placeholder}
+        autoComplete="off"
+        onChange={e => { onChange(e.target.value); setOpen(true); setActive(0); }}
+        onFocus={() => setOpen(true)}
+        onBlur={() => setTimeout(() => setOpen(false), 150)}
+        onKeyDown={onKeyDown}
+      />
+      {matches.length > 0 && (
+        <ul className="dropdown-menu show w-100" style={{ maxHeight: 260, overflowY: "auto" }}>
+          {matches.map((d, i) => (
+            <li key={d.code || i}>
+              <button type="button" className={`dropdown-item ${i === active ? "active" : ""}`} onMouseDown={e => e.preventDefault()} onClick={() => pick(d)}>
+                {drugLabel(d)}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,67 @@
+// src/components/EncounterCard.js
+import React from "react";
+import { ENCOUNTER_CLASSES, ADMIT_SOURCES, DISCHARGE_DISPOSITIONS } from "../fhir";
+
+export const EMPTY_ENCOUNTER = { classCode: "IMP", admittedAt: "", dischargedAt: "", admitSource: "", dischargeDisposition: "home", location: "", episodeId: "" };
+
+/*
+  Inpatient stay details → Encounter (class, period, hospitalization, location, identifier).
+  Flags the rules validateBundle enforces: admission time required for IMP, discharge not before admission.
+*/
+export default function EncounterCard({ title, encounter, setEncounter }) {
+  function updateEncounter(key, v) {
+    setEncounter(prev => ({ ...prev, [key]: v }));
+  }
+  const admissionMissing = encounter.classCode === "IMP" && !encounter.admittedAt;
+  // datetime-local values (YYYY-MM-DDTHH:mm) compare correctly as strings
+  const dischargeBeforeAdmission = !!encounter.admittedAt && !!encounter.dischargedAt && encounter.dischargedAt < encounter.admittedAt;
+
+  return (
+    <div className="card mb-3">
+      <div className="card-header">{title}</div>
+      <div className="card-body">
+        <div className="row g-3">
+          <div className="col-md-3">
+            <label className="form-label">Encounter class</label>
+            <select className="form-select" value={encounter.classCode} onChange={e => updateEncounter("classCode", e.target.value)}>
+              {Object.entries(ENCOUNTER_CLASSES).map(([code, label]) => <option key={code} value={code}>{code} — {label}</option>)}
+            </select>
+          </div>
+          <div className="col-md-3">
+            <label className="form-label">
+              Admission date/time {encounter.classCode === "IMP" && <span className="text-danger">*</span>}
+            </label>
+            <input type="datetime-local" className={`form-control ${admissionMissing ? "is-invalid" : ""}`} value={encounter.admittedAt} onChange={e => updateEncounter("admittedAt", e.target.value)} />
+            {admissionMissing && <div className="invalid-feedback">Required for an inpatient stay</div>}
+          </div>
+          <div className="col-md-3">
+            <label className="form-label">Discharge date/time</label>
+            <input type="datetime-local" className={`form-control ${dischargeBeforeAdmission ? "is-invalid" : ""}`} value={encounter.dischargedAt} onChange={e => updateEncounter("dischargedAt", e.target.value)} />
+            {dischargeBeforeAdmission && <div className="invalid-feedback">Discharge is before admission</div>}
+          </div>
+          <div className="col-md-3">
+            <label className="form-label">Hospital episode / IP no.</label>
+            <input className="form-control" value={encounter.episodeId} onChange={e => updateEncounter("episodeId", e.target.value)} placeholder="e.g., IP-2025-001234" />
+          </div>
+          <div className="col-md-4">
+            <label className="form-label">Admit source</label>
+            <select className="form-select" value={encounter.admitSource} onChange={e => updateEncounter("admitSource", e.target.value)}>
+              <option value="">—</option>
+              {Object.entries(ADMIT_SOURCES).map(([code, label]) => <option key={code} value={code}>{label}</option>)}
+            </select>
+          </div>
+          <div className="col-md-4">
+            <label className="form-label">Discharge disposition</label>
+            <select className="form-select" value={encounter.dischargeDisposition} onChange={e => updateEncounter("dischargeDisposition", e.target.value)}>
+              {Object.entries(DISCHARGE_DISPOSITIONS).map(([k, d]) => <option key={k} value={k}>{d.label}</option>)}
+            </select>
+          </div>
+          <div className="col-md-4">
+            <label className="form-label">Ward / Bed</label>
+            <input className="form-control" value={encounter.location} onChange={e => updateEncounter("location", e.target.value)} placeholder="e.g., Surgical Ward B, Bed 12" />
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,56 @@
+// src/components/FamilyHistoryCard.js
+import React from "react";
+import { FAMILY_RELATIONSHIPS } from "../fhir";
+import CodedFields from "./CodedFields";
+
+export const EMPTY_FAMILY_HISTORY = { relationship: "FTH", codeSystem: "snomed", code: "", display: "", onsetAge: "" };
+
+/* Repeatable relative + condition rows → FamilyMemberHistory resources */
+export default function FamilyHistoryCard({ title, familyHistory, setFamilyHistory, notes, setNotes }) {
+  function addFamilyHistory() {
+    setFamilyHistory(prev => [...prev, { ...EMPTY_FAMILY_HISTORY }]);
+  }
+  function updateFamilyHistory(i, key, v) {
+    setFamilyHistory(prev => prev.map((f, idx) => (idx === i ? { ...f, [key]: v } : f)));
+  }
+  function removeFamilyHistory(i) {
+    setFamilyHistory(prev => prev.filter((_, idx) => idx !== i));
+  }
+
+  return (
+    <div className="card mb-3">
+      <div className="card-header">{title}</div>
+      <div className="card-body">
+        {familyHistory.length === 0 && <div className="text-muted mb-2">No family history added.</div>}
+        {familyHistory.map((f, i) => (
+          <div className="border rounded p-2 mb-2" key={i}>
+            <div className="row g-2">
+              <div className="col-md-2">
+                <label className="form-label">Relative</label>
+                <select className="form-select" value={f.relationship} onChange={e => updateFamilyHistory(i, "relationship", e.target.value)}>
+                  {Object.entries(FAMILY_RELATIONSHIPS).map(([code, label]) => <option key={code} value={code}>{label}</option>)}
+                </select>
+              </div>
+              <CodedFields row={f} onChange={(k, v) => updateFamilyHistory(i, k, v)} label="Condition" placeholder="e.g., Diabetes mellitus type 2" displayCols={3} />
+              <div className="col-md-2">
+                <label className="form-label">Age of onset</label>
+                <div className="input-group">
+                  <input type="number" min="0" className="form-control" value={f.onsetAge} onChange={e => updateFamilyHistory(i, "onsetAge", e.target.value)} />
+                  <span className="input-group-text">yrs</span>
+                </div>
+              </div>
+              <div className="col-md-1 d-flex align-items-end">
+                <button className="btn btn-danger w-100" onClick={() => removeFamilyHistory(i)}>X</button>
+              </div>
+            </div>
+          </div>
+        ))}
+        <button className="btn btn-sm btn-outline-secondary mb-3" onClick={addFamilyHistory}>+ Add relative</button>
+        <div>
+          <label className="form-label">Notes (free text)</label>
+          <textarea className="form-control" rows={2} value={notes} onChange={e => setNotes(e.target.value)} />
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,117 @@
+// src/components/InvestigationsCard.js
+import React from "react";
+import { OBSERVATION_INTERPRETATION } from "../fhir";
+import CodedFields from "./CodedFields";
+
+export const EMPTY_OBSERVATION = { codeSystem: "loinc", code: "", display: "", value: "", unit: "", low: "", high: "", interpretation: "", effective: "" };
+export const EMPTY_REPORT = { codeSystem: "loinc", code: "", display: "", effective: "", conclusion: "", file: null, observations: [{ ...EMPTY_OBSERVATION }] };
+
+/*
+  Investigations: DiagnosticReports, each grouping lab Observations.
+  An optional report PDF (row.file) is read at submit time and attached via buildBinaryAndDocRef.
+*/
+export default function InvestigationsCard({ title, investigations, setInvestigations, notes, setNotes }) {
+  function addReport() {
+    setInvestigations(prev => [...prev, { ...EMPTY_REPORT, observations: [{ ...EMPTY_OBSERVATION }] }]);
+  }
+  function updateReport(i, key, v) {
+    setInvestigations(prev => prev.map((r, idx) => (idx === i ? { ...r, [key]: v } : r)));
+  }
+  function removeReport(i) {
+    setInvestigations(prev => prev.filter((_, idx) => idx !== i));
+  }
+  function addObservation(i) {
+    setInvestigations(prev => prev.map((r, idx) => (idx === i ? { ...r, observations: [...r.observations, { ...EMPTY_OBSERVATION }] } : r)));
+  }
+  function updateObservation(i, j, key, v) {
+    setInvestigations(prev => prev.map((r, idx) => (idx === i
+      ? { ...r, observations: r.observations.map((o, oIdx) => (oIdx === j ? { ...o, [key]: v } : o)) }
+      : r)));
+  }
+  function removeObservation(i, j) {
+    setInvestigations(prev => prev.map((r, idx) => (idx === i ? { ...r, observations: r.observations.filter((_, oIdx) => oIdx !== j) } : r)));
+  }
+
+  function onReportFileChange(i, e) {
+    const f = e.target.files?.[0] || null;
+    if (f && f.type !== "application/pdf") {
+      alert("Only PDF allowed for investigation reports");
+      e.target.value = "";
+      return;
+    }
+    updateReport(i, "file", f);
+  }
+
+  return (
+    <div className="card mb-3">
+      <div className="card-header">{title}</div>
+      <div className="card-body">
+        {investigations.length === 0 && <div className="text-muted mb-2">No investigation reports added.</div>}
+        {investigations.map((r, i) => (
+          <div className="border rounded p-2 mb-3" key={i}>
+            <div className="row g-2 mb-2">
+              <CodedFields row={r} onChange={(k, v) => updateReport(i, k, v)} label="Report" placeholder="e.g., Complete blood count" />
+              <div className="col-md-1 d-flex align-items-end">
+                <button className="btn btn-danger w-100" onClick={() => removeReport(i)}>X</button>
+              </div>
+              <div className="col-md-3">
+                <label className="form-label">Effective</label>
+                <input type="datetime-local" className="form-control" value={r.effective} onChange={e => updateReport(i, "effective", e.target.value)} />
+              </div>
+              <div className="col-md-5">
+                <label className="form-label">Conclusion</label>
+                <input className="form-control" value={r.conclusion} onChange={e => updateReport(i, "conclusion", e.target.value)} />
+              </div>
+              <div className="col-md-4">
+                <label className="form-label">Report PDF (optional)</label>
+                <input type="file" className="form-control" accept=".pdf,application/pdf" onChange={e => onReportFileChange(i, e)} />
+              </div>
+            </div>
+
+            <table className="table table-sm align-middle mb-2">
+              <thead>
+                <tr>
+                  <th>LOINC</th>
+                  <th>Test</th>
+                  <th>Value</th>
+                  <th>Unit (UCUM)</th>
+                  <th>Low</th>
+                  <th>High</th>
+                  <th>Interpretation</th>
+                  <th>Effective</th>
+                  <th />
+                </tr>
+              </thead>
+              <tbody>
+                {r.observations.map((o, j) => (
+                  <tr key={j}>
+                    <td><input className="form-control form-control-sm" value={o.code} onChange={e => updateObservation(i, j, "code", e.target.value)} placeholder="718-7" /></td>
+                    <td><input className="form-control form-control-sm" value={o.display} onChange={e => updateObservation(i, j, "display", e.target.value)} placeholder="Hemoglobin" /></td>
+                    <td><input className="form-control form-control-sm" value={o.value} onChange={e => updateObservation(i, j, "value", e.target.value)} /></td>
+                    <td><input className="form-control form-control-sm" value={o.unit} onChange={e => updateObservation(i, j, "unit", e.target.value)} placeholder="g/dL" /></td>
+                    <td><input className="form-control form-control-sm" value={o.low} onChange={e => updateObservation(i, j, "low", e.target.value)} /></td>
+                    <td><input className="form-control form-control-sm" value={o.high} onChange={e => updateObservation(i, j, "high", e.target.value)} /></td>
+                    <td>
+                      <select className="form-select form-select-sm" value={o.interpretation} onChange={e => updateObservation(i, j, "interpretation", e.target.value)}>
+                        <option value="">—</option>
+                        {Object.entries(OBSERVATION_INTERPRETATION).map(([k, label]) => <option key={k} value={k}>{label}</option>)}
+                      </select>
+                    </td>
+                    <td><input type="datetime-local" className="form-control form-control-sm" value={o.effective} onChange={e => updateObservation(i, j, "effective", e.target.value)} /></td>
+                    <td><button className="btn btn-sm btn-outline-danger" onClick={() => removeObservation(i, j)}>X</button></td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <button className="btn btn-sm btn-outline-secondary" onClick={() => addObservation(i)}>+ Add result</button>
+          </div>
+        ))}
+        <button className="btn btn-sm btn-outline-secondary mb-3" onClick={addReport}>+ Add report</button>
+        <div>
+          <label className="form-label">Notes (free text)</label>
+          <textarea className="form-control" rows={2} value={notes} onChange={e => setNotes(e.target.value)} />
+        </div>
+      </div>
+    </div>
+  );
+}
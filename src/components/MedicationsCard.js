@@ -0,0 +1,152 @@
+// src/components/MedicationsCard.js
+import React from "react";
+import { MEDICATION_ROUTES, DOSE_FREQUENCIES, DURATION_UNITS, ADDITIONAL_INSTRUCTIONS, MEDICATION_RECONCILIATION, describeDosage } from "../fhir";
+import CodedFields from "./CodedFields";
+import DrugSearch from "./DrugSearch";
+import { drugToMedication, renameMedication } from "../formulary";
+
+export const EMPTY_MEDICATION = {
+  codeSystem: "snomed", code: "", display: "", strength: "",
+  doseValue: "1", doseUnit: "tablet", route: "oral", frequency: "BD", duration: "", durationUnit: "d",
+  asNeeded: false, additionalInstruction: "after-food", dispenseQuantity: "", dispenseUnit: "", dosageText: "",
+  reconciliation: "new", priorDosage: "", stopReason: "",
+};
+
+const DOSE_UNITS = ["tablet", "capsule", "mL", "mg", "drop", "puff", "sachet", "unit", "application"];
+
+/*
+  Medications → MedicationRequest with structured dosage; the instruction text is generated unless overridden.
+  Picking a drug from the local formulary fills the coded medication, strength and default dosage; typing a
+  different name afterwards turns the row back into free text (no stale drug code).
+  Each row is reconciled against the home medications (new / continued / dose changed / stopped).
+*/
+export default function MedicationsCard({ title, medications, setMedications, formulary }) {
+  function addMedication() {
+    setMedications(prev => [...prev, { ...EMPTY_MEDICATION }]);
+  }
+  function updateMedication(i, key, v) {
+    // a catalogue system uri only applies while the row stays on the local code system
+    setMedications(prev => prev.map((m, idx) => (idx === i ? { ...m, [key]: v, ...(key === "codeSystem" ? { system: undefined } : {}) } : m)));
+  }
+  function renameDrug(i, display) {
+    setMedications(prev => prev.map((m, idx) => (idx === i ? renameMedication(m, display, EMPTY_MEDICATION.codeSystem) : m)));
+  }
+  function selectDrug(i, drug) {
+    setMedications(prev => prev.map((m, idx) => (idx === i ? { ...m, ...drugToMedication(drug, formulary?.system) } : m)));
+  }
+  function removeMedication(i) {
+    setMedications(prev => prev.filter((_, idx) => idx !== i));
+  }
+
+  return (
+    <div className="card mb-3">
+      <div className="card-header">{title}</div>
+      <div className="card-body">
+        <datalist id="dose-units">
+          {DOSE_UNITS.map(u => <option key={u} value={u} />)}
+        </datalist>
+        {medications.map((m, i) => (
+          <div className="border rounded p-2 mb-2" key={i}>
+            <div className="row g-2">
+              <CodedFields
+                row={m}
+                onChange={(k, v) => updateMedication(i, k, v)}
+                label="Medication"
+                displayCols={4}
+                displayInput={
+                  <DrugSearch
+                    value={m.display}
+                    onChange={v => renameDrug(i, v)}
+                    onSelect={d => selectDrug(i, d)}
+                    drugs={formulary?.drugs || []}
+                    placeholder="Search brand / generic, e.g., Paracetamol"
+                  />
+                }
+              />
+              <div className="col-md-3">
+                <label className="form-label">Strength</label>
+                <input className="form-control" value={m.strength} onChange={e => updateMedication(i, "strength", e.target.value)} placeholder="e.g., 500 mg" />
+              </div>
+              <div className="col-md-1 d-flex align-items-end">
+                <button className="btn btn-danger w-100" onClick={() => removeMedication(i)} disabled={medications.length === 1}>X</button>
+              </div>
+
+              <div className="col-md-2">
+                <label className="form-label">Dose</label>
+                <div className="input-group">
+                  <input type="number" min="0" step="any" className="form-control" value={m.doseValue} onChange={e => updateMedication(i, "doseValue", e.target.value)} />
+                  <input className="form-control" list="dose-units" value={m.doseUnit} onChange={e => updateMedication(i, "doseUnit", e.target.value)} />
+                </div>
+              </div>
+              <div className="col-md-2">
+                <label className="form-label">Route</label>
+                <select className="form-select" value={m.route} onChange={e => updateMedication(i, "route", e.target.value)}>
+                  <option value="">—</option>
+                  {Object.entries(MEDICATION_ROUTES).map(([k, r]) => <option key={k} value={k}>{r.display}</option>)}
+                </select>
+              </div>
+              <div className="col-md-2">
+                <label className="form-label">Frequency</label>
+                <select className="form-select" value={m.frequency} onChange={e => updateMedication(i, "frequency", e.target.value)}>
+                  <option value="">—</option>
+                  {Object.entries(DOSE_FREQUENCIES).map(([k, f]) => <option key={k} value={k}>{k} — {f.label}</option>)}
+                </select>
+              </div>
+              <div className="col-md-2">
+                <label className="form-label">Duration</label>
+                <div className="input-group">
+                  <input type="number" min="0" className="form-control" value={m.duration} onChange={e => updateMedication(i, "duration", e.target.value)} />
+                  <select className="form-select" value={m.durationUnit} onChange={e => updateMedication(i, "durationUnit", e.target.value)}>
+                    {Object.entries(DURATION_UNITS).map(([k, u]) => <option key={k} value={k}>{u.label}</option>)}
+                  </select>
+                </div>
+              </div>
+              <div className="col-md-2">
+                <label className="form-label">Instruction</label>
+                <select className="form-select" value={m.additionalInstruction} onChange={e => updateMedication(i, "additionalInstruction", e.target.value)}>
+                  <option value="">—</option>
+                  {Object.entries(ADDITIONAL_INSTRUCTIONS).map(([k, a]) => <option key={k} value={k}>{a.label}</option>)}
+                </select>
+              </div>
+              <div className="col-md-2">
+                <label className="form-label">Dispense qty</label>
+                <input type="number" min="0" className="form-control" value={m.dispenseQuantity} onChange={e => updateMedication(i, "dispenseQuantity", e.target.value)} />
+              </div>
+
+              <div className="col-md-2 d-flex align-items-end">
+                <div className="form-check mb-2">
+                  <input type="checkbox" className="form-check-input" id={`prn-${i}`} checked={!!m.asNeeded} onChange={e => updateMedication(i, "asNeeded", e.target.checked)} />
+                  <label className="form-check-label" htmlFor={`prn-${i}`}>As needed (SOS)</label>
+                </div>
+              </div>
+              <div className="col-md-10">
+                <label className="form-label">Dosage text (override)</label>
+                <input className="form-control" value={m.dosageText} onChange={e => updateMedication(i, "dosageText", e.target.value)} placeholder={describeDosage(m) || "e.g., One tablet twice a day after meal"} />
+              </div>
+
+              <div className="col-md-2">
+                <label className="form-label">Reconciliation</label>
+                <select className="form-select" value={m.reconciliation || "new"} onChange={e => updateMedication(i, "reconciliation", e.target.value)}>
+                  {Object.entries(MEDICATION_RECONCILIATION).map(([k, r]) => <option key={k} value={k}>{r.label}</option>)}
+                </select>
+              </div>
+              {m.reconciliation === "changed" && (
+                <div className="col-md-6">
+                  <label className="form-label">Previous (home) dosage</label>
+                  <input className="form-control" value={m.priorDosage} onChange={e => updateMedication(i, "priorDosage", e.target.value)} placeholder="e.g., 5 mg once a day" />
+                </div>
+              )}
+              {m.reconciliation === "stopped" && (
+                <div className="col-md-6">
+                  <label className="form-label">Reason stopped</label>
+                  <input className="form-control" value={m.stopReason} onChange={e => updateMedication(i, "stopReason", e.target.value)} placeholder="e.g., GI bleed on admission" />
+                </div>
+              )}
+            </div>
+          </div>
+        ))}
+        <button className="btn btn-sm btn-outline-secondary" onClick={addMedication}>+ Add medication</button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,62 @@
+// src/components/OutboxPanel.js
+import React from "react";
+
+const STATUS_BADGE = { pending: "bg-warning text-dark", failed: "bg-danger", sent: "bg-success" };
+
+function time(value) {
+  const d = new Date(value);
+  return isNaN(d.getTime()) ? "" : d.toLocaleTimeString();
+}
+
+/* Queued submissions (src/outbox.js) with their delivery status, updated by the background retries; hidden while empty and online */
+export default function OutboxPanel({ items, online, onRetry, onRemove, onClearSent }) {
+  if (!items.length && online) return null;
+  const waiting = items.filter(i => i.status !== "sent").length;
+  const sent = items.length - waiting;
+
+  return (
+    <div className={`card mb-3 ${items.some(i => i.status === "failed") ? "border-danger" : waiting ? "border-warning" : ""}`}>
+      <div className="card-header d-flex justify-content-between align-items-center">
+        <span>
+          Outbox {waiting > 0 && <span className="badge bg-warning text-dark ms-1">{waiting} waiting</span>}
+          {sent > 0 && <span className="badge bg-success ms-1">{sent} sent</span>}
+          {!online && <span className="badge bg-secondary ms-1">offline</span>}
+        </span>
+        {items.some(i => i.status === "sent") && (
+          <button className="btn btn-sm btn-outline-secondary" onClick={onClearSent}>Clear sent</button>
+        )}
+      </div>
+      <div className="card-body">
+        {!items.length && <div className="text-muted">You are offline. Submissions will be queued here and sent when the connection returns.</div>}
+        {items.length > 0 && (
+          <table className="table table-sm mb-0">
+            <thead>
+              <tr><th>Patient</th><th>Queued</th><th>Status</th><th>Attempts</th><th>Details</th><th style={{ width: 150 }}></th></tr>
+            </thead>
+            <tbody>
+              {items.map(i => (
+                <tr key={i.id}>
+                  <td>{i.patientName || i.patientKey}</td>
+                  <td>{time(i.createdAt)}</td>
+                  <td><span className={`badge ${STATUS_BADGE[i.status] || "bg-secondary"}`}>{i.status}</span></td>
+                  <td>{i.attempts}</td>
+                  <td className="small text-break">
+                    {i.status === "sent" && `Sent ${time(i.sentAt)}`}
+                    {i.status === "pending" && i.nextAttemptAt && `Next try ${time(i.nextAttemptAt)}`}
+                    {i.lastError && <div className="text-danger">{i.lastError}</div>}
+                  </td>
+                  <td className="text-end">
+                    {i.status !== "sent" && (
+                      <button className="btn btn-sm btn-outline-primary me-2" disabled={!online} onClick={() => onRetry(i.id)}>Retry now</button>
+                    )}
+                    <button className="btn btn-sm btn-outline-danger" onClick={() => onRemove(i.id)}>Remove</button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,100 @@
+// src/components/PatientSearch.js
+import React, { useEffect, useState } from "react";
+import { PATIENT_PAGE_SIZE, PATIENT_SEARCH_DEBOUNCE_MS, searchPatients } from "../patients";
+import { draftKey } from "../drafts";
+
+/*
+  Debounced patient search with pagination (src/patients.js).
+  Falls back to the local patients.json after a server failure until "Try server again".
+*/
+export default function PatientSearch({ url, fetch, selected, onSelect }) {
+  const [query, setQuery] = useState("");
+  const [debounced, setDebounced] = useState("");
+  const [page, setPage] = useState(1);
+  const [local, setLocal] = useState(false);
+  const [result, setResult] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      setDebounced(query);
+      setPage(1);
+    }, PATIENT_SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [query]);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    setLoading(true);
+    searchPatients({ url, fetch, query: debounced, page, pageSize: PATIENT_PAGE_SIZE, signal: controller.signal, local })
+      .then(next => {
+        setResult(next);
+        setError("");
+        if (next.serverError) setLocal(true);
+      })
+      .catch(err => {
+        if (err.name === "AbortError" || err.sessionExpired) return;
+        console.error("Patient search failed:", err);
+        setError(err.message);
+      })
+      .finally(() => {
+        if (!controller.signal.aborted) setLoading(false);
+      });
+    return () => controller.abort();
+  }, [url, fetch, debounced, page, local]);
+
+  const selectedKey = draftKey(selected);
+  const items = result?.items || [];
+
+  return (
+    <div>
+      <div className="input-group mb-2">
+        <input
+          className="form-control"
+          type="search"
+          placeholder="Search by name, mobile, ABHA number or ABHA address"
+          value={query}
+          onChange={e => setQuery(e.target.value)}
+        />
+        {loading && <span className="input-group-text"><span className="spinner-border spinner-border-sm" /></span>}
+      </div>
+
+      {result?.source === "local" && (
+        <div className="small text-muted mb-2">
+          Searching the local patient list (server unavailable).{" "}
+          <button className="btn btn-link btn-sm p-0 align-baseline" onClick={() => setLocal(false)}>Try server again</button>
+        </div>
+      )}
+      {error && <div className="alert alert-danger py-1">Patient search failed: {error}</div>}
+
+      <div className="list-group mb-2" style={{ maxHeight: 320, overflowY: "auto" }}>
+        {!loading && result && !items.length && <div className="list-group-item text-muted">No patients match “{debounced}”.</div>}
+        {items.map((p, i) => {
+          const key = draftKey(p) || `row-${i}`;
+          return (
+            <button
+              key={key}
+              type="button"
+              className={`list-group-item list-group-item-action ${key === selectedKey ? "active" : ""}`}
+              onClick={() => onSelect(p)}
+            >
+              <strong>{p.name}</strong>
+              <span className="ms-2 small">{[p.mobile, p.abha_ref].filter(Boolean).join(" · ")}</span>
+            </button>
+          );
+        })}
+      </div>
+
+      {result && (result.page > 1 || result.hasMore) && (
+        <div className="d-flex justify-content-between align-items-center">
+          <button className="btn btn-sm btn-outline-secondary" disabled={page <= 1 || loading} onClick={() => setPage(p => p - 1)}>‹ Previous</button>
+          <span className="small text-muted">
+            Page {result.page}{result.pageCount ? ` of ${result.pageCount}` : ""}{result.total !== null ? ` (${result.total} patients)` : ""}
+          </span>
+          <button className="btn btn-sm btn-outline-secondary" disabled={!result.hasMore || loading} onClick={() => setPage(p => p + 1)}>Next ›</button>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,110 @@
+// src/components/PrintView.js
+import React from "react";
+import { SNOMED, displayDate } from "../fhir";
+import "./PrintView.css";
+
+function identifierValue(res, text) {
+  return (res?.identifier || []).find(i => i.type?.text === text)?.value || "";
+}
+
+function Fields({ rows }) {
+  const shown = rows.filter(([, v]) => v !== undefined && v !== null && String(v).trim() !== "");
+  return (
+    <dl className="print-fields">
+      {shown.map(([label, value]) => (
+        <React.Fragment key={label}>
+          <dt>{label}</dt>
+          <dd>{value}</dd>
+        </React.Fragment>
+      ))}
+    </dl>
+  );
+}
+
+/*
+  Patient handout laid out on A4 from the generated Bundle: letterhead (custodian Organization),
+  demographics, encounter dates, every Composition section that has content (its sanitised narrative,
+  which carries the medication table and the care plan), and signature blocks. Print CSS hides the app.
+*/
+export default function PrintView({ bundle, onClose }) {
+  const resources = (bundle?.entry || []).map(e => e.resource);
+  const find = type => resources.find(r => r?.resourceType === type);
+  const composition = find("Composition");
+  if (!composition) return null;
+
+  const patient = find("Patient");
+  const encounter = find("Encounter");
+  const practitioner = find("Practitioner");
+  const organization = find("Organization");
+
+  const address = organization?.address?.[0];
+  const addressText = address && (address.text || [address.line?.[0], address.city, address.state, address.postalCode].filter(Boolean).join(", "));
+  const phone = (organization?.telecom || []).find(t => t.system === "phone")?.value;
+  const hfr = (organization?.identifier || []).find(i => i.system === "https://facility.ndhm.gov.in")?.value;
+  const sections = (composition.section || []).filter(s => s.text?.status !== "empty" && s.code?.coding?.[0]?.code !== SNOMED.SECTION_DOCREF.code);
+
+  return (
+    <div className="print-view">
+      <div className="print-toolbar d-print-none mb-3">
+        <button className="btn btn-primary me-2" onClick={() => window.print()}>Print</button>
+        <button className="btn btn-outline-secondary" onClick={onClose}>Back to editor</button>
+      </div>
+
+      <div className="print-page">
+        <header className="print-letterhead">
+          <div className="print-org">{organization?.name || "Discharge Summary"}</div>
+          <div className="print-org-contact">{[addressText, phone].filter(Boolean).join("  |  ")}</div>
+          {hfr && <div className="print-org-contact">HFR ID: {hfr}</div>}
+        </header>
+
+        <h1 className="print-title">{composition.title}</h1>
+        {composition.status !== "final" && <div className="print-status">Document status: {composition.status}</div>}
+
+        <div className="print-columns">
+          <section>
+            <h2>Patient</h2>
+            <Fields rows={[
+              ["Name", patient?.name?.[0]?.text],
+              ["Gender / DOB", [patient?.gender, displayDate(patient?.birthDate)].filter(Boolean).join(" / ")],
+              ["ABHA number", identifierValue(patient, "ABHA Number")],
+              ["ABHA address", identifierValue(patient, "ABHA Address")],
+              ["Mobile", (patient?.telecom || []).find(t => t.system === "phone")?.value],
+            ]} />
+          </section>
+          <section>
+            <h2>Admission</h2>
+            <Fields rows={[
+              ["Episode", identifierValue(encounter, "Hospital episode")],
+              ["Admitted", displayDate(encounter?.period?.start)],
+              ["Discharged", displayDate(encounter?.period?.end)],
+              ["Ward / bed", encounter?.location?.[0]?.location?.display],
+              ["Discharge to", encounter?.hospitalization?.dischargeDisposition?.text],
+            ]} />
+          </section>
+        </div>
+
+        {sections.map(s => (
+          <section key={s.code.coding[0].code} className="print-section">
+            <h2>{s.title}</h2>
+            {/* section divs are whitelisted by sanitizeXhtml when the Composition is built */}
+            <div dangerouslySetInnerHTML={{ __html: s.text?.div || "" }} />
+          </section>
+        ))}
+
+        <footer className="print-signatures">
+          <div className="print-signature">
+            <div className="print-signature-line" />
+            <div><strong>{practitioner?.name?.[0]?.text || "Treating doctor"}</strong></div>
+            {practitioner?.identifier?.[0]?.value && <div>Reg. no. {practitioner.identifier[0].value}</div>}
+            <div>Date: {displayDate(composition.date)}</div>
+          </div>
+          <div className="print-signature">
+            <div className="print-signature-line" />
+            <div><strong>Patient / attendant</strong></div>
+            <div>Received the discharge summary and instructions</div>
+          </div>
+        </footer>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,69 @@
+// src/components/ProceduresCard.js
+import React from "react";
+import { PROCEDURE_STATUS } from "../fhir";
+import CodedFields from "./CodedFields";
+
+export const EMPTY_PROCEDURE = { codeSystem: "snomed", code: "", display: "", status: "completed", performedStart: "", performedEnd: "", performer: "", bodySite: "", outcome: "" };
+
+/* Repeatable procedures → Procedure resources; performer defaults to the author (practitionerName) */
+export default function ProceduresCard({ title, procedures, setProcedures, notes, setNotes, practitionerName }) {
+  function addProcedure() {
+    setProcedures(prev => [...prev, { ...EMPTY_PROCEDURE }]);
+  }
+  function updateProcedure(i, key, v) {
+    setProcedures(prev => prev.map((p, idx) => (idx === i ? { ...p, [key]: v } : p)));
+  }
+  function removeProcedure(i) {
+    setProcedures(prev => prev.filter((_, idx) => idx !== i));
+  }
+
+  return (
+    <div className="card mb-3">
+      <div className="card-header">{title}</div>
+      <div className="card-body">
+        {procedures.length === 0 && <div className="text-muted mb-2">No procedures added.</div>}
+        {procedures.map((p, i) => (
+          <div className="border rounded p-2 mb-2" key={i}>
+            <div className="row g-2">
+              <CodedFields row={p} onChange={(k, v) => updateProcedure(i, k, v)} label="Procedure" placeholder="e.g., Laparoscopic appendectomy" />
+              <div className="col-md-1 d-flex align-items-end">
+                <button className="btn btn-danger w-100" onClick={() => removeProcedure(i)}>X</button>
+              </div>
+              <div className="col-md-2">
+                <label className="form-label">Status</label>
+                <select className="form-select" value={p.status} onChange={e => updateProcedure(i, "status", e.target.value)}>
+                  {PROCEDURE_STATUS.map(s => <option key={s} value={s}>{s}</option>)}
+                </select>
+              </div>
+              <div className="col-md-3">
+                <label className="form-label">Performed from</label>
+                <input type="datetime-local" className="form-control" value={p.performedStart} onChange={e => updateProcedure(i, "performedStart", e.target.value)} />
+              </div>
+              <div className="col-md-3">
+                <label className="form-label">Performed to</label>
+                <input type="datetime-local" className="form-control" value={p.performedEnd} onChange={e => updateProcedure(i, "performedEnd", e.target.value)} />
+              </div>
+              <div className="col-md-4">
+                <label className="form-label">Performer</label>
+                <input className="form-control" value={p.performer} onChange={e => updateProcedure(i, "performer", e.target.value)} placeholder={`Default: ${practitionerName}`} />
+              </div>
+              <div className="col-md-6">
+                <label className="form-label">Body site</label>
+                <input className="form-control" value={p.bodySite} onChange={e => updateProcedure(i, "bodySite", e.target.value)} placeholder="e.g., Right lower quadrant of abdomen" />
+              </div>
+              <div className="col-md-6">
+                <label className="form-label">Outcome</label>
+                <input className="form-control" value={p.outcome} onChange={e => updateProcedure(i, "outcome", e.target.value)} placeholder="e.g., Successful, no complications" />
+              </div>
+            </div>
+          </div>
+        ))}
+        <button className="btn btn-sm btn-outline-secondary mb-3" onClick={addProcedure}>+ Add procedure</button>
+        <div>
+          <label className="form-label">Notes (free text)</label>
+          <textarea className="form-control" rows={2} value={notes} onChange={e => setNotes(e.target.value)} />
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,62 @@
+// src/components/ReferencesPanel.js
+import React, { useState } from "react";
+
+/* Reference integrity of the last built bundle (report from checkReferences) */
+export default function ReferencesPanel({ report }) {
+  const [showLinks, setShowLinks] = useState(false);
+  if (!report) return null;
+  const { links, unresolved, malformed, external, duplicates, orphans } = report;
+  const problems = [
+    ...malformed.map(r => ({ kind: "Malformed urn:uuid", where: r.path, detail: r.reference })),
+    ...unresolved.map(r => ({ kind: "Unresolved", where: r.path, detail: r.reference })),
+    ...duplicates.map(d => ({ kind: "Duplicate fullUrl", where: d.indexes.map(i => `Bundle.entry[${i}]`).join(", "), detail: d.fullUrl })),
+    ...orphans.map(o => ({ kind: "Orphan entry", where: o.path, detail: `${o.resourceType || "?"} ${o.fullUrl || ""}` })),
+    ...external.map(r => ({ kind: "External", where: r.path, detail: r.reference })),
+  ];
+
+  return (
+    <div className={`card mb-3 ${problems.length ? "border-warning" : "border-success"}`}>
+      <div className="card-header d-flex justify-content-between">
+        <span>References (urn:uuid integrity)</span>
+        <span className="badge bg-secondary">{links.length} links</span>
+      </div>
+      <div className="card-body">
+        {!problems.length && <div className="text-success mb-2">Every reference resolves to exactly one entry and every entry is reachable from the Composition.</div>}
+        {problems.length > 0 && (
+          <table className="table table-sm">
+            <thead>
+              <tr><th style={{ width: 150 }}>Problem</th><th>Where</th><th>Reference</th></tr>
+            </thead>
+            <tbody>
+              {problems.map((p, i) => (
+                <tr key={i} className={p.kind === "External" ? "table-warning" : "table-danger"}>
+                  <td>{p.kind}</td>
+                  <td><code className="text-break">{p.where}</code></td>
+                  <td><code className="text-break">{p.detail}</code></td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+        <button className="btn btn-sm btn-outline-secondary" onClick={() => setShowLinks(v => !v)}>
+          {showLinks ? "Hide" : "Show"} all links
+        </button>
+        {showLinks && (
+          <table className="table table-sm mt-2 mb-0">
+            <thead>
+              <tr><th>From</th><th>Target</th></tr>
+            </thead>
+            <tbody>
+              {links.map((l, i) => (
+                <tr key={i}>
+                  <td><code className="text-break">{l.path}</code></td>
+                  <td>{l.target || <span className="text-danger">unresolved</span>} <code className="text-muted">{l.reference}</code></td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+}
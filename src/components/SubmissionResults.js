@@ -0,0 +1,79 @@
+// src/components/SubmissionResults.js
+import React from "react";
+import { fieldLabel } from "../fhir";
+
+const OUTCOME = {
+  submitted: { label: "Submitted", alert: "alert-success", badge: "bg-success" },
+  duplicate: { label: "Already received", alert: "alert-success", badge: "bg-success" },
+  queued: { label: "Queued (offline)", alert: "alert-warning", badge: "bg-warning text-dark" },
+  retrying: { label: "Failed — retrying", alert: "alert-warning", badge: "bg-warning text-dark" },
+  rejected: { label: "Rejected", alert: "alert-danger", badge: "bg-danger" },
+};
+const SEVERITY_ROW = { fatal: "table-danger", error: "table-danger", warning: "table-warning", information: "" };
+
+function time(iso) {
+  return new Date(iso).toLocaleTimeString();
+}
+
+/* Latest submission outcome (server issues mapped to form fields) and the session's submission log */
+export default function SubmissionResults({ log }) {
+  if (!log.length) return null;
+  const [latest] = log;
+  const style = OUTCOME[latest.outcome] || OUTCOME.rejected;
+
+  return (
+    <div className="card mb-3">
+      <div className="card-header">Submission results</div>
+      <div className="card-body">
+        <div className={`alert ${style.alert} mb-2`}>
+          <strong>{style.label}</strong> — {latest.patientName || "patient"} at {time(latest.at)}
+          {latest.via === "outbox" && " (from the Outbox)"}
+          <div>{latest.message}</div>
+          {latest.ids.length > 0 && <div>Server id: <code>{latest.ids.join(", ")}</code></div>}
+          <div className="small text-muted">Bundle {latest.bundleId}</div>
+        </div>
+
+        {latest.issues.length > 0 && (
+          <table className="table table-sm">
+            <thead>
+              <tr><th style={{ width: 90 }}>Severity</th><th>Form field</th><th>Problem</th><th>Expression</th></tr>
+            </thead>
+            <tbody>
+              {latest.issues.map((issue, i) => (
+                <tr key={i} className={SEVERITY_ROW[issue.severity] || ""}>
+                  <td>{issue.severity}</td>
+                  <td>{issue.fields.length ? issue.fields.map((f, j) => <div key={j}>{fieldLabel(f)}</div>) : "—"}</td>
+                  <td>
+                    {issue.details || issue.diagnostics}
+                    {issue.details && issue.diagnostics && <div className="small text-muted">{issue.diagnostics}</div>}
+                    {issue.code && <div className="small text-muted">code: {issue.code}</div>}
+                  </td>
+                  <td>{issue.expression.map(e => <div key={e}><code className="text-break">{e}</code></div>)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+
+        <h6 className="mt-3">This session</h6>
+        <table className="table table-sm mb-0">
+          <thead>
+            <tr><th>Time</th><th>Patient</th><th>Result</th><th>HTTP</th><th>Server id</th><th>Issues</th></tr>
+          </thead>
+          <tbody>
+            {log.map(r => (
+              <tr key={r.key}>
+                <td>{time(r.at)}</td>
+                <td>{r.patientName}</td>
+                <td><span className={`badge ${(OUTCOME[r.outcome] || OUTCOME.rejected).badge}`}>{(OUTCOME[r.outcome] || OUTCOME.rejected).label}</span></td>
+                <td>{r.httpStatus || ""}</td>
+                <td><code className="text-break">{r.ids.join(", ")}</code></td>
+                <td>{r.issues.length || ""}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,47 @@
+// src/components/ValidationPanel.js
+import React from "react";
+import { issueField, fieldLabel } from "../fhir";
+
+/* Offline validation result ({ errors, warnings } from validateBundle) for the given bundle; errors block submission */
+export default function ValidationPanel({ result, bundle }) {
+  if (!result) return null;
+  const { errors, warnings } = result;
+  const issues = [
+    ...errors.map(i => ({ ...i, severity: "error" })),
+    ...warnings.map(i => ({ ...i, severity: "warning" })),
+  ];
+
+  return (
+    <div className={`card mb-3 ${errors.length ? "border-danger" : "border-success"}`}>
+      <div className="card-header d-flex justify-content-between">
+        <span>Validation (FHIR R4 / NRCES)</span>
+        <span>
+          <span className="badge bg-danger me-1">{errors.length} errors</span>
+          <span className="badge bg-warning text-dark">{warnings.length} warnings</span>
+        </span>
+      </div>
+      <div className="card-body">
+        {!issues.length && <div className="text-success">The bundle passed all offline checks.</div>}
+        {issues.length > 0 && (
+          <table className="table table-sm mb-0">
+            <thead>
+              <tr><th style={{ width: 90 }}>Severity</th><th>Form field</th><th>Problem</th></tr>
+            </thead>
+            <tbody>
+              {issues.map((issue, i) => (
+                <tr key={i} className={issue.severity === "error" ? "table-danger" : "table-warning"}>
+                  <td>{issue.severity}</td>
+                  <td>
+                    {fieldLabel(issueField(issue.path, bundle))}
+                    <div><code className="small text-break">{issue.path}</code></div>
+                  </td>
+                  <td>{issue.message}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+}
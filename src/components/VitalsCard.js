@@ -0,0 +1,59 @@
+// src/components/VitalsCard.js
+import React from "react";
+import { VITAL_SIGNS, calculateBmi } from "../fhir";
+
+export const EMPTY_VITALS = { bpSystolic: "", bpDiastolic: "", pulse: "", temperature: "", spo2: "", respRate: "", height: "", weight: "", effective: "" };
+
+/* Vitals panel → LOINC vital-sign Observations; the physical exam text stays as the section narrative */
+export default function VitalsCard({ title, vitals, setVitals, notes, setNotes }) {
+  function updateVital(key, v) {
+    setVitals(prev => ({ ...prev, [key]: v }));
+  }
+
+  const bmi = calculateBmi(vitals.height, vitals.weight);
+
+  function field(key, label, unit, cols = 2) {
+    return (
+      <div className={`col-md-${cols}`}>
+        <label className="form-label">{label}</label>
+        <div className="input-group">
+          <input type="number" step="any" className="form-control" value={vitals[key]} onChange={e => updateVital(key, e.target.value)} />
+          <span className="input-group-text">{unit}</span>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="card mb-3">
+      <div className="card-header">{title}</div>
+      <div className="card-body">
+        <div className="row g-3 mb-3">
+          {field("bpSystolic", "BP systolic", "mmHg")}
+          {field("bpDiastolic", "BP diastolic", "mmHg")}
+          {field("pulse", VITAL_SIGNS.pulse.label, "/min")}
+          {field("temperature", VITAL_SIGNS.temperature.label, "°C")}
+          {field("spo2", VITAL_SIGNS.spo2.label, "%")}
+          {field("respRate", VITAL_SIGNS.respRate.label, "/min")}
+          {field("height", VITAL_SIGNS.height.label, "cm")}
+          {field("weight", VITAL_SIGNS.weight.label, "kg")}
+          <div className="col-md-2">
+            <label className="form-label">{VITAL_SIGNS.bmi.label}</label>
+            <div className="input-group">
+              <input className="form-control" readOnly value={bmi ?? ""} />
+              <span className="input-group-text">kg/m²</span>
+            </div>
+          </div>
+          <div className="col-md-3">
+            <label className="form-label">Recorded at</label>
+            <input type="datetime-local" className="form-control" value={vitals.effective} onChange={e => updateVital("effective", e.target.value)} />
+          </div>
+        </div>
+        <div>
+          <label className="form-label">Physical Examination</label>
+          <textarea className="form-control" rows={2} value={notes} onChange={e => setNotes(e.target.value)} />
+        </div>
+      </div>
+    </div>
+  );
+}
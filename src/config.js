@@ -0,0 +1,161 @@
+// src/config.js
+/*
+  Runtime configuration
+  - The host page injects globals (window.GlobalPractioner, window.GlobalOrganization, ...)
+  - REACT_APP_* variables (inlined at build time) are the fallback
+  - Globals win so one build can serve several facilities
+*/
+
+// CRA inlines process.env at build time; there is no `process` global in the browser
+const env = process.env;
+
+function readGlobal(name) {
+  return (typeof window !== "undefined" && window[name]) || null;
+}
+
+/* ------------------------------ Custodian -------------------------------- */
+/*
+  window.GlobalOrganization may be a FHIR Organization or a plain object:
+    { id, name, hfrId, hipId, address: { line, city, district, state, postalCode, country } | "text", phone, email }
+  Returns the plain shape consumed by buildCustodianOrg.
+*/
+function fromFhirOrganization(org) {
+  const ids = Array.isArray(org.identifier) ? org.identifier : [];
+  const hfr = ids.find(i => i?.system === "https://facility.ndhm.gov.in") || ids[0];
+  const hip = ids.find(i => /hip/i.test(i?.type?.text || "") && i !== hfr);
+  const tel = Array.isArray(org.telecom) ? org.telecom : [];
+  const addr = Array.isArray(org.address) ? org.address[0] : null;
+  return {
+    id: org.id,
+    name: org.name || "",
+    hfrId: hfr?.value || "",
+    hipId: hip?.value || "",
+    address: addr
+      ? { line: (addr.line || []).join(", "), city: addr.city || "", district: addr.district || "", state: addr.state || "", postalCode: addr.postalCode || "", country: addr.country || "" }
+      : null,
+    phone: tel.find(t => t?.system === "phone")?.value || "",
+    email: tel.find(t => t?.system === "email")?.value || "",
+  };
+}
+
+export function getCustodianConfig() {
+  const g = readGlobal("GlobalOrganization");
+  if (g) return g.resourceType === "Organization" ? fromFhirOrganization(g) : { ...g };
+  return {
+    id: env.REACT_APP_ORG_ID || "",
+    name: env.REACT_APP_ORG_NAME || "",
+    hfrId: env.REACT_APP_ORG_HFR_ID || "",
+    hipId: env.REACT_APP_ORG_HIP_ID || "",
+    address: env.REACT_APP_ORG_ADDRESS || null,
+    phone: env.REACT_APP_ORG_PHONE || "",
+    email: env.REACT_APP_ORG_EMAIL || "",
+  };
+}
+
+/* Errors that must block submission (empty array when the custodian is usable) */
+export function validateCustodian(custodian) {
+  const errors = [];
+  if (!custodian?.hfrId?.trim()) errors.push("Custodian facility HFR ID is missing (window.GlobalOrganization.hfrId or REACT_APP_ORG_HFR_ID)");
+  if (!custodian?.name?.trim()) errors.push("Custodian facility name is missing (window.GlobalOrganization.name or REACT_APP_ORG_NAME)");
+  return errors;
+}
+
+/* ------------------------------ Formulary -------------------------------- */
+/* CodeSystem uri for locally coded ("local" code system) medications */
+export function getFormularySystem() {
+  return readGlobal("GlobalFormularySystem") || env.REACT_APP_FORMULARY_SYSTEM || "";
+}
+
+/* ------------------------------- API ------------------------------------- */
+/*
+  Environment profiles for the discharge API. The active one is picked by
+    window.GlobalApiConfig.environment → REACT_APP_ENV → "local" under `npm start`
+  (a build or test run with neither set has no environment and is blocked like an unknown one)
+  and any field can be overridden, runtime first:
+    window.GlobalApiConfig = { environment, baseUrl, bundlePath, patientsPath, conditionalCreate, auth: type | { type, ...oauth } }
+    REACT_APP_API_BASE_URL, REACT_APP_BUNDLE_PATH, REACT_APP_PATIENTS_PATH, REACT_APP_API_CONDITIONAL_CREATE, REACT_APP_API_AUTH
+  conditionalCreate: send If-None-Exist on Bundle.identifier with each bundle POST (src/outbox.js). A custom header
+  makes a cross-origin POST preflighted, so only turn it on for a server whose CORS response lists If-None-Exist in
+  Access-Control-Allow-Headers (or that is served from the same origin); otherwise every submission fails in the
+  browser. Without it the server must de-duplicate on the Bundle.identifier in the body, which a retry never changes.
+  Auth types (see src/auth.js):
+    "oauth"  — OAuth2 / OIDC authorization code + PKCE against the host's login; the default once a token URL is set
+               { tokenUrl, authorizeUrl, clientId, scope, redirectUri, logoutUrl }
+               REACT_APP_AUTH_TOKEN_URL, REACT_APP_AUTH_AUTHORIZE_URL, REACT_APP_AUTH_CLIENT_ID, REACT_APP_AUTH_SCOPE,
+               REACT_APP_AUTH_REDIRECT_URI, REACT_APP_AUTH_LOGOUT_URL
+    "bearer" — legacy static token injected by the host page (window.GlobalAuthToken), no refresh
+    "none"
+  Legacy window.GlobalPatientAPI (full patient list URL) still overrides the patient path.
+  "local" talks to http://localhost:4010 (mock/auth-server.js) unless REACT_APP_API_BASE_URL points at your own
+  backend; there is no dev-server proxy, so the badge always names the server the requests go to.
+  A missing or unknown environment name, or production without a base URL, is never guessed: validateApiConfig
+  reports it and the app refuses to submit.
+  Tokens are only ever obtained at runtime, never baked into the build.
+*/
+const API_DEFAULTS = {
+  bundlePath: "/api/v5/fhir-bundle",
+  patientsPath: "/api/v5/patients",
+  auth: "bearer",
+};
+
+export const API_ENVIRONMENTS = {
+  local: { label: "Local", baseUrl: "http://localhost:4010", badge: "bg-secondary", conditionalCreate: true },
+  uat: { label: "UAT", baseUrl: "https://uat.discharge.org.in", badge: "bg-warning text-dark", conditionalCreate: false },
+  production: { label: "Production", baseUrl: "", badge: "bg-danger", conditionalCreate: false },
+};
+
+function joinUrl(baseUrl, path) {
+  if (/^https?:\/\//i.test(path)) return path;
+  return `${String(baseUrl || "").replace(/\/+$/, "")}/${String(path || "").replace(/^\/+/, "")}`;
+}
+
+/* "true" / "false" from REACT_APP_*; undefined when unset */
+function envFlag(value) {
+  return value === undefined || value === "" ? undefined : value === "true";
+}
+
+function getAuthConfig(g) {
+  const a = g.auth && typeof g.auth === "object" ? g.auth : { type: g.auth };
+  const oauth = {
+    tokenUrl: a.tokenUrl || env.REACT_APP_AUTH_TOKEN_URL || "",
+    authorizeUrl: a.authorizeUrl || env.REACT_APP_AUTH_AUTHORIZE_URL || "",
+    clientId: a.clientId || env.REACT_APP_AUTH_CLIENT_ID || "",
+    scope: a.scope || env.REACT_APP_AUTH_SCOPE || "openid offline_access",
+    redirectUri: a.redirectUri || env.REACT_APP_AUTH_REDIRECT_URI || "",
+    logoutUrl: a.logoutUrl || env.REACT_APP_AUTH_LOGOUT_URL || "",
+  };
+  return { type: a.type || env.REACT_APP_API_AUTH || (oauth.tokenUrl ? "oauth" : API_DEFAULTS.auth), ...oauth };
+}
+
+/* { environment, label, badge, baseUrl, bundleUrl, patientsUrl, conditionalCreate, auth } for the active environment */
+export function getApiConfig() {
+  const g = readGlobal("GlobalApiConfig") || {};
+  const environment = g.environment || env.REACT_APP_ENV || (env.NODE_ENV === "development" ? "local" : "");
+  const profile = API_ENVIRONMENTS[environment]
+    || { label: environment ? `Unknown: ${environment}` : "No environment", baseUrl: "", badge: "bg-dark", conditionalCreate: false };
+  const baseUrl = g.baseUrl ?? env.REACT_APP_API_BASE_URL ?? profile.baseUrl;
+  return {
+    environment,
+    label: profile.label,
+    badge: profile.badge,
+    baseUrl,
+    bundleUrl: joinUrl(baseUrl, g.bundlePath || env.REACT_APP_BUNDLE_PATH || API_DEFAULTS.bundlePath),
+    patientsUrl: readGlobal("GlobalPatientAPI") || joinUrl(baseUrl, g.patientsPath || env.REACT_APP_PATIENTS_PATH || API_DEFAULTS.patientsPath),
+    conditionalCreate: g.conditionalCreate ?? envFlag(env.REACT_APP_API_CONDITIONAL_CREATE) ?? profile.conditionalCreate,
+    auth: getAuthConfig(g),
+  };
+}
+
+/* Errors that must block submission (empty array when the API config is usable) */
+export function validateApiConfig(api) {
+  const errors = [];
+  if (!api.environment) {
+    errors.push(`No API environment is configured (set window.GlobalApiConfig.environment or REACT_APP_ENV to one of ${Object.keys(API_ENVIRONMENTS).join(", ")})`);
+  } else if (!API_ENVIRONMENTS[api.environment]) {
+    errors.push(`Unknown API environment "${api.environment}" (window.GlobalApiConfig.environment or REACT_APP_ENV must be one of ${Object.keys(API_ENVIRONMENTS).join(", ")})`);
+  }
+  if (api.environment === "production" && !String(api.baseUrl || "").trim()) {
+    errors.push("Production API base URL is missing (window.GlobalApiConfig.baseUrl or REACT_APP_API_BASE_URL)");
+  }
+  return errors;
+}
@@ -0,0 +1,60 @@
+import { getApiConfig, validateApiConfig } from "./config";
+
+afterEach(() => {
+  delete window.GlobalApiConfig;
+  delete window.GlobalPatientAPI;
+});
+
+test("a build without an environment is blocked rather than sent to UAT", () => {
+  const unset = getApiConfig();
+  expect(unset.environment).toBe("");
+  expect(validateApiConfig(unset)).toEqual([expect.stringContaining("No API environment is configured")]);
+
+  window.GlobalApiConfig = { environment: "uat" };
+  const api = getApiConfig();
+  expect(api.environment).toBe("uat");
+  expect(api.bundleUrl).toBe("https://uat.discharge.org.in/api/v5/fhir-bundle");
+  expect(api.patientsUrl).toBe("https://uat.discharge.org.in/api/v5/patients");
+});
+
+test("runtime config picks the environment and overrides paths", () => {
+  window.GlobalApiConfig = { environment: "production", baseUrl: "https://his.example.org/", bundlePath: "fhir/bundle", auth: "none" };
+  const api = getApiConfig();
+  expect(api.label).toBe("Production");
+  expect(api.bundleUrl).toBe("https://his.example.org/fhir/bundle");
+  expect(api.patientsUrl).toBe("https://his.example.org/api/v5/patients");
+  expect(api.auth.type).toBe("none");
+});
+
+test("local profile targets the local mock server and keeps the legacy patient API global", () => {
+  window.GlobalApiConfig = { environment: "local" };
+  expect(getApiConfig().bundleUrl).toBe("http://localhost:4010/api/v5/fhir-bundle");
+  window.GlobalPatientAPI = "https://legacy.example.org/patients";
+  const api = getApiConfig();
+  expect(api.patientsUrl).toBe("https://legacy.example.org/patients");
+  expect(api.auth.type).toBe("bearer");
+});
+
+test("switches to OAuth once a token endpoint is configured", () => {
+  window.GlobalApiConfig = { auth: { tokenUrl: "http://localhost:4010/token", authorizeUrl: "http://localhost:4010/authorize", clientId: "discharge" } };
+  expect(getApiConfig().auth).toMatchObject({ type: "oauth", clientId: "discharge", scope: "openid offline_access" });
+});
+
+test("sends If-None-Exist only where the environment allows it", () => {
+  expect(getApiConfig().conditionalCreate).toBe(false);
+  window.GlobalApiConfig = { environment: "local" };
+  expect(getApiConfig().conditionalCreate).toBe(true);
+  window.GlobalApiConfig = { environment: "uat", conditionalCreate: true };
+  expect(getApiConfig().conditionalCreate).toBe(true);
+});
+
+test("reports an unknown environment or a production profile without a base URL instead of guessing", () => {
+  window.GlobalApiConfig = { environment: "uat" };
+  expect(validateApiConfig(getApiConfig())).toEqual([]);
+  window.GlobalApiConfig = { environment: "prodution", baseUrl: "https://his.example.org" };
+  const typo = getApiConfig();
+  expect(typo.environment).toBe("prodution");
+  expect(validateApiConfig(typo)).toEqual([expect.stringContaining('Unknown API environment "prodution"')]);
+  window.GlobalApiConfig = { environment: "production" };
+  expect(validateApiConfig(getApiConfig())).toEqual([expect.stringContaining("Production API base URL is missing")]);
+});
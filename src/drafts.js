@@ -0,0 +1,78 @@
+// src/drafts.js
+/*
+  In-progress discharge summaries saved per patient in localStorage
+  - One entry per patient: "discharge-draft:<patientKey>" → { patientKey, patientName, patient, savedAt, form }
+    (patient is the patient row, so a draft can be resumed without searching for the patient again)
+  - form is the plain form state collected by App (attached files are not kept), including the summary's
+    Bundle.identifier so a resubmission after a reload reuses it
+  - Storage failures (private mode, quota) are logged and ignored; the form keeps working
+*/
+
+const PREFIX = "discharge-draft:";
+
+export const DRAFT_AUTOSAVE_MS = 3000;
+
+function storage() {
+  try {
+    return typeof window !== "undefined" ? window.localStorage : null;
+  } catch {
+    return null;
+  }
+}
+
+/* Stable key for a patient row from patients.json / the patient API */
+export function draftKey(patient) {
+  const id = patient?.user_id ?? patient?.id;
+  return id === undefined || id === null || id === "" ? "" : String(id);
+}
+
+export function loadDraft(patientKey) {
+  const store = storage();
+  if (!store || !patientKey) return null;
+  try {
+    const draft = JSON.parse(store.getItem(PREFIX + patientKey));
+    return draft && typeof draft.form === "object" ? draft : null;
+  } catch (err) {
+    console.warn("Ignoring unreadable draft for patient", patientKey, err);
+    return null;
+  }
+}
+
+export function saveDraft(patientKey, patientName, form, patient = null) {
+  const store = storage();
+  if (!store || !patientKey) return null;
+  const draft = { patientKey, patientName: patientName || "", patient, savedAt: new Date().toISOString(), form };
+  try {
+    store.setItem(PREFIX + patientKey, JSON.stringify(draft));
+    return draft;
+  } catch (err) {
+    console.warn("Could not save draft for patient", patientKey, err);
+    return null;
+  }
+}
+
+export function deleteDraft(patientKey) {
+  storage()?.removeItem(PREFIX + patientKey);
+}
+
+/* Delete the patient's draft when it is the summary the server just confirmed (same Bundle.identifier); true if deleted */
+export function deleteSubmittedDraft(patientKey, bundleIdentifier) {
+  const draft = loadDraft(patientKey);
+  if (!draft || !bundleIdentifier || draft.form.bundleIdentifier !== bundleIdentifier) return false;
+  deleteDraft(patientKey);
+  return true;
+}
+
+/* Every saved draft (without the form), most recent first */
+export function listDrafts() {
+  const store = storage();
+  if (!store) return [];
+  const drafts = [];
+  for (let i = 0; i < store.length; i++) {
+    const key = store.key(i);
+    if (!key?.startsWith(PREFIX)) continue;
+    const draft = loadDraft(key.slice(PREFIX.length));
+    if (draft) drafts.push({ patientKey: draft.patientKey, patientName: draft.patientName, patient: draft.patient || null, savedAt: draft.savedAt });
+  }
+  return drafts.sort((a, b) => String(b.savedAt).localeCompare(String(a.savedAt)));
+}
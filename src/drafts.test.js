@@ -0,0 +1,39 @@
+import { draftKey, saveDraft, loadDraft, deleteDraft, deleteSubmittedDraft, listDrafts } from "./drafts";
+
+beforeEach(() => window.localStorage.clear());
+
+test("keys drafts by the patient's user_id (or id)", () => {
+  expect(draftKey({ user_id: 46, id: 7 })).toBe("46");
+  expect(draftKey({ id: 7 })).toBe("7");
+  expect(draftKey(null)).toBe("");
+});
+
+test("saves, lists and discards drafts per patient", () => {
+  saveDraft("46", "Rohit Kumar", { chiefComplaints: "Fever" });
+  saveDraft("47", "Asha Devi", { chiefComplaints: "Cough" });
+  window.localStorage.setItem("unrelated", "1");
+
+  expect(loadDraft("46").form).toEqual({ chiefComplaints: "Fever" });
+  expect(listDrafts().map(d => d.patientName).sort()).toEqual(["Asha Devi", "Rohit Kumar"]);
+
+  deleteDraft("46");
+  expect(loadDraft("46")).toBeNull();
+  expect(listDrafts()).toEqual([expect.objectContaining({ patientKey: "47", patientName: "Asha Devi" })]);
+});
+
+test("drops a draft once its bundle is confirmed, but not a newer summary", () => {
+  saveDraft("46", "Rohit Kumar", { chiefComplaints: "Fever", bundleIdentifier: "urn:uuid:a" });
+  expect(deleteSubmittedDraft("46", "urn:uuid:b")).toBe(false);
+  expect(loadDraft("46")).not.toBeNull();
+  expect(deleteSubmittedDraft("46", "urn:uuid:a")).toBe(true);
+  expect(loadDraft("46")).toBeNull();
+  expect(deleteSubmittedDraft("46", "urn:uuid:a")).toBe(false);
+});
+
+test("ignores unreadable drafts", () => {
+  window.localStorage.setItem("discharge-draft:48", "{not json");
+  jest.spyOn(console, "warn").mockImplementation(() => {});
+  expect(loadDraft("48")).toBeNull();
+  expect(listDrafts()).toEqual([]);
+  console.warn.mockRestore();
+});
@@ -0,0 +1,223 @@
+// src/fhir/bundle.js
+import { uuidv4, safeUuid, nowISOWithOffset } from "./utils";
+import {
+  buildPatientResource,
+  buildPractitionerResource,
+  buildCustodianOrg,
+  buildEncounterResource,
+  buildConditionResources,
+  buildAllergyIntoleranceResources,
+  buildFamilyMemberHistoryResources,
+  buildProcedureResources,
+  buildObservationResources,
+  buildVitalSignObservations,
+  presentVitalSigns,
+  buildDiagnosticReportResource,
+  buildMedicationRequests,
+  buildMedicationStatements,
+  medicationReconciliationHtml,
+  buildCarePlanResource,
+  buildBinaryAndDocRef,
+  buildComposition,
+} from "./resources";
+import { LOINC_LAB_REPORT } from "./codes";
+import { renderDischargeSummaryPdf } from "./summaryPdf";
+
+/*
+  Build a Discharge Summary document Bundle from a plain input object.
+
+  input = {
+    patient,          // raw patient record (patients.json / /api/v5/patients shape)
+    abhaAddress,      // selected ABHA address (optional)
+    practitioner,     // { id, name, license } — id is made UUID-safe
+    custodian,        // { id, name, hfrId, hipId, address, phone, email } — see buildCustodianOrg
+    composition,      // { status, title }
+    encounter,        // { classCode: "IMP"|"EMER"|"AMB", admittedAt, dischargedAt, admitSource,
+                      //   dischargeDisposition, location, episodeId } — datetime-local values
+    sections,         // { chiefComplaints, physicalExam, allergies, medicalHistory,
+                      //   familyHistory, investigations, procedures, carePlan }
+    vitals,           // { bpSystolic, bpDiastolic, pulse, temperature, spo2, respRate,
+                      //   height, weight, bmi, effective } — BMI derived when blank
+    diagnoses,        // [{ codeSystem: "icd10"|"snomed", code, display, clinicalStatus,
+                      //    role: "admission"|"discharge"|"primary"|"secondary", onsetDate }]
+    allergies,        // [{ codeSystem, code, display, category, criticality, manifestation,
+                      //    severity, verificationStatus }] — sections.allergies stays as a note
+    familyHistory,    // [{ relationship (v3-RoleCode e.g. "FTH"), codeSystem, code, display, onsetAge }]
+    procedures,       // [{ codeSystem, code, display, status, performedStart, performedEnd,
+                      //    performer, bodySite, outcome }] — blank performer = practitioner
+    investigations,   // [{ codeSystem, code, display, effective, conclusion, attachment,
+                      //    observations: [{ codeSystem, code, display, value, unit, low, high,
+                      //                     interpretation, effective }] }]
+    medications,      // [{ codeSystem: "snomed"|"local", code, display, strength, doseValue, doseUnit,
+                      //    route, frequency, duration, durationUnit, asNeeded, additionalInstruction,
+                      //    dispenseQuantity, dispenseUnit, dosageText (override),
+                      //    reconciliation: "new"|"continued"|"changed"|"stopped", priorDosage, stopReason }]
+                      //    — home (pre-admission) drugs also get a MedicationStatement; stopped ones no request
+    formularySystem,  // CodeSystem uri for "local" formulary codes (optional)
+    attachment,       // { contentType, data } base64 without prefix (optional) — when absent a discharge
+                      //   summary PDF is rendered from the built resources
+    authoredOn,       // ISO datetime with offset (optional, defaults to now)
+    identifier,       // Bundle.identifier value "urn:uuid:<uuid>" (optional, new uuid when absent) — pass the same value
+                      //   every time the same summary is rebuilt so a resubmission is recognisable as a duplicate
+  }
+
+  Returns the Bundle; the Composition is always the first entry.
+*/
+export function buildDischargeSummaryBundle(input) {
+  const {
+    patient,
+    abhaAddress = "",
+    practitioner = {},
+    custodian = {},
+    composition: compMeta = {},
+    encounter = {},
+    sections = {},
+    vitals = {},
+    diagnoses = [],
+    allergies = [],
+    familyHistory = [],
+    procedures = [],
+    investigations = [],
+    medications = [],
+    attachment = null,
+    identifier = "",
+  } = input || {};
+
+  if (!patient) throw new Error("buildDischargeSummaryBundle: patient is required");
+
+  const authoredOn = input.authoredOn || nowISOWithOffset();
+  const practitionerName = practitioner.name || "Dr. ABC";
+  // rows without a code or a description are blank editor rows, not diagnoses
+  const codedDiagnoses = diagnoses.filter(d => d?.code?.trim() || d?.display?.trim());
+  const codedAllergies = allergies.filter(a => a?.code?.trim() || a?.display?.trim());
+  const codedFamilyHistory = familyHistory.filter(f => f?.code?.trim() || f?.display?.trim());
+  const codedProcedures = procedures.filter(p => p?.code?.trim() || p?.display?.trim());
+  const codedMedications = medications.filter(m => m?.code?.trim() || m?.display?.trim() || m?.medicationText?.trim());
+  const reportPlans = investigations
+    .map(r => ({ ...r, observations: (r?.observations || []).filter(o => o?.code?.trim() || o?.display?.trim()) }))
+    .filter(r => r.code?.trim() || r.display?.trim() || r.observations.length)
+    .map(r => ({
+      report: r,
+      id: uuidv4(),
+      obsIds: r.observations.map(() => uuidv4()),
+      binaryId: r.attachment?.data ? uuidv4() : null,
+      docRefId: r.attachment?.data ? uuidv4() : null,
+    }));
+
+  // Generate UUIDs for all bundle-local resources
+  const bundleId = `DischargeSummaryBundle-${uuidv4()}`;
+  const compId = uuidv4();
+  const patId = uuidv4();
+  const encId = uuidv4();
+  // bundle-local practitioner id must be a UUID for urn:uuid
+  const pracId = safeUuid(practitioner.id);
+  const orgId = safeUuid(custodian.id);
+  const vitalIds = presentVitalSigns(vitals).map(() => uuidv4());
+  const conditionIds = codedDiagnoses.map(() => uuidv4());
+  const allergyIds = codedAllergies.map(() => uuidv4());
+  const familyHistoryIds = codedFamilyHistory.map(() => uuidv4());
+  const procedureIds = codedProcedures.map(() => uuidv4());
+  const medStatementIds = codedMedications.map(() => uuidv4());
+  const medReqIds = codedMedications.map(() => uuidv4());
+  const carePlanId = sections.carePlan?.trim() ? uuidv4() : null;
+  const binaryId = uuidv4();
+  const docRefId = uuidv4();
+
+  const ctx = { patId, encId, pracId, orgId, practitionerName, authoredOn, formularySystem: input.formularySystem || null };
+
+  // Build resources
+  const patientRes = buildPatientResource(patId, patient, abhaAddress);
+  const practitionerRes = buildPractitionerResource(pracId, { name: practitionerName, license: practitioner.license || "LIC-TEMP-0001" });
+  const vitalRes = buildVitalSignObservations(vitalIds, vitals, ctx);
+  const conditions = buildConditionResources(conditionIds, codedDiagnoses, ctx);
+  const encounterRes = buildEncounterResource(encId, encounter, ctx, codedDiagnoses.map((d, i) => ({ id: conditionIds[i], role: d.role })));
+  const allergyRes = buildAllergyIntoleranceResources(allergyIds, codedAllergies, ctx);
+  const familyHistoryRes = buildFamilyMemberHistoryResources(familyHistoryIds, codedFamilyHistory, ctx);
+  const procedureRes = buildProcedureResources(procedureIds, codedProcedures, ctx);
+  const investigationRes = reportPlans.map(plan => {
+    const observations = buildObservationResources(plan.obsIds, plan.report.observations, ctx, { effective: plan.report.effective });
+    const attached = plan.binaryId
+      ? buildBinaryAndDocRef(plan.binaryId, plan.docRefId, plan.report.attachment, ctx, { coding: [LOINC_LAB_REPORT], text: plan.report.display || LOINC_LAB_REPORT.display })
+      : null;
+    const report = buildDiagnosticReportResource(plan.id, plan.report, plan.obsIds, plan.binaryId, attached?.binary.contentType, ctx);
+    return { report, observations, binary: attached?.binary, docRef: attached?.docRef };
+  });
+  const reports = investigationRes.map(r => r.report);
+  const reportDocRefs = investigationRes.map(r => r.docRef).filter(Boolean);
+  const medStatements = buildMedicationStatements(medStatementIds, codedMedications, ctx);
+  const medReqs = buildMedicationRequests(medReqIds, codedMedications, ctx);
+  const carePlanRes = carePlanId ? buildCarePlanResource(carePlanId, sections.carePlan, ctx) : null;
+  const custodianRes = buildCustodianOrg(orgId, custodian);
+  const documentAttachment = attachment?.data ? attachment : {
+    contentType: "application/pdf",
+    data: renderDischargeSummaryPdf({
+      title: compMeta.title || "Discharge Summary",
+      status: compMeta.status || "final",
+      authoredOn,
+      organization: custodianRes,
+      patient: patientRes,
+      practitioner: practitionerRes,
+      encounter: encounterRes,
+      sections,
+      vitals: vitalRes,
+      conditions,
+      allergies: allergyRes,
+      familyHistory: familyHistoryRes,
+      procedures: procedureRes,
+      reports,
+      observations: investigationRes.flatMap(r => r.observations),
+      medStatements,
+      medReqs,
+      carePlan: carePlanRes,
+    }),
+  };
+  const { binary, docRef } = buildBinaryAndDocRef(binaryId, docRefId, documentAttachment, ctx);
+  const composition = buildComposition(
+    compId,
+    { status: compMeta.status || "final", title: compMeta.title || "Discharge Summary" },
+    sections,
+    {
+      vitals: vitalRes,
+      conditions,
+      allergies: allergyRes,
+      familyHistory: familyHistoryRes,
+      procedures: procedureRes,
+      reports,
+      reportDocRefs,
+      medStatements,
+      medReqs,
+      medicationSummary: medicationReconciliationHtml(codedMedications),
+      carePlan: carePlanRes,
+      docRef,
+    },
+    ctx
+  );
+
+  // Assemble document Bundle (ensure Composition is first)
+  return {
+    resourceType: "Bundle",
+    id: bundleId,
+    meta: { lastUpdated: authoredOn },
+    identifier: { system: "urn:ietf:rfc:3986", value: identifier || `urn:uuid:${uuidv4()}` },
+    type: "document",
+    timestamp: authoredOn,
+    entry: [
+      { fullUrl: `urn:uuid:${compId}`, resource: composition },
+      { fullUrl: `urn:uuid:${patId}`, resource: patientRes },
+      { fullUrl: `urn:uuid:${pracId}`, resource: practitionerRes },
+      { fullUrl: `urn:uuid:${encId}`, resource: encounterRes },
+      ...vitalRes.map((r, i) => ({ fullUrl: `urn:uuid:${vitalIds[i]}`, resource: r })),
+      ...conditions.map((r, i) => ({ fullUrl: `urn:uuid:${conditionIds[i]}`, resource: r })),
+      ...allergyRes.map((r, i) => ({ fullUrl: `urn:uuid:${allergyIds[i]}`, resource: r })),
+      ...familyHistoryRes.map((r, i) => ({ fullUrl: `urn:uuid:${familyHistoryIds[i]}`, resource: r })),
+      ...procedureRes.map((r, i) => ({ fullUrl: `urn:uuid:${procedureIds[i]}`, resource: r })),
+      ...investigationRes.flatMap(r => [r.report, ...r.observations, ...(r.docRef ? [r.docRef, r.binary] : [])])
+        .map(r => ({ fullUrl: `urn:uuid:${r.id}`, resource: r })),
+      ...[...medStatements, ...medReqs].map(r => ({ fullUrl: `urn:uuid:${r.id}`, resource: r })),
+      ...(carePlanRes ? [{ fullUrl: `urn:uuid:${carePlanId}`, resource: carePlanRes }] : []),
+      { fullUrl: `urn:uuid:${docRefId}`, resource: docRef },
+      { fullUrl: `urn:uuid:${binaryId}`, resource: binary },
+      { fullUrl: `urn:uuid:${orgId}`, resource: custodianRes },
+    ],
+  };
+}
@@ -0,0 +1,376 @@
+import { buildDischargeSummaryBundle } from "./bundle";
+import { isUuid } from "./utils";
+
+const patient = {
+  user_id: 46,
+  name: "Rohit Kumar",
+  gender: "Male",
+  dob: "30-12-1991",
+  mobile: "7273000898",
+  abha_ref: "91-7104-3321-8355",
+  address: "Gaya, Bihar-823002",
+};
+
+function baseInput(overrides = {}) {
+  return {
+    patient,
+    abhaAddress: "rohit@sbx",
+    practitioner: { id: "cf362b2c-8bbe-46b1-b3c5-9a46a0b363e9", name: "Dr. A. Verma", license: "21-1521-3828-3227" },
+    composition: { status: "final", title: "Discharge Summary" },
+    sections: { chiefComplaints: "Fever for 3 days", carePlan: "Review after 1 week" },
+    medications: [{ medicationText: "Paracetamol 500mg", dosageText: "One tablet twice a day" }],
+    authoredOn: "2025-09-12T10:00:00+05:30",
+    ...overrides,
+  };
+}
+
+function byType(bundle, type) {
+  return bundle.entry.filter(e => e.resource.resourceType === type).map(e => e.resource);
+}
+
+test("builds a document bundle with the Composition first", () => {
+  const bundle = buildDischargeSummaryBundle(baseInput());
+  expect(bundle.resourceType).toBe("Bundle");
+  expect(bundle.type).toBe("document");
+  expect(bundle.timestamp).toBe("2025-09-12T10:00:00+05:30");
+  expect(bundle.entry[0].resource.resourceType).toBe("Composition");
+  expect(bundle.entry.map(e => e.resource.resourceType)).toEqual([
+    "Composition", "Patient", "Practitioner", "Encounter", "MedicationRequest", "CarePlan", "DocumentReference", "Binary", "Organization",
+  ]);
+});
+
+test("maps patient, practitioner and medications from the input", () => {
+  const bundle = buildDischargeSummaryBundle(baseInput());
+  const [pat] = byType(bundle, "Patient");
+  expect(pat.birthDate).toBe("1991-12-30");
+  expect(pat.gender).toBe("male");
+  expect(pat.identifier.map(i => i.value)).toEqual(["91-7104-3321-8355", "rohit@sbx"]);
+
+  const [prac] = byType(bundle, "Practitioner");
+  expect(prac.id).toBe("cf362b2c-8bbe-46b1-b3c5-9a46a0b363e9");
+  expect(prac.identifier[0].value).toBe("21-1521-3828-3227");
+
+  const [med] = byType(bundle, "MedicationRequest");
+  expect(med.medicationCodeableConcept).toEqual({ text: "Paracetamol 500mg" });
+  expect(med.dosageInstruction[0].text).toBe("One tablet twice a day");
+  expect(med.requester.reference).toBe(`urn:uuid:${prac.id}`);
+});
+
+test("keeps a given Bundle.identifier across rebuilds and mints one otherwise", () => {
+  const identifier = "urn:uuid:0b6f9c52-5d2a-4c1e-9a37-2f1d3c4b5a69";
+  expect(buildDischargeSummaryBundle(baseInput({ identifier })).identifier).toEqual({ system: "urn:ietf:rfc:3986", value: identifier });
+  expect(buildDischargeSummaryBundle(baseInput({ identifier })).identifier.value).toBe(identifier);
+  const minted = buildDischargeSummaryBundle(baseInput()).identifier.value;
+  expect(isUuid(minted.replace("urn:uuid:", ""))).toBe(true);
+  expect(buildDischargeSummaryBundle(baseInput()).identifier.value).not.toBe(minted);
+});
+
+test("every fullUrl is a urn:uuid matching the resource id", () => {
+  const bundle = buildDischargeSummaryBundle(baseInput({ practitioner: { id: "not-a-uuid", name: "Dr. X" } }));
+  bundle.entry.forEach(e => {
+    expect(e.fullUrl).toBe(`urn:uuid:${e.resource.id}`);
+    expect(isUuid(e.resource.id)).toBe(true);
+  });
+  const [comp] = byType(bundle, "Composition");
+  const [org] = byType(bundle, "Organization");
+  expect(comp.custodian.reference).toBe(`urn:uuid:${org.id}`);
+});
+
+test("omits the CarePlan when no care plan text is given and uses the attachment when provided", () => {
+  const bundle = buildDischargeSummaryBundle(baseInput({
+    sections: {},
+    attachment: { contentType: "image/jpeg", data: "AAAA" },
+  }));
+  expect(byType(bundle, "CarePlan")).toHaveLength(0);
+  const [binary] = byType(bundle, "Binary");
+  expect(binary).toMatchObject({ contentType: "image/jpeg", data: "AAAA" });
+});
+
+test("throws without a patient", () => {
+  expect(() => buildDischargeSummaryBundle(baseInput({ patient: null }))).toThrow(/patient is required/);
+});
+
+test("emits coded diagnoses as Condition resources linked from the Encounter and Composition", () => {
+  const bundle = buildDischargeSummaryBundle(baseInput({
+    diagnoses: [
+      { codeSystem: "icd10", code: "A01.0", display: "Typhoid fever", clinicalStatus: "active", role: "primary", onsetDate: "2025-09-01" },
+      { codeSystem: "snomed", code: "", display: "", clinicalStatus: "active", role: "secondary" },
+    ],
+  }));
+  const conditions = byType(bundle, "Condition");
+  expect(conditions).toHaveLength(1);
+  expect(conditions[0].code.coding[0]).toEqual({ system: "http://hl7.org/fhir/sid/icd-10", code: "A01.0", display: "Typhoid fever" });
+  expect(conditions[0].onsetDateTime).toBe("2025-09-01");
+
+  const [enc] = byType(bundle, "Encounter");
+  expect(enc.diagnosis[0]).toMatchObject({ condition: { reference: `urn:uuid:${conditions[0].id}` }, rank: 1 });
+  expect(enc.diagnosis[0].use.coding[0].code).toBe("DD");
+
+  const [comp] = byType(bundle, "Composition");
+  const section = comp.section.find(s => s.title === "Diagnoses");
+  expect(section.entry).toEqual([{ reference: `urn:uuid:${conditions[0].id}`, type: "Condition" }]);
+});
+
+test("emits AllergyIntolerance entries and keeps the free-text allergy note on the section", () => {
+  const bundle = buildDischargeSummaryBundle(baseInput({
+    sections: { allergies: "Mild dust allergy reported by family" },
+    allergies: [{ codeSystem: "snomed", code: "764146007", display: "Penicillin", category: "medication", criticality: "high", manifestation: "Urticaria", severity: "moderate", verificationStatus: "confirmed" }],
+  }));
+  const [allergy] = byType(bundle, "AllergyIntolerance");
+  expect(allergy.category).toEqual(["medication"]);
+  expect(allergy.criticality).toBe("high");
+  expect(allergy.reaction[0]).toEqual({ manifestation: [{ text: "Urticaria" }], severity: "moderate" });
+  expect(allergy.patient.reference).toBe(`urn:uuid:${byType(bundle, "Patient")[0].id}`);
+
+  const [comp] = byType(bundle, "Composition");
+  const section = comp.section.find(s => s.code.coding[0].code === "722446000");
+  expect(section.entry).toEqual([{ reference: `urn:uuid:${allergy.id}`, type: "AllergyIntolerance" }]);
+  expect(section.text.status).toBe("additional");
+  expect(section.text.div).toContain("Mild dust allergy");
+});
+
+test("emits Procedure entries with the practitioner as default performer", () => {
+  const bundle = buildDischargeSummaryBundle(baseInput({
+    procedures: [
+      { codeSystem: "snomed", code: "80146002", display: "Appendectomy", status: "completed", performedStart: "2025-09-10", performedEnd: "", performer: "", bodySite: "Appendix", outcome: "Uneventful" },
+      { codeSystem: "snomed", code: "", display: "Wound dressing", performedStart: "", performer: "Nurse Rekha" },
+    ],
+  }));
+  const [prac] = byType(bundle, "Practitioner");
+  const [appendectomy, dressing] = byType(bundle, "Procedure");
+  expect(appendectomy.performedDateTime).toBe("2025-09-10");
+  expect(appendectomy.performer[0].actor.reference).toBe(`urn:uuid:${prac.id}`);
+  expect(appendectomy.bodySite).toEqual([{ text: "Appendix" }]);
+  expect(appendectomy.outcome).toEqual({ text: "Uneventful" });
+  expect(dressing.code).toEqual({ text: "Wound dressing" });
+  expect(dressing.performer[0].actor).toEqual({ display: "Nurse Rekha" });
+
+  const [comp] = byType(bundle, "Composition");
+  const section = comp.section.find(s => s.code.coding[0].code === "1003640003");
+  expect(section.entry.map(e => e.type)).toEqual(["Procedure", "Procedure"]);
+});
+
+test("groups lab Observations under DiagnosticReports and attaches report PDFs", () => {
+  const bundle = buildDischargeSummaryBundle(baseInput({
+    investigations: [{
+      codeSystem: "loinc", code: "58410-2", display: "Complete blood count", effective: "2025-09-11", conclusion: "Mild anaemia",
+      attachment: { contentType: "application/pdf", data: "JVBERi0=" },
+      observations: [
+        { codeSystem: "loinc", code: "718-7", display: "Hemoglobin", value: "10.2", unit: "g/dL", low: "13", high: "17", interpretation: "L" },
+        { codeSystem: "loinc", code: "", display: "Peripheral smear", value: "Microcytic hypochromic", unit: "" },
+        { codeSystem: "loinc", code: "", display: "" },
+      ],
+    }],
+  }));
+  const [report] = byType(bundle, "DiagnosticReport");
+  const [hb, smear] = byType(bundle, "Observation");
+  expect(byType(bundle, "Observation")).toHaveLength(2);
+  expect(hb.valueQuantity).toEqual({ value: 10.2, unit: "g/dL", system: "http://unitsofmeasure.org", code: "g/dL" });
+  expect(hb.referenceRange[0].low.value).toBe(13);
+  expect(hb.interpretation[0].coding[0].code).toBe("L");
+  expect(hb.effectiveDateTime).toBe("2025-09-11");
+  expect(smear.valueString).toBe("Microcytic hypochromic");
+  expect(report.result.map(r => r.reference)).toEqual([`urn:uuid:${hb.id}`, `urn:uuid:${smear.id}`]);
+
+  const binary = byType(bundle, "Binary").find(b => b.data === "JVBERi0=");
+  expect(report.presentedForm[0].url).toBe(`urn:uuid:${binary.id}`);
+  const labDocRef = byType(bundle, "DocumentReference").find(d => d.type.coding[0].code === "11502-2");
+  expect(labDocRef.content[0].attachment.url).toBe(`urn:uuid:${binary.id}`);
+
+  const [comp] = byType(bundle, "Composition");
+  const section = comp.section.find(s => s.code.coding[0].code === "721981007");
+  expect(section.entry).toEqual([
+    { reference: `urn:uuid:${report.id}`, type: "DiagnosticReport" },
+    { reference: `urn:uuid:${labDocRef.id}`, type: "DocumentReference" },
+  ]);
+});
+
+test("emits LOINC vital-sign Observations with an auto-calculated BMI under the physical exam section", () => {
+  const bundle = buildDischargeSummaryBundle(baseInput({
+    sections: { physicalExam: "Pallor present" },
+    vitals: { bpSystolic: "120", bpDiastolic: "80", pulse: "72", temperature: "", height: "170", weight: "65" },
+  }));
+  const vitals = byType(bundle, "Observation");
+  expect(vitals.map(v => v.code.coding[0].code)).toEqual(["85354-9", "8867-4", "8302-2", "29463-7", "39156-5"]);
+  expect(vitals[0].component.map(c => c.valueQuantity.value)).toEqual([120, 80]);
+  expect(vitals[4].valueQuantity).toMatchObject({ value: 22.5, code: "kg/m2" });
+  vitals.forEach(v => expect(v.category[0].coding[0].code).toBe("vital-signs"));
+
+  const [comp] = byType(bundle, "Composition");
+  const section = comp.section.find(s => s.code.coding[0].code === "425044008");
+  expect(section.entry).toHaveLength(5);
+  expect(section.text.div).toContain("Pallor present");
+});
+
+test("emits FamilyMemberHistory entries with v3-RoleCode relationship and onset age", () => {
+  const bundle = buildDischargeSummaryBundle(baseInput({
+    familyHistory: [{ relationship: "MTH", codeSystem: "snomed", code: "44054006", display: "Diabetes mellitus type 2", onsetAge: "45" }],
+  }));
+  const [fmh] = byType(bundle, "FamilyMemberHistory");
+  expect(fmh.relationship.coding[0]).toEqual({ system: "http://terminology.hl7.org/CodeSystem/v3-RoleCode", code: "MTH", display: "mother" });
+  expect(fmh.condition[0].onsetAge).toMatchObject({ value: 45, code: "a" });
+
+  const [comp] = byType(bundle, "Composition");
+  const section = comp.section.find(s => s.code.coding[0].code === "422432008");
+  expect(section.entry).toEqual([{ reference: `urn:uuid:${fmh.id}`, type: "FamilyMemberHistory" }]);
+});
+
+test("builds an inpatient Encounter with admission, discharge and hospitalization details", () => {
+  const bundle = buildDischargeSummaryBundle(baseInput({
+    encounter: {
+      classCode: "IMP",
+      admittedAt: "2025-09-05",
+      dischargedAt: "2025-09-12",
+      admitSource: "emd",
+      dischargeDisposition: "lama",
+      location: "Surgical Ward B, Bed 12",
+      episodeId: "IP-2025-001234",
+    },
+  }));
+  const [enc] = byType(bundle, "Encounter");
+  expect(enc.class.code).toBe("IMP");
+  expect(enc.period).toEqual({ start: "2025-09-05", end: "2025-09-12" });
+  expect(enc.hospitalization.admitSource.coding[0].code).toBe("emd");
+  expect(enc.hospitalization.dischargeDisposition.coding[0].code).toBe("aadvice");
+  expect(enc.location[0].location.display).toBe("Surgical Ward B, Bed 12");
+  expect(enc.identifier[0].value).toBe("IP-2025-001234");
+});
+
+test("builds the custodian Organization from the configured facility", () => {
+  const bundle = buildDischargeSummaryBundle(baseInput({
+    custodian: { name: "City Hospital", hfrId: "IN0410000183", hipId: "HIP-CITY-01", address: { city: "Gaya", state: "Bihar" }, phone: "+910000000000" },
+  }));
+  const [org] = byType(bundle, "Organization");
+  expect(org.name).toBe("City Hospital");
+  expect(org.identifier.map(i => [i.type.text, i.value])).toEqual([["HFR ID", "IN0410000183"], ["HIP ID", "HIP-CITY-01"]]);
+  expect(org.identifier[0].system).toBe("https://facility.ndhm.gov.in");
+  expect(org.address).toEqual([{ city: "Gaya", state: "Bihar", country: "IN" }]);
+  expect(org.telecom).toEqual([{ system: "phone", value: "+910000000000", use: "work" }]);
+});
+
+test("builds coded MedicationRequests with structured dosage and a generated instruction", () => {
+  const bundle = buildDischargeSummaryBundle(baseInput({
+    formularySystem: "https://hospital.example.org/fhir/CodeSystem/formulary",
+    medications: [
+      {
+        codeSystem: "local", code: "PCM500", display: "Paracetamol", strength: "500 mg",
+        doseValue: "1", doseUnit: "tablet", route: "oral", frequency: "TDS", duration: "5", durationUnit: "d",
+        asNeeded: true, additionalInstruction: "after-food", dispenseQuantity: "15", dosageText: "",
+      },
+    ],
+  }));
+  const [med] = byType(bundle, "MedicationRequest");
+  expect(med.medicationCodeableConcept).toEqual({
+    coding: [{ system: "https://hospital.example.org/fhir/CodeSystem/formulary", code: "PCM500", display: "Paracetamol 500 mg" }],
+    text: "Paracetamol 500 mg",
+  });
+  const dosage = med.dosageInstruction[0];
+  expect(dosage.text).toBe("1 tablet orally three times a day after food for 5 days as needed");
+  expect(dosage.timing.repeat).toEqual({
+    boundsDuration: { value: 5, unit: "days", system: "http://unitsofmeasure.org", code: "d" },
+    frequency: 3, period: 1, periodUnit: "d",
+  });
+  expect(dosage.route.coding[0].code).toBe("26643006");
+  expect(dosage.additionalInstruction[0].coding[0].code).toBe("311504000");
+  expect(dosage.asNeededBoolean).toBe(true);
+  expect(dosage.doseAndRate[0].doseQuantity).toEqual({ value: 1, unit: "tablet" });
+  expect(med.dispenseRequest.quantity).toEqual({ value: 15, unit: "tablet" });
+});
+
+test("reconciles home medications into MedicationStatements and groups them in the section narrative", () => {
+  const bundle = buildDischargeSummaryBundle(baseInput({
+    medications: [
+      { display: "Amoxicillin", strength: "500 mg", dosageText: "1 capsule TDS", reconciliation: "new" },
+      { display: "Metformin", strength: "500 mg", dosageText: "1 tablet BD", reconciliation: "continued" },
+      { display: "Amlodipine", strength: "10 mg", dosageText: "1 tablet OD", reconciliation: "changed", priorDosage: "5 mg OD" },
+      { display: "Aspirin", strength: "75 mg", dosageText: "1 tablet OD", reconciliation: "stopped", stopReason: "GI bleed" },
+      { display: "", code: "" },
+    ],
+  }));
+  const requests = byType(bundle, "MedicationRequest");
+  expect(requests.map(r => r.medicationCodeableConcept.text)).toEqual(["Amoxicillin 500 mg", "Metformin 500 mg", "Amlodipine 10 mg"]);
+  const statements = byType(bundle, "MedicationStatement");
+  expect(statements.map(s => [s.medicationCodeableConcept.text, s.status, s.statusReason?.[0].text])).toEqual([
+    ["Metformin 500 mg", "active", undefined],
+    ["Amlodipine 10 mg", "stopped", "Dose changed during admission"],
+    ["Aspirin 75 mg", "stopped", "GI bleed"],
+  ]);
+  expect(statements[1].dosage).toEqual([{ text: "5 mg OD" }]);
+
+  const section = byType(bundle, "Composition")[0].section.find(s => s.title === "Medications");
+  expect(section.entry.map(e => e.type)).toEqual(["MedicationStatement", "MedicationStatement", "MedicationStatement", "MedicationRequest", "MedicationRequest", "MedicationRequest"]);
+  const fullUrls = bundle.entry.map(e => e.fullUrl);
+  section.entry.forEach(e => expect(fullUrls).toContain(e.reference));
+  expect(section.text.status).toBe("additional");
+  expect(section.text.div).toContain("<th colspan=\"3\">Stopped</th></tr><tr><td>Aspirin 75 mg</td><td>1 tablet OD</td><td>GI bleed</td>");
+  expect(section.text.div).toContain("Previously: 5 mg OD");
+});
+
+test("every resource and section carries an escaped XHTML narrative", () => {
+  const bundle = buildDischargeSummaryBundle(baseInput({
+    patient: { ...patient, name: "Rohit <b>Kumar</b>" },
+    sections: { chiefComplaints: "Pain & fever > 3 days", carePlan: "Review after 1 week" },
+    diagnoses: [{ codeSystem: "icd10", code: "A01.0", display: "Typhoid fever" }],
+    allergies: [{ codeSystem: "snomed", code: "764146007", display: "Penicillin", manifestation: "Urticaria" }],
+    familyHistory: [{ relationship: "MTH", display: "Diabetes mellitus type 2", onsetAge: "45" }],
+    procedures: [{ display: "Appendicectomy", performedStart: "2025-09-06T10:00" }],
+    vitals: { bpSystolic: "120", bpDiastolic: "80", pulse: "72" },
+    investigations: [{ display: "Complete blood count", observations: [{ display: "Haemoglobin", value: "13.5", unit: "g/dL", low: "13", high: "17" }] }],
+  }));
+  const types = new Set(bundle.entry.map(e => e.resource.resourceType));
+  ["Condition", "AllergyIntolerance", "FamilyMemberHistory", "Procedure", "Observation", "DiagnosticReport"].forEach(t => expect(types).toContain(t));
+  bundle.entry.filter(e => e.resource.resourceType !== "Binary").forEach(({ resource }) => {
+    expect(resource.text.div).toMatch(/^<div xmlns="http:\/\/www\.w3\.org\/1999\/xhtml" lang="en-IN" xml:lang="en-IN">/);
+  });
+  expect(byType(bundle, "Condition")[0].text.div).toContain("<tr><th>Code</th><td>ICD-10 A01.0</td></tr>");
+  expect(byType(bundle, "Observation").map(o => o.text.div)).toEqual(expect.arrayContaining([
+    expect.stringContaining("<td>120/80 mm[Hg]</td>"),
+    expect.stringContaining("<tr><th>Reference range</th><td>13 – 17 g/dL</td></tr>"),
+  ]));
+  expect(byType(bundle, "Patient")[0].text.div).toContain("<td>Rohit &lt;b&gt;Kumar&lt;/b&gt;</td>");
+  expect(byType(bundle, "MedicationRequest")[0].text.div).toContain("<tr><td>Paracetamol 500mg</td><td>One tablet twice a day</td><td></td></tr>");
+
+  const sections = byType(bundle, "Composition")[0].section;
+  sections.forEach(sec => expect(sec.text.div).toContain("xmlns=\"http://www.w3.org/1999/xhtml\""));
+  expect(sections.find(s => s.title === "Chief Complaints").text.div).toContain("<p>Pain &amp; fever &gt; 3 days</p>");
+  const diagnoses = sections.find(s => s.title === "Diagnoses");
+  expect(diagnoses.entry).toHaveLength(1);
+  expect(diagnoses.text).toEqual({ status: "generated", div: expect.stringContaining("<li>Typhoid fever</li>") });
+});
+
+test("gives sections left blank an empty narrative without asserting an emptyReason", () => {
+  const bundle = buildDischargeSummaryBundle(baseInput());
+  const sections = byType(bundle, "Composition")[0].section;
+  const familyHistory = sections.find(s => s.title === "Family History");
+  expect(familyHistory.text).toEqual({ status: "empty", div: expect.stringContaining("<p>No data</p>") });
+  expect(sections.find(s => s.title === "Diagnoses").text.div).toContain("<p>No diagnoses recorded</p>");
+  sections.forEach(s => expect(s.emptyReason).toBeUndefined());
+  ["Chief Complaints", "Medications", "Care Plan"].forEach(title => {
+    expect(sections.find(s => s.title === title).text.status).not.toBe("empty");
+  });
+});
+
+test("renders a discharge summary PDF into the Binary when no document is uploaded", () => {
+  const bundle = buildDischargeSummaryBundle(baseInput({
+    custodian: { name: "Demo Hospital", hfrId: "IN0410000183" },
+    diagnoses: [{ codeSystem: "icd10", code: "A01.0", display: "Typhoid fever (enteric)" }],
+  }));
+  const [docRef] = byType(bundle, "DocumentReference");
+  const binary = byType(bundle, "Binary").find(b => docRef.content[0].attachment.url === `urn:uuid:${b.id}`);
+  expect(binary.contentType).toBe("application/pdf");
+  expect(docRef.content[0].attachment.data).toBe(binary.data);
+
+  const pdf = atob(binary.data);
+  expect(pdf.startsWith("%PDF-1.4")).toBe(true);
+  expect(pdf.trimEnd().endsWith("%%EOF")).toBe(true);
+  expect(pdf).toContain("(Demo Hospital) Tj");
+  expect(pdf).toContain("(Rohit Kumar) Tj");
+  expect(pdf).toContain("(Typhoid fever \\(enteric\\)) Tj");
+  expect(pdf).toContain("(Paracetamol 500mg) Tj");
+  expect(pdf).toContain("(Dr. A. Verma) Tj");
+  // xref offsets point at the objects
+  const xref = Number(/startxref\n(\d+)/.exec(pdf)[1]);
+  expect(pdf.slice(xref, xref + 4)).toBe("xref");
+  const firstObject = Number(/xref\n0 \d+\n0000000000 65535 f \n(\d{10})/.exec(pdf)[1]);
+  expect(pdf.slice(firstObject, firstObject + 7)).toBe("1 0 obj");
+});
@@ -0,0 +1,171 @@
+// src/fhir/codes.js
+/* Fixed SNOMED codes/displays (must match exactly) */
+export const SNOMED = {
+  DOC_TYPE: { system: "http://snomed.info/sct", code: "373942005", display: "Discharge summary" },
+
+  SECTION_CHIEF: { system: "http://snomed.info/sct", code: "422843007", display: "Chief complaint section" },
+  SECTION_PHYS: { system: "http://snomed.info/sct", code: "425044008", display: "Physical exam section" },
+  SECTION_ALLERGY: { system: "http://snomed.info/sct", code: "722446000", display: "Allergy record" },
+  SECTION_MEDHIST: { system: "http://snomed.info/sct", code: "1003642006", display: "Past medical history section" },
+  SECTION_FAMHIST: { system: "http://snomed.info/sct", code: "422432008", display: "Family history section" },
+  SECTION_INVEST: { system: "http://snomed.info/sct", code: "721981007", display: "Diagnostic studies report" },
+  SECTION_MEDS: { system: "http://snomed.info/sct", code: "1003606003", display: "Medication history section" },
+  SECTION_DIAGNOSIS: { system: "http://snomed.info/sct", code: "439401001", display: "Diagnosis" },
+  SECTION_PROC: { system: "http://snomed.info/sct", code: "1003640003", display: "History of past procedure section" },
+  SECTION_CAREPLAN: { system: "http://snomed.info/sct", code: "734163000", display: "Care plan" },
+  SECTION_DOCREF: { system: "http://snomed.info/sct", code: "373942005", display: "Discharge summary" },
+};
+
+/* Code systems offered for coded entries */
+export const CODE_SYSTEMS = {
+  icd10: { system: "http://hl7.org/fhir/sid/icd-10", label: "ICD-10" },
+  snomed: { system: "http://snomed.info/sct", label: "SNOMED CT" },
+  loinc: { system: "http://loinc.org", label: "LOINC" },
+  // system URI comes from the row (formulary catalogue) or the bundle input's formularySystem
+  local: { system: null, label: "Local formulary" },
+};
+
+/* Condition.clinicalStatus (http://terminology.hl7.org/CodeSystem/condition-clinical) */
+export const CONDITION_CLINICAL_STATUS = ["active", "recurrence", "relapse", "inactive", "remission", "resolved"];
+
+/* Diagnosis role → Encounter.diagnosis.use (diagnosis-role) + rank */
+export const DIAGNOSIS_ROLES = {
+  admission: { label: "Admission", use: { code: "AD", display: "Admission diagnosis" } },
+  discharge: { label: "Discharge", use: { code: "DD", display: "Discharge diagnosis" } },
+  primary: { label: "Primary", use: { code: "DD", display: "Discharge diagnosis" }, rank: 1 },
+  secondary: { label: "Secondary", use: { code: "CM", display: "Comorbidity diagnosis" }, rank: 2 },
+};
+
+/* AllergyIntolerance value sets (FHIR R4 required bindings) */
+export const ALLERGY_CATEGORIES = ["food", "medication", "environment", "biologic"];
+export const ALLERGY_CRITICALITY = ["low", "high", "unable-to-assess"];
+export const ALLERGY_VERIFICATION_STATUS = ["unconfirmed", "confirmed", "refuted", "entered-in-error"];
+export const REACTION_SEVERITY = ["mild", "moderate", "severe"];
+
+/* Procedure.status (event-status) */
+export const PROCEDURE_STATUS = ["completed", "in-progress", "not-done", "stopped", "on-hold", "unknown"];
+
+/* Laboratory report document type (DocumentReference.type for attached report PDFs) */
+export const LOINC_LAB_REPORT = { system: "http://loinc.org", code: "11502-2", display: "Laboratory report" };
+
+/* Observation.interpretation (v3-ObservationInterpretation) */
+export const OBSERVATION_INTERPRETATION = {
+  N: "Normal",
+  L: "Low",
+  H: "High",
+  LL: "Critical low",
+  HH: "Critical high",
+  A: "Abnormal",
+};
+
+/* Vital signs (LOINC, FHIR vital-signs profile codes; UCUM units) */
+export const VITAL_SIGNS = {
+  bp: { code: "85354-9", display: "Blood pressure panel with all children optional", label: "Blood pressure", unit: "mm[Hg]" },
+  pulse: { code: "8867-4", display: "Heart rate", label: "Pulse", unit: "/min" },
+  temperature: { code: "8310-5", display: "Body temperature", label: "Temperature", unit: "Cel" },
+  spo2: { code: "59408-5", display: "Oxygen saturation in Arterial blood by Pulse oximetry", label: "SpO2", unit: "%" },
+  respRate: { code: "9279-1", display: "Respiratory rate", label: "Respiratory rate", unit: "/min" },
+  height: { code: "8302-2", display: "Body height", label: "Height", unit: "cm", bodyMeasurement: true },
+  weight: { code: "29463-7", display: "Body weight", label: "Weight", unit: "kg", bodyMeasurement: true },
+  bmi: { code: "39156-5", display: "Body mass index (BMI) [Ratio]", label: "BMI", unit: "kg/m2", bodyMeasurement: true },
+};
+export const BP_COMPONENTS = {
+  systolic: { code: "8480-6", display: "Systolic blood pressure" },
+  diastolic: { code: "8462-4", display: "Diastolic blood pressure" },
+};
+
+/* FamilyMemberHistory.relationship (v3-RoleCode) */
+export const FAMILY_RELATIONSHIPS = {
+  FTH: "father",
+  MTH: "mother",
+  BRO: "brother",
+  SIS: "sister",
+  SON: "natural son",
+  DAU: "natural daughter",
+  GRFTH: "grandfather",
+  GRMTH: "grandmother",
+  UNCLE: "uncle",
+  AUNT: "aunt",
+  SPS: "spouse",
+  FAMMEMB: "family member",
+};
+
+/* Encounter.class (v3-ActCode) */
+export const ENCOUNTER_CLASSES = {
+  IMP: "inpatient encounter",
+  EMER: "emergency",
+  AMB: "ambulatory",
+};
+
+/* Encounter.hospitalization.admitSource (admit-source) */
+export const ADMIT_SOURCES = {
+  outp: "From outpatient department",
+  emd: "From accident/emergency department",
+  "hosp-trans": "Transferred from other hospital",
+  gp: "General Practitioner referral",
+  mp: "Medical Practitioner/physician referral",
+  nursing: "From nursing home",
+  born: "Born in hospital",
+  other: "Other",
+};
+
+/* Discharge disposition choices → discharge-disposition codes */
+export const DISCHARGE_DISPOSITIONS = {
+  home: { code: "home", display: "Home", label: "Home" },
+  transfer: { code: "other-hcf", display: "Other healthcare facility", label: "Transfer to other facility" },
+  lama: { code: "aadvice", display: "Left against advice", label: "LAMA (left against medical advice)" },
+  death: { code: "exp", display: "Expired", label: "Death" },
+};
+
+/* Dosage.route (SNOMED CT route of administration) */
+export const MEDICATION_ROUTES = {
+  oral: { code: "26643006", display: "Oral route", label: "orally" },
+  iv: { code: "47625008", display: "Intravenous route", label: "intravenously" },
+  im: { code: "78421000", display: "Intramuscular route", label: "intramuscularly" },
+  sc: { code: "34206005", display: "Subcutaneous route", label: "subcutaneously" },
+  sublingual: { code: "37839007", display: "Sublingual route", label: "sublingually" },
+  topical: { code: "6064005", display: "Topical route", label: "topically" },
+  inhalation: { code: "447694001", display: "Respiratory tract route", label: "by inhalation" },
+  nasal: { code: "46713006", display: "Nasal route", label: "nasally" },
+  ophthalmic: { code: "54485002", display: "Ophthalmic route", label: "in the eye" },
+  rectal: { code: "37161004", display: "Rectal route", label: "rectally" },
+};
+
+/* Dosage.timing presets → Timing.repeat (frequency per period) */
+export const DOSE_FREQUENCIES = {
+  OD: { frequency: 1, period: 1, periodUnit: "d", label: "once a day" },
+  BD: { frequency: 2, period: 1, periodUnit: "d", label: "twice a day" },
+  TDS: { frequency: 3, period: 1, periodUnit: "d", label: "three times a day" },
+  QID: { frequency: 4, period: 1, periodUnit: "d", label: "four times a day" },
+  Q4H: { frequency: 1, period: 4, periodUnit: "h", label: "every 4 hours" },
+  Q6H: { frequency: 1, period: 6, periodUnit: "h", label: "every 6 hours" },
+  Q8H: { frequency: 1, period: 8, periodUnit: "h", label: "every 8 hours" },
+  HS: { frequency: 1, period: 1, periodUnit: "d", when: ["HS"], label: "at bedtime" },
+  WEEKLY: { frequency: 1, period: 1, periodUnit: "wk", label: "once a week" },
+};
+
+/* Timing.repeat.durationUnit / boundsDuration units (UCUM) */
+export const DURATION_UNITS = {
+  d: { label: "days", one: "day" },
+  wk: { label: "weeks", one: "week" },
+  mo: { label: "months", one: "month" },
+};
+
+/*
+  Discharge medication reconciliation against the pre-admission (home) list.
+  statement: status of the MedicationStatement recording the home medication (none for new drugs)
+  request:   whether the drug is prescribed at discharge (MedicationRequest)
+*/
+export const MEDICATION_RECONCILIATION = {
+  new: { label: "New", statement: null, request: true },
+  continued: { label: "Continued", statement: "active", request: true },
+  changed: { label: "Dose changed", statement: "stopped", request: true },
+  stopped: { label: "Stopped", statement: "stopped", request: false },
+};
+
+/* Dosage.additionalInstruction (SNOMED CT) */
+export const ADDITIONAL_INSTRUCTIONS = {
+  "after-food": { code: "311504000", display: "With or after food", label: "after food" },
+  "before-food": { code: "311501008", display: "Half to one hour before food", label: "before food" },
+  "empty-stomach": { code: "717154004", display: "Take on an empty stomach", label: "on an empty stomach" },
+};
@@ -0,0 +1,71 @@
+// src/fhir/dosage.js
+import { MEDICATION_ROUTES, DOSE_FREQUENCIES, DURATION_UNITS, ADDITIONAL_INSTRUCTIONS } from "./codes";
+
+/*
+  Structured dosage for a medications row:
+    { strength, doseValue, doseUnit, route, frequency (DOSE_FREQUENCIES key), duration, durationUnit,
+      asNeeded, additionalInstruction (ADDITIONAL_INSTRUCTIONS key), dispenseQuantity, dispenseUnit, dosageText }
+  dosageText, when filled, overrides the generated human-readable instruction.
+*/
+
+function num(v) {
+  const s = String(v ?? "").trim();
+  return s !== "" && !isNaN(Number(s)) ? Number(s) : null;
+}
+
+function plural(n, one, many) {
+  return n === 1 ? one : many;
+}
+
+/* "1 tablet orally twice a day after food for 5 days (as needed)" */
+export function describeDosage(m = {}) {
+  const parts = [];
+  const dose = num(m.doseValue);
+  if (dose !== null) parts.push(`${dose}${m.doseUnit ? ` ${m.doseUnit}` : ""}`);
+  if (MEDICATION_ROUTES[m.route]) parts.push(MEDICATION_ROUTES[m.route].label);
+  if (DOSE_FREQUENCIES[m.frequency]) parts.push(DOSE_FREQUENCIES[m.frequency].label);
+  if (ADDITIONAL_INSTRUCTIONS[m.additionalInstruction]) parts.push(ADDITIONAL_INSTRUCTIONS[m.additionalInstruction].label);
+  const duration = num(m.duration);
+  const du = DURATION_UNITS[m.durationUnit] || DURATION_UNITS.d;
+  if (duration !== null) parts.push(`for ${duration} ${plural(duration, du.one, du.label)}`);
+  if (m.asNeeded) parts.push("as needed");
+  const text = parts.join(" ");
+  return text ? text.charAt(0).toUpperCase() + text.slice(1) : "";
+}
+
+/* Dosage instruction text: the override when given, else generated, else the legacy default */
+export function dosageInstructionText(m = {}) {
+  return m.dosageText?.trim() || describeDosage(m) || "One tablet twice a day after meal";
+}
+
+/* FHIR Dosage (dosageInstruction[0]) */
+export function buildDosage(m = {}) {
+  const freq = DOSE_FREQUENCIES[m.frequency];
+  const duration = num(m.duration);
+  const durationUnit = DURATION_UNITS[m.durationUnit] ? m.durationUnit : "d";
+  const route = MEDICATION_ROUTES[m.route];
+  const extra = ADDITIONAL_INSTRUCTIONS[m.additionalInstruction];
+  const dose = num(m.doseValue);
+  const repeat = {
+    ...(duration !== null ? {
+      boundsDuration: { value: duration, unit: DURATION_UNITS[durationUnit].label, system: "http://unitsofmeasure.org", code: durationUnit },
+    } : {}),
+    ...(freq ? { frequency: freq.frequency, period: freq.period, periodUnit: freq.periodUnit } : {}),
+    ...(freq?.when ? { when: freq.when } : {}),
+  };
+  return {
+    text: dosageInstructionText(m),
+    ...(extra ? { additionalInstruction: [{ coding: [{ system: "http://snomed.info/sct", code: extra.code, display: extra.display }], text: extra.display }] } : {}),
+    ...(Object.keys(repeat).length ? { timing: { repeat } } : {}),
+    ...(m.asNeeded ? { asNeededBoolean: true } : {}),
+    ...(route ? { route: { coding: [{ system: "http://snomed.info/sct", code: route.code, display: route.display }], text: route.display } } : {}),
+    ...(dose !== null ? { doseAndRate: [{ doseQuantity: { value: dose, ...(m.doseUnit ? { unit: m.doseUnit } : {}) } }] } : {}),
+  };
+}
+
+/* MedicationRequest.dispenseRequest (only when a quantity is given) */
+export function buildDispenseRequest(m = {}) {
+  const qty = num(m.dispenseQuantity);
+  if (qty === null) return null;
+  return { quantity: { value: qty, ...(m.dispenseUnit || m.doseUnit ? { unit: m.dispenseUnit || m.doseUnit } : {}) } };
+}
@@ -0,0 +1,11 @@
+// src/fhir/index.js
+/* Public surface of the FHIR library (usable without rendering the form) */
+export { buildDischargeSummaryBundle } from "./bundle";
+export { validateBundle } from "./validate";
+export { checkReferences } from "./references";
+export { renderDischargeSummaryPdf } from "./summaryPdf";
+export { parseOperationOutcome, returnedIds, issueField, fieldLabel } from "./outcome";
+export * from "./resources";
+export { describeDosage, dosageInstructionText, buildDosage } from "./dosage";
+export * from "./codes";
+export * from "./utils";
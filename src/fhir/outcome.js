@@ -0,0 +1,151 @@
+// src/fhir/outcome.js
+/*
+  Reading what the server said about a submitted Bundle.
+    parseOperationOutcome(data) → [{ severity, code, details, diagnostics, expression: [] }]
+      accepts an OperationOutcome, a transaction-response Bundle (entry[].response.outcome),
+      an OperationOutcome wrapped in { outcome | data | error }, or a plain { message } / string body
+    returnedIds(data, headers) → ids / locations the server assigned (Location header, entry locations, id fields)
+    issueField(expression, bundle) → form field the FHIRPath expression points at, e.g.
+      "Bundle.entry[4].resource.dosageInstruction[0].text" → { section: "Medications", item: "Paracetamol", field: "Dosage instructions" }
+      (also used for the offline validator's paths, e.g. "Bundle.entry[2].resource(Encounter).period.start")
+    fieldLabel(field) → "Medications › Paracetamol › Dosage instructions"
+*/
+
+const SEVERITIES = ["fatal", "error", "warning", "information"];
+
+function isOperationOutcome(data) {
+  return data?.resourceType === "OperationOutcome" && Array.isArray(data.issue);
+}
+
+function fromIssue(issue) {
+  const expression = [...(issue.expression || []), ...(issue.location || [])].filter(Boolean);
+  return {
+    severity: SEVERITIES.includes(issue.severity) ? issue.severity : "error",
+    code: issue.code || "",
+    details: issue.details?.text || issue.details?.coding?.[0]?.display || "",
+    diagnostics: issue.diagnostics || "",
+    expression: [...new Set(expression)],
+  };
+}
+
+export function parseOperationOutcome(data) {
+  if (!data) return [];
+  if (typeof data === "string") {
+    try {
+      return parseOperationOutcome(JSON.parse(data));
+    } catch {
+      return [{ severity: "error", code: "exception", details: "", diagnostics: data.slice(0, 500), expression: [] }];
+    }
+  }
+  if (isOperationOutcome(data)) return data.issue.map(fromIssue);
+  if (data.resourceType === "Bundle") {
+    return (data.entry || []).flatMap(e => (isOperationOutcome(e.response?.outcome) ? e.response.outcome.issue.map(fromIssue) : []));
+  }
+  for (const key of ["outcome", "data", "error"]) {
+    if (isOperationOutcome(data[key])) return data[key].issue.map(fromIssue);
+  }
+  if (Array.isArray(data.issue)) return data.issue.map(fromIssue);
+  const message = data.message || data.error || data.detail;
+  return typeof message === "string" ? [{ severity: "error", code: "exception", details: "", diagnostics: message, expression: [] }] : [];
+}
+
+export function returnedIds(data, headers = {}) {
+  const ids = [headers.location, headers["content-location"]];
+  if (data && typeof data === "object") {
+    ids.push(data.id, data.bundleId, data.documentId, data.data?.id);
+    (data.entry || []).forEach(e => ids.push(e.response?.location));
+  }
+  return [...new Set(ids.filter(v => typeof v === "string" || typeof v === "number").map(String).filter(Boolean))];
+}
+
+/* Form card for each resource the bundle carries */
+const RESOURCE_SECTIONS = {
+  Bundle: "Document",
+  Composition: "Document",
+  Patient: "Patient",
+  Practitioner: "Practitioner",
+  Organization: "Custodian facility (configuration)",
+  Encounter: "Encounter",
+  Condition: "Diagnoses",
+  AllergyIntolerance: "Allergies",
+  FamilyMemberHistory: "Family History",
+  Procedure: "Procedures",
+  DiagnosticReport: "Investigations",
+  MedicationRequest: "Medications",
+  MedicationStatement: "Medications",
+  CarePlan: "Care Plan",
+  DocumentReference: "Upload",
+  Binary: "Upload",
+};
+
+/* First element under the resource → form field label (unknown elements show their FHIR name) */
+const ELEMENT_LABELS = {
+  Composition: { status: "Document status", title: "Document title", date: "Date", author: "Author" },
+  Patient: { name: "Name", gender: "Gender", birthDate: "Date of birth", identifier: "ABHA number / address", telecom: "Mobile", address: "Address" },
+  Encounter: {
+    period: "Admission / discharge time", class: "Encounter class", hospitalization: "Admit source / discharge disposition",
+    location: "Ward / bed", identifier: "Hospital episode",
+  },
+  Condition: { code: "Diagnosis code", category: "Diagnosis type", clinicalStatus: "Clinical status", onsetDateTime: "Onset" },
+  AllergyIntolerance: { code: "Substance", criticality: "Criticality", reaction: "Reaction" },
+  FamilyMemberHistory: { relationship: "Relative", condition: "Condition / onset age" },
+  Procedure: { code: "Procedure", status: "Status", performedDateTime: "Date", performedPeriod: "Date", performer: "Performer" },
+  Observation: { code: "Test", valueQuantity: "Value / unit", component: "Value", referenceRange: "Reference range", interpretation: "Interpretation" },
+  DiagnosticReport: { code: "Report", conclusion: "Conclusion", effectiveDateTime: "Date", result: "Results" },
+  MedicationRequest: {
+    medicationCodeableConcept: "Drug", dosageInstruction: "Dosage instructions", dispenseRequest: "Dispense quantity", authoredOn: "Date",
+  },
+  MedicationStatement: { medicationCodeableConcept: "Drug", statusReason: "Reason stopped", dosage: "Previous (home) dosage", status: "Reconciliation" },
+  CarePlan: { activity: "Follow-up instructions", description: "Follow-up instructions" },
+  DocumentReference: { content: "Attached file", type: "Document type" },
+  Binary: { contentType: "File type", data: "File" },
+};
+
+function resourceLabel(res) {
+  return res?.medicationCodeableConcept?.text || res?.code?.text || res?.relationship?.text || res?.name?.[0]?.text || res?.name || "";
+}
+
+function sectionFor(res, composition, rest) {
+  if (res?.resourceType === "Observation") {
+    const vital = (res.category || []).some(c => c.coding?.some(cd => cd.code === "vital-signs"));
+    return vital ? "Vital Signs" : "Investigations";
+  }
+  if (res?.resourceType === "Composition") {
+    const m = /^section\[(\d+)\]/.exec(rest);
+    if (m) return composition?.section?.[Number(m[1])]?.title || "Sections";
+  }
+  return RESOURCE_SECTIONS[res?.resourceType] || res?.resourceType || "Document";
+}
+
+export function issueField(expression, bundle) {
+  const clean = String(expression || "").replace(/\/\*.*?\*\//g, "").replace(/\s+/g, "");
+  const entries = bundle?.entry || [];
+  const composition = entries.find(e => e.resource?.resourceType === "Composition")?.resource;
+  let res = null;
+  let rest = "";
+
+  const inBundle = /^Bundle\.entry\[(\d+)\](?:\.resource(?:\((\w+)\))?)?\.?(.*)$/.exec(clean);
+  if (inBundle) {
+    res = entries[Number(inBundle[1])]?.resource || (inBundle[2] ? { resourceType: inBundle[2] } : null);
+    rest = inBundle[3];
+  } else {
+    const direct = /^(\w+)(?:\/([\w.-]+))?\.?(.*)$/.exec(clean);
+    if (!direct) return { section: "Document", item: "", field: clean };
+    if (direct[1] === "Bundle") return { section: "Document", item: "", field: direct[3] || "Bundle" };
+    const candidates = entries.map(e => e.resource).filter(r => r?.resourceType === direct[1]);
+    res = (direct[2] && candidates.find(r => r.id === direct[2])) || (candidates.length === 1 ? candidates[0] : { resourceType: direct[1] });
+    rest = direct[3];
+  }
+
+  const element = (rest.match(/^(\w+)/) || [])[1] || "";
+  const section = sectionFor(res, composition, rest);
+  const field = res?.resourceType === "Composition" && element === "section"
+    ? "Section text / entries"
+    : ELEMENT_LABELS[res?.resourceType]?.[element] || element;
+  return { section, item: res?.resourceType === "Composition" ? "" : resourceLabel(res), field };
+}
+
+/* "Section › item › field" for one issueField() result */
+export function fieldLabel(field) {
+  return [field.section, field.item, field.field].filter(Boolean).join(" › ");
+}
@@ -0,0 +1,66 @@
+import { parseOperationOutcome, returnedIds, issueField, fieldLabel } from "./outcome";
+import { buildDischargeSummaryBundle } from "./bundle";
+
+const bundle = buildDischargeSummaryBundle({
+  patient: { user_id: 46, name: "Rohit Kumar", gender: "Male", dob: "30-12-1991" },
+  practitioner: { name: "Dr. A. Verma", license: "21-1521-3828-3227" },
+  composition: { status: "final", title: "Discharge Summary" },
+  sections: { chiefComplaints: "Fever" },
+  medications: [{ medicationText: "Paracetamol 500mg", dosageText: "One tablet twice a day" }],
+  authoredOn: "2025-09-12T10:00:00+05:30",
+});
+const indexOf = type => bundle.entry.findIndex(e => e.resource.resourceType === type);
+
+test("parses OperationOutcome issues, also when wrapped or inside a transaction response", () => {
+  const outcome = {
+    resourceType: "OperationOutcome",
+    issue: [
+      { severity: "error", code: "required", details: { text: "Dosage is required" }, expression: ["MedicationRequest.dosageInstruction"] },
+      { severity: "warning", code: "code-invalid", diagnostics: "Unknown code", location: ["Condition.code"] },
+    ],
+  };
+  const issues = parseOperationOutcome(outcome);
+  expect(issues[0]).toEqual({
+    severity: "error", code: "required", details: "Dosage is required", diagnostics: "", expression: ["MedicationRequest.dosageInstruction"],
+  });
+  expect(issues[1].expression).toEqual(["Condition.code"]);
+  expect(parseOperationOutcome({ success: false, outcome })).toHaveLength(2);
+  expect(parseOperationOutcome(JSON.stringify(outcome))).toHaveLength(2);
+  expect(parseOperationOutcome({ resourceType: "Bundle", entry: [{ response: { status: "400", outcome } }] })).toHaveLength(2);
+});
+
+test("falls back to plain error bodies", () => {
+  expect(parseOperationOutcome({ message: "Patient not linked" })).toEqual([
+    { severity: "error", code: "exception", details: "", diagnostics: "Patient not linked", expression: [] },
+  ]);
+  expect(parseOperationOutcome("<html>Bad Gateway</html>")[0].diagnostics).toBe("<html>Bad Gateway</html>");
+  expect(parseOperationOutcome({ ok: true })).toEqual([]);
+});
+
+test("collects the ids the server returned", () => {
+  expect(returnedIds(
+    { id: "doc-17", entry: [{ response: { location: "Composition/abc/_history/1" } }] },
+    { location: "https://example.org/Bundle/doc-17" },
+  )).toEqual(["https://example.org/Bundle/doc-17", "doc-17", "Composition/abc/_history/1"]);
+  expect(returnedIds(null)).toEqual([]);
+});
+
+test("maps expressions back to the form field", () => {
+  const med = indexOf("MedicationRequest");
+  expect(issueField(`Bundle.entry[${med}].resource.dosageInstruction[0].text`, bundle))
+    .toEqual({ section: "Medications", item: "Paracetamol 500mg", field: "Dosage instructions" });
+  expect(issueField(`Bundle.entry[${med}].resource(MedicationRequest).dispenseRequest`, bundle).field).toBe("Dispense quantity");
+  expect(issueField("Patient.birthDate", bundle)).toEqual({ section: "Patient", item: "Rohit Kumar", field: "Date of birth" });
+  expect(issueField("Bundle.entry[0].resource.section[0].text", bundle))
+    .toEqual({ section: "Chief Complaints", item: "", field: "Section text / entries" });
+  expect(issueField("Encounter/*enc*/.period.end", bundle).field).toBe("Admission / discharge time");
+  expect(issueField("Bundle.identifier", bundle)).toEqual({ section: "Document", item: "", field: "identifier" });
+});
+
+test("labels offline validation paths with the form field", () => {
+  const med = indexOf("MedicationRequest");
+  expect(fieldLabel(issueField(`Bundle.entry[${med}].resource(MedicationRequest).dosageInstruction[0].text`, bundle)))
+    .toBe("Medications › Paracetamol 500mg › Dosage instructions");
+  expect(fieldLabel(issueField(`Bundle.entry[${indexOf("Patient")}].fullUrl`, bundle))).toBe("Patient › Rohit Kumar › fullUrl");
+  expect(fieldLabel(issueField("Bundle.entry[9].resource(Encounter).period.start", null))).toBe("Encounter › Admission / discharge time");
+});
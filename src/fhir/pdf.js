@@ -0,0 +1,219 @@
+// src/fhir/pdf.js
+/*
+  Minimal PDF 1.4 writer (no dependencies) for text documents.
+  - A4 portrait, standard Type1 fonts (Helvetica / Helvetica-Bold, WinAnsiEncoding)
+  - Blocks are laid out top to bottom with word wrapping and automatic page breaks
+  - Returns base64 (no data: prefix), ready for Binary.data / Attachment.data
+
+  blocks: [
+    { type: "title", text }                       — large bold line
+    { type: "heading", text }                     — bold section heading with a rule under it
+    { type: "text", text, bold?, size?, color? }  — wrapped paragraph (newlines kept)
+    { type: "fields", rows: [[label, value]] }    — two-column label / value lines
+    { type: "table", columns: [{ label, width }], rows: [[cell, ...]] } — widths are fractions of the text width
+    { type: "rule" } | { type: "space", height }
+  ]
+  options: { header: [lines...] (repeated on every page), footer: "text" (page x of y is appended) }
+*/
+
+const PAGE_W = 595.28;
+const PAGE_H = 841.89;
+const MARGIN = 48;
+const TEXT_W = PAGE_W - 2 * MARGIN;
+
+// Helvetica advance widths (1/1000 em) for ASCII 32..126; bold is approximated at +6%
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584,
+];
+
+// Unicode characters that WinAnsiEncoding can show; anything else becomes "?"
+const WIN_ANSI = { "—": 0x97, "–": 0x96, "•": 0x95, "‘": 0x91, "’": 0x92, "“": 0x93, "”": 0x94, "€": 0x80, "…": 0x85 };
+
+function toWinAnsi(text) {
+  let out = "";
+  for (const ch of String(text ?? "")) {
+    const code = ch.codePointAt(0);
+    if (code === 9) out += " ";
+    else if (code >= 32 && code <= 126) out += ch;
+    else if (code >= 160 && code <= 255) out += String.fromCharCode(code);
+    else if (WIN_ANSI[ch]) out += String.fromCharCode(WIN_ANSI[ch]);
+    else out += "?";
+  }
+  return out;
+}
+
+function textWidth(text, size, bold) {
+  let units = 0;
+  for (let i = 0; i < text.length; i++) {
+    const c = text.charCodeAt(i);
+    units += c >= 32 && c <= 126 ? HELVETICA_WIDTHS[c - 32] : 556;
+  }
+  return (units * size * (bold ? 1.06 : 1)) / 1000;
+}
+
+/* Greedy word wrap; words longer than the line are broken by characters */
+function wrap(text, width, size, bold) {
+  const lines = [];
+  toWinAnsi(text).split(/\r?\n/).forEach(paragraph => {
+    let line = "";
+    paragraph.split(/ +/).forEach(word => {
+      const candidate = line ? `${line} ${word}` : word;
+      if (textWidth(candidate, size, bold) <= width) {
+        line = candidate;
+        return;
+      }
+      if (line) lines.push(line);
+      line = "";
+      let rest = word;
+      while (textWidth(rest, size, bold) > width) {
+        let n = rest.length - 1;
+        while (n > 1 && textWidth(rest.slice(0, n), size, bold) > width) n--;
+        lines.push(rest.slice(0, n));
+        rest = rest.slice(n);
+      }
+      line = rest;
+    });
+    lines.push(line);
+  });
+  return lines;
+}
+
+/* PDF literal string: escape delimiters, write bytes above 126 as octal */
+function pdfString(s) {
+  let out = "(";
+  for (let i = 0; i < s.length; i++) {
+    const c = s.charCodeAt(i);
+    if (c === 40 || c === 41 || c === 92) out += `\\${s[i]}`;
+    else if (c > 126) out += `\\${c.toString(8).padStart(3, "0")}`;
+    else out += s[i];
+  }
+  return `${out})`;
+}
+
+const fmt = n => (Math.round(n * 100) / 100).toString();
+
+export function renderPdf(blocks, options = {}) {
+  const pages = [];
+  let ops = null;
+  let y = 0;
+  const header = options.header || [];
+
+  const text = (x, yy, s, size, bold, color = "0 0 0") => {
+    ops.push(`BT ${color} rg /${bold ? "F2" : "F1"} ${fmt(size)} Tf ${fmt(x)} ${fmt(yy)} Td ${pdfString(s)} Tj ET`);
+  };
+  const line = (x1, yy, x2, width = 0.5, color = "0.6 0.6 0.6") => {
+    ops.push(`${color} RG ${fmt(width)} w ${fmt(x1)} ${fmt(yy)} m ${fmt(x2)} ${fmt(yy)} l S`);
+  };
+  const newPage = () => {
+    ops = [];
+    pages.push(ops);
+    y = PAGE_H - MARGIN;
+    header.forEach((h, i) => {
+      const size = i === 0 ? 15 : 9;
+      text(MARGIN, y - size, toWinAnsi(h), size, i === 0, i === 0 ? "0.05 0.25 0.45" : "0.3 0.3 0.3");
+      y -= size + 4;
+    });
+    if (header.length) {
+      line(MARGIN, y - 2, PAGE_W - MARGIN, 1.2, "0.05 0.25 0.45");
+      y -= 14;
+    }
+  };
+  const ensure = h => {
+    if (y - h < MARGIN + 24) newPage();
+  };
+
+  newPage();
+  blocks.forEach(b => {
+    if (b.type === "space") {
+      y -= b.height || 8;
+    } else if (b.type === "rule") {
+      ensure(8);
+      line(MARGIN, y - 4, PAGE_W - MARGIN);
+      y -= 10;
+    } else if (b.type === "title") {
+      ensure(24);
+      text(MARGIN, y - 16, toWinAnsi(b.text), 16, true);
+      y -= 26;
+    } else if (b.type === "heading") {
+      ensure(40);
+      y -= 6;
+      text(MARGIN, y - 11, toWinAnsi(b.text), 11, true, "0.05 0.25 0.45");
+      line(MARGIN, y - 15, PAGE_W - MARGIN);
+      y -= 22;
+    } else if (b.type === "text") {
+      const size = b.size || 10;
+      wrap(b.text, TEXT_W, size, b.bold).forEach(l => {
+        ensure(size + 4);
+        text(MARGIN, y - size, l, size, b.bold, b.color);
+        y -= size + 4;
+      });
+    } else if (b.type === "fields") {
+      const labelW = 130;
+      b.rows.filter(([, v]) => v !== undefined && v !== null && String(v).trim() !== "").forEach(([label, value]) => {
+        const lines = wrap(value, TEXT_W - labelW, 10, false);
+        ensure(14);
+        text(MARGIN, y - 10, toWinAnsi(label), 10, true, "0.3 0.3 0.3");
+        lines.forEach((l, i) => {
+          if (i) ensure(14);
+          text(MARGIN + labelW, y - 10, l, 10, false);
+          y -= 14;
+        });
+      });
+    } else if (b.type === "table") {
+      const widths = b.columns.map(c => c.width * TEXT_W);
+      const drawRow = (cells, bold) => {
+        const wrapped = cells.map((c, i) => wrap(c, widths[i] - 6, 9, bold));
+        const h = Math.max(...wrapped.map(w => w.length)) * 12 + 4;
+        ensure(h);
+        let x = MARGIN;
+        wrapped.forEach((lines, i) => {
+          lines.forEach((l, j) => text(x, y - 10 - j * 12, l, 9, bold));
+          x += widths[i];
+        });
+        y -= h;
+        line(MARGIN, y + 2, PAGE_W - MARGIN, 0.3, "0.8 0.8 0.8");
+      };
+      drawRow(b.columns.map(c => c.label), true);
+      b.rows.forEach(r => drawRow(r.map(c => String(c ?? "")), false));
+      y -= 4;
+    }
+  });
+
+  // footer with page numbers
+  pages.forEach((p, i) => {
+    ops = p;
+    line(MARGIN, MARGIN + 12, PAGE_W - MARGIN);
+    const label = toWinAnsi(`${options.footer ? `${options.footer}  |  ` : ""}Page ${i + 1} of ${pages.length}`);
+    text(MARGIN, MARGIN, label, 8, false, "0.4 0.4 0.4");
+  });
+
+  // objects: 1 catalog, 2 pages, 3 F1, 4 F2, then (page, content) pairs
+  const objects = [];
+  const kids = pages.map((_, i) => `${5 + i * 2} 0 R`).join(" ");
+  objects.push("<< /Type /Catalog /Pages 2 0 R >>");
+  objects.push(`<< /Type /Pages /Kids [${kids}] /Count ${pages.length} >>`);
+  objects.push("<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>");
+  objects.push("<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>");
+  pages.forEach((p, i) => {
+    const stream = p.join("\n");
+    objects.push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${fmt(PAGE_W)} ${fmt(PAGE_H)}] /Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${6 + i * 2} 0 R >>`);
+    objects.push(`<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`);
+  });
+
+  let out = "%PDF-1.4\n%\xe2\xe3\xcf\xd3\n";
+  const offsets = objects.map((body, i) => {
+    const offset = out.length;
+    out += `${i + 1} 0 obj\n${body}\nendobj\n`;
+    return offset;
+  });
+  const xref = out.length;
+  out += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  out += offsets.map(o => `${String(o).padStart(10, "0")} 00000 n \n`).join("");
+  out += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  return btoa(out);
+}
@@ -0,0 +1,154 @@
+// src/fhir/profiles.js
+/*
+  Bundled structure rules for the offline validator (validate.js).
+  A trimmed-down copy of the FHIR R4 base cardinalities / required bindings and the
+  NRCES (ABDM) DischargeSummaryRecord profile, limited to the resources this app emits.
+    one:   1..1 elements (present, not an array)
+    many:  1..* elements (non-empty array)
+    codes: required-binding value sets for code elements
+    profile: NRCES profile uri(s) the resource should declare in meta.profile
+*/
+import { SNOMED } from "./codes";
+
+const NRCES = "https://nrces.in/ndhm/fhir/r4/StructureDefinition/";
+
+export const RESOURCE_RULES = {
+  Bundle: {
+    one: ["identifier", "type", "timestamp"],
+    many: ["entry"],
+    codes: { type: ["document"] },
+  },
+  Composition: {
+    profile: `${NRCES}DischargeSummaryRecord`,
+    one: ["status", "type", "subject", "date", "title"],
+    many: ["author", "section"],
+    codes: { status: ["preliminary", "final", "amended", "entered-in-error"] },
+  },
+  Patient: {
+    profile: `${NRCES}Patient`,
+    many: ["identifier", "name"],
+    codes: { gender: ["male", "female", "other", "unknown"] },
+  },
+  Practitioner: {
+    profile: `${NRCES}Practitioner`,
+    many: ["identifier", "name"],
+  },
+  Organization: {
+    profile: `${NRCES}Organization`,
+    one: ["name"],
+    many: ["identifier"],
+  },
+  Encounter: {
+    profile: `${NRCES}Encounter`,
+    one: ["status", "class", "subject"],
+    codes: { status: ["planned", "arrived", "triaged", "in-progress", "onleave", "finished", "cancelled", "entered-in-error", "unknown"] },
+  },
+  Condition: {
+    profile: `${NRCES}Condition`,
+    one: ["code", "subject"],
+  },
+  AllergyIntolerance: {
+    profile: `${NRCES}AllergyIntolerance`,
+    one: ["code", "patient"],
+    codes: { criticality: ["low", "high", "unable-to-assess"] },
+  },
+  FamilyMemberHistory: {
+    profile: `${NRCES}FamilyMemberHistory`,
+    one: ["status", "patient", "relationship"],
+    codes: { status: ["partial", "completed", "entered-in-error", "health-unknown"] },
+  },
+  Procedure: {
+    profile: `${NRCES}Procedure`,
+    one: ["status", "code", "subject"],
+    codes: { status: ["preparation", "in-progress", "not-done", "on-hold", "stopped", "completed", "entered-in-error", "unknown"] },
+  },
+  Observation: {
+    profile: [`${NRCES}Observation`, `${NRCES}ObservationVitalSigns`, `${NRCES}ObservationBodyMeasurement`],
+    one: ["status", "code", "subject"],
+    codes: { status: ["registered", "preliminary", "final", "amended", "corrected", "cancelled", "entered-in-error", "unknown"] },
+  },
+  DiagnosticReport: {
+    profile: `${NRCES}DiagnosticReportLab`,
+    one: ["status", "code", "subject"],
+    codes: { status: ["registered", "partial", "preliminary", "final", "amended", "corrected", "appended", "cancelled", "entered-in-error", "unknown"] },
+  },
+  MedicationRequest: {
+    profile: `${NRCES}MedicationRequest`,
+    one: ["status", "intent", "medicationCodeableConcept", "subject", "authoredOn", "requester"],
+    codes: {
+      status: ["active", "on-hold", "cancelled", "completed", "entered-in-error", "stopped", "draft", "unknown"],
+      intent: ["proposal", "plan", "order", "original-order", "reflex-order", "filler-order", "instance-order", "option"],
+    },
+  },
+  MedicationStatement: {
+    profile: `${NRCES}MedicationStatement`,
+    one: ["status", "medicationCodeableConcept", "subject"],
+    codes: { status: ["active", "completed", "entered-in-error", "intended", "stopped", "on-hold", "unknown", "not-taken"] },
+  },
+  CarePlan: {
+    profile: `${NRCES}CarePlan`,
+    one: ["status", "intent", "subject"],
+    codes: {
+      status: ["draft", "active", "on-hold", "revoked", "completed", "entered-in-error", "unknown"],
+      intent: ["proposal", "plan", "order", "option"],
+    },
+  },
+  DocumentReference: {
+    profile: `${NRCES}DocumentReference`,
+    one: ["status", "type", "subject"],
+    many: ["content"],
+    codes: { status: ["current", "superseded", "entered-in-error"] },
+  },
+  Binary: {
+    profile: `${NRCES}Binary`,
+    one: ["contentType", "data"],
+  },
+};
+
+/* DischargeSummaryRecord: Composition.type and the section slices (code → allowed entry types) */
+export const DISCHARGE_SUMMARY = {
+  type: SNOMED.DOC_TYPE,
+  sections: {
+    [SNOMED.SECTION_CHIEF.code]: { required: true, entries: ["Condition"] },
+    [SNOMED.SECTION_PHYS.code]: { entries: ["Observation"] },
+    [SNOMED.SECTION_ALLERGY.code]: { entries: ["AllergyIntolerance"] },
+    [SNOMED.SECTION_MEDHIST.code]: { entries: ["Condition", "Procedure", "MedicationStatement"] },
+    [SNOMED.SECTION_FAMHIST.code]: { entries: ["FamilyMemberHistory"] },
+    [SNOMED.SECTION_INVEST.code]: { entries: ["DiagnosticReport", "Observation", "DocumentReference"] },
+    [SNOMED.SECTION_DIAGNOSIS.code]: { entries: ["Condition"] },
+    [SNOMED.SECTION_MEDS.code]: { required: true, entries: ["MedicationRequest", "MedicationStatement"] },
+    [SNOMED.SECTION_PROC.code]: { entries: ["Procedure"] },
+    [SNOMED.SECTION_CAREPLAN.code]: { entries: ["CarePlan"] },
+    [SNOMED.SECTION_DOCREF.code]: { entries: ["DocumentReference"] },
+  },
+};
+
+/* Primitive formats (FHIR R4 regexes) keyed by element name */
+export const DATE_ELEMENTS = {
+  birthDate: "date",
+  date: "dateTime",
+  authoredOn: "dateTime",
+  recordedDate: "dateTime",
+  dateAsserted: "dateTime",
+  effectiveDateTime: "dateTime",
+  onsetDateTime: "dateTime",
+  performedDateTime: "dateTime",
+  start: "dateTime",
+  end: "dateTime",
+  timestamp: "instant",
+  lastUpdated: "instant",
+  issued: "instant",
+};
+
+export const DATE_FORMATS = {
+  date: /^\d{4}(-(0[1-9]|1[0-2])(-(0[1-9]|[12]\d|3[01]))?)?$/,
+  dateTime: /^\d{4}(-(0[1-9]|1[0-2])(-(0[1-9]|[12]\d|3[01])(T([01]\d|2[0-3]):[0-5]\d:([0-5]\d|60)(\.\d+)?(Z|[+-]((0\d|1[0-3]):[0-5]\d|14:00)))?)?)?$/,
+  instant: /^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])T([01]\d|2[0-3]):[0-5]\d:([0-5]\d|60)(\.\d+)?(Z|[+-]((0\d|1[0-3]):[0-5]\d|14:00))$/,
+};
+
+/* Code shapes for the well-known terminologies (a mismatch is a warning, not an error) */
+export const CODE_PATTERNS = {
+  "http://snomed.info/sct": { pattern: /^\d{6,18}$/, label: "SNOMED CT concept id" },
+  "http://loinc.org": { pattern: /^\d{1,7}-\d$/, label: "LOINC code" },
+  "http://hl7.org/fhir/sid/icd-10": { pattern: /^[A-Z]\d{2}(\.\d{1,4})?$/, label: "ICD-10 code" },
+};
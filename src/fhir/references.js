@@ -0,0 +1,69 @@
+// src/fhir/references.js
+import { isUuid, walkElements } from "./utils";
+
+/*
+  Reference integrity of a document Bundle.
+  Collects every Reference.reference and urn:uuid attachment url, then checks that
+    - each urn:uuid target is a well-formed UUID and exists exactly once as an entry fullUrl
+    - every entry is reachable from the Composition (anything else is an orphan)
+  Returns {
+    links:      [{ from, path, reference, target }]   — target: resourceType of the entry, null when unresolved
+    unresolved: [{ path, reference }]                — urn:uuid links without an entry
+    malformed:  [{ path, reference }]                — urn:uuid:<not a uuid>
+    external:   [{ path, reference }]                — not Bundle-local (Patient/123, http://...)
+    duplicates: [{ fullUrl, indexes }]               — fullUrl used by more than one entry
+    orphans:    [{ path, fullUrl, resourceType }]    — entries nothing in the document points to
+  }
+*/
+export function checkReferences(bundle) {
+  const entries = Array.isArray(bundle?.entry) ? bundle.entry : [];
+  const indexesByUrl = {};
+  entries.forEach((e, i) => {
+    if (e?.fullUrl) (indexesByUrl[e.fullUrl] = indexesByUrl[e.fullUrl] || []).push(i);
+  });
+
+  const links = [];
+  const unresolved = [];
+  const malformed = [];
+  const external = [];
+  const outgoing = entries.map(() => []);
+  entries.forEach((e, i) => {
+    if (!e?.resource) return;
+    const from = `Bundle.entry[${i}].resource(${e.resource.resourceType})`;
+    walkElements(e.resource, from, (node, key, path) => {
+      const value = node[key];
+      if (typeof value !== "string") return;
+      const isLink = key === "reference" || (key === "url" && value.startsWith("urn:uuid:"));
+      if (!isLink || value.startsWith("#")) return;
+      if (!value.startsWith("urn:uuid:")) {
+        external.push({ path, reference: value });
+        return;
+      }
+      if (!isUuid(value.slice("urn:uuid:".length))) malformed.push({ path, reference: value });
+      const target = indexesByUrl[value]?.[0];
+      if (target === undefined) unresolved.push({ path, reference: value });
+      else outgoing[i].push(target);
+      links.push({ from, path, reference: value, target: target === undefined ? null : entries[target].resource?.resourceType || null });
+    });
+  });
+
+  const duplicates = Object.entries(indexesByUrl)
+    .filter(([, indexes]) => indexes.length > 1)
+    .map(([fullUrl, indexes]) => ({ fullUrl, indexes }));
+
+  // walk the reference graph from the Composition (entry 0 of a document)
+  const reached = new Set();
+  const queue = entries.length ? [0] : [];
+  while (queue.length) {
+    const i = queue.shift();
+    if (reached.has(i)) continue;
+    reached.add(i);
+    queue.push(...outgoing[i]);
+  }
+  const orphans = entries
+    .map((e, i) => ({ i, e }))
+    .filter(({ i }) => !reached.has(i))
+    .map(({ i, e }) => ({ path: `Bundle.entry[${i}]`, fullUrl: e?.fullUrl, resourceType: e?.resource?.resourceType }));
+
+  return { links, unresolved, malformed, external, duplicates, orphans };
+}
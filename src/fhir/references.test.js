@@ -0,0 +1,42 @@
+import { buildDischargeSummaryBundle } from "./bundle";
+import { checkReferences } from "./references";
+
+function bundle() {
+  return buildDischargeSummaryBundle({
+    patient: { user_id: 46, name: "Rohit Kumar", gender: "Male", dob: "30-12-1991" },
+    practitioner: { id: "cf362b2c-8bbe-46b1-b3c5-9a46a0b363e9", name: "Dr. A. Verma" },
+    custodian: { name: "Demo Hospital", hfrId: "IN0410000183" },
+    sections: { carePlan: "Review after 1 week" },
+    medications: [{ display: "Paracetamol" }],
+    authoredOn: "2025-09-12T10:00:00+05:30",
+  });
+}
+
+test("every link of a generated bundle resolves and every entry is reachable", () => {
+  const report = checkReferences(bundle());
+  expect(report.unresolved).toEqual([]);
+  expect(report.malformed).toEqual([]);
+  expect(report.external).toEqual([]);
+  expect(report.duplicates).toEqual([]);
+  expect(report.orphans).toEqual([]);
+  expect(report.links.map(l => l.path)).toEqual(expect.arrayContaining([
+    "Bundle.entry[0].resource(Composition).custodian.reference",
+    expect.stringMatching(/\(MedicationRequest\)\.requester\.reference$/),
+    expect.stringMatching(/\(DocumentReference\)\.content\[0\]\.attachment\.url$/),
+  ]));
+  expect(report.links.every(l => l.target)).toBe(true);
+});
+
+test("flags malformed ids, unresolved targets, duplicate fullUrls and orphans", () => {
+  const b = bundle();
+  b.entry[0].resource.author[0].reference = "urn:uuid:dr-abc";
+  const org = b.entry.find(e => e.resource.resourceType === "Organization");
+  b.entry.push({ ...org });
+  const report = checkReferences(b);
+  expect(report.malformed).toEqual([{ path: "Bundle.entry[0].resource(Composition).author[0].reference", reference: "urn:uuid:dr-abc" }]);
+  expect(report.unresolved.map(u => u.reference)).toEqual(["urn:uuid:dr-abc"]);
+  expect(report.duplicates).toEqual([{ fullUrl: org.fullUrl, indexes: [b.entry.indexOf(org), b.entry.length - 1] }]);
+  // the Practitioner is still reached through MedicationRequest.requester; only the second Organization is orphaned
+  expect(report.orphans.map(o => o.fullUrl)).toEqual([org.fullUrl]);
+  expect(report.orphans.map(o => o.path)).toEqual([`Bundle.entry[${b.entry.length - 1}]`]);
+});
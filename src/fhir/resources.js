@@ -0,0 +1,838 @@
+// src/fhir/resources.js
+import {
+  SNOMED, CODE_SYSTEMS, DIAGNOSIS_ROLES, OBSERVATION_INTERPRETATION, VITAL_SIGNS, BP_COMPONENTS, FAMILY_RELATIONSHIPS,
+  ENCOUNTER_CLASSES, ADMIT_SOURCES, DISCHARGE_DISPOSITIONS, MEDICATION_RECONCILIATION,
+} from "./codes";
+import { buildDosage, buildDispenseRequest, dosageInstructionText } from "./dosage";
+import {
+  nowISOWithOffset, localDatetimeToISOWithOffset, toFHIRDateFromDDMMYYYY, PLACEHOLDER_PDF_B64,
+  buildNarrative, narrativeTable, escapeHtml, textToXhtml, sanitizeXhtml,
+} from "./utils";
+
+/*
+  Resource builders for the Discharge Summary bundle.
+  - Every builder is a pure function: (id(s), data, ctx) => resource
+  - ctx carries the bundle-local ids shared between resources:
+      { patId, encId, pracId, orgId, practitionerName, authoredOn, formularySystem }
+  - No React state, no window access — callers pass everything in
+  - Narratives (text.div) are built from escaped values only (see utils: escapeHtml / narrativeTable)
+*/
+
+/*
+  Coded row ({ codeSystem, code, display, system? }) → CodeableConcept; text-only when no code.
+  row.system overrides the CODE_SYSTEMS uri; localSystem is used for codeSystem "local"
+*/
+export function buildCodeableConcept(row, fallbackText, localSystem) {
+  const display = row?.display?.trim();
+  const code = row?.code?.trim();
+  const sys = CODE_SYSTEMS[row?.codeSystem];
+  const system = row?.system || sys?.system || (sys ? localSystem : null);
+  if (code && sys) return { coding: [{ ...(system ? { system } : {}), code, ...(display ? { display } : {}) }], text: display || code };
+  return { text: display || code || fallbackText };
+}
+
+/* "ICD-10 A01.0" for a narrative row; empty when the row has no code */
+function codeLabel(row) {
+  const code = row?.code?.trim();
+  return code ? `${CODE_SYSTEMS[row.codeSystem]?.label || "Code"} ${code}` : "";
+}
+
+/* ----------------------------- Resource builders ------------------------ */
+export function buildPatientResource(patId, patient, abhaAddress) {
+  if (!patient) return null;
+  const identifiers = [];
+  if (patient.abha_ref) identifiers.push({
+    system: "https://healthid.ndhm.gov.in",
+    value: patient.abha_ref,
+    type: {
+      coding: [{
+        system: "http://terminology.hl7.org/CodeSystem/v2-0203",
+        code: "SB",
+        display: "Social Beneficiary Identifier"
+      }],
+      text: "ABHA Number"
+    }
+  });
+
+  const telecom = [];
+  if (patient.mobile) telecom.push({ system: "phone", value: patient.mobile });
+  if (patient.email) telecom.push({ system: "email", value: patient.email });
+  if (abhaAddress) telecom.push({ system: "url", value: `abha://${abhaAddress}` });
+
+  const birthDate = toFHIRDateFromDDMMYYYY(patient.dob) || undefined;
+  return {
+    resourceType: "Patient",
+    id: patId,
+    language: "en-IN",
+    text: buildNarrative("Patient", narrativeTable([
+      ["Name", patient.name],
+      ["Gender", patient.gender],
+      ["Date of birth", birthDate],
+      ["ABHA number", patient.abha_ref],
+      ["ABHA address", abhaAddress],
+      ["Mobile", patient.mobile],
+    ])),
+    identifier: [
+      ...identifiers,
+      ...(abhaAddress ? [{
+        system: "https://healthid.abdm.gov.in/address",
+        value: abhaAddress,
+        type: {
+          coding: [{
+            system: "http://terminology.hl7.org/CodeSystem/v2-0203",
+            code: "AN",
+            display: "Account number"
+          }],
+          text: "ABHA Address"
+        }
+
+      }] : [])
+    ],
+    name: [{ text: patient.name }],
+    gender: (patient.gender || "").toLowerCase(),
+    birthDate,
+    telecom,
+    address: patient.address ? [{ text: patient.address }] : undefined,
+    meta: { profile: ["https://nrces.in/ndhm/fhir/r4/StructureDefinition/Patient"] },
+  };
+}
+
+export function buildPractitionerResource(pracId, practitioner) {
+  return {
+    resourceType: "Practitioner",
+    id: pracId,
+    language: "en-IN",
+    text: buildNarrative("Practitioner", narrativeTable([["Name", practitioner.name], ["Medical license", practitioner.license]])),
+    identifier: [{
+      type: {
+        coding: [{
+          system: "http://terminology.hl7.org/CodeSystem/v2-0203",
+          code: "MD",
+          display: "Medical License number"
+        }]
+      },
+      system: "https://doctor.ndhm.gov.in",
+      value: practitioner.license
+    }],
+    name: [{ text: practitioner.name }],
+    meta: { profile: ["https://nrces.in/ndhm/fhir/r4/StructureDefinition/Practitioner"] },
+
+  };
+}
+
+/*
+  custodian: { name, hfrId, hipId, address: { line, city, district, state, postalCode, country } | "text", phone, email }
+  HFR facility id is the identifier HIUs resolve the custodian by; HIP id is only added when it differs
+*/
+export function buildCustodianOrg(orgId, custodian = {}) {
+  const identifier = [];
+  if (custodian.hfrId?.trim()) identifier.push({
+    system: "https://facility.ndhm.gov.in",
+    value: custodian.hfrId.trim(),
+    type: {
+      coding: [{
+        system: "http://terminology.hl7.org/CodeSystem/v2-0203",
+        code: "PRN",
+        display: "Provider number"
+      }],
+      text: "HFR ID"
+    }
+  });
+  if (custodian.hipId?.trim() && custodian.hipId.trim() !== custodian.hfrId?.trim()) identifier.push({
+    value: custodian.hipId.trim(),
+    type: {
+      coding: [{
+        system: "http://terminology.hl7.org/CodeSystem/v2-0203",
+        code: "XX",
+        display: "Organization identifier"
+      }],
+      text: "HIP ID"
+    }
+  });
+
+  const telecom = [];
+  if (custodian.phone?.trim()) telecom.push({ system: "phone", value: custodian.phone.trim(), use: "work" });
+  if (custodian.email?.trim()) telecom.push({ system: "email", value: custodian.email.trim(), use: "work" });
+
+  const a = custodian.address;
+  const address = typeof a === "string"
+    ? (a.trim() ? [{ text: a.trim() }] : undefined)
+    : a && Object.values(a).some(Boolean)
+      ? [{
+        ...(a.line ? { line: [a.line] } : {}),
+        ...(a.city ? { city: a.city } : {}),
+        ...(a.district ? { district: a.district } : {}),
+        ...(a.state ? { state: a.state } : {}),
+        ...(a.postalCode ? { postalCode: a.postalCode } : {}),
+        country: a.country || "IN",
+      }]
+      : undefined;
+
+  const name = custodian.name?.trim() || "Unknown facility";
+  const addressText = address && (address[0].text || [address[0].line?.[0], address[0].city, address[0].state, address[0].postalCode].filter(Boolean).join(", "));
+  return {
+    resourceType: "Organization",
+    id: orgId,
+    language: "en-IN",
+    meta: { profile: ["https://nrces.in/ndhm/fhir/r4/StructureDefinition/Organization"] },
+    text: buildNarrative("Organization", narrativeTable([
+      ["Facility", name],
+      ["HFR ID", custodian.hfrId?.trim()],
+      ["Address", addressText],
+      ["Phone", custodian.phone?.trim()],
+    ])),
+    ...(identifier.length ? { identifier } : {}),
+    name,
+    ...(telecom.length ? { telecom } : {}),
+    ...(address ? { address } : {}),
+  };
+}
+
+/*
+  encounter: { classCode: "IMP"|"EMER"|"AMB", admittedAt, dischargedAt, admitSource,
+               dischargeDisposition: "home"|"transfer"|"lama"|"death", location, episodeId }
+  diagnosisLinks: [{ id, role }] — Condition ids with their DIAGNOSIS_ROLES key
+  A blank admission time leaves period.start out (never a zero-length stay); validateBundle reports it for IMP.
+*/
+export function buildEncounterResource(encId, encounter, ctx, diagnosisLinks = []) {
+  const classCode = ENCOUNTER_CLASSES[encounter?.classCode] ? encounter.classCode : "IMP";
+  const end = localDatetimeToISOWithOffset(encounter?.dischargedAt) || nowISOWithOffset();
+  const start = localDatetimeToISOWithOffset(encounter?.admittedAt);
+  const disposition = DISCHARGE_DISPOSITIONS[encounter?.dischargeDisposition];
+  const admitSource = ADMIT_SOURCES[encounter?.admitSource] ? encounter.admitSource : null;
+  return {
+    resourceType: "Encounter",
+    id: encId,
+    language: "en-IN",
+    text: buildNarrative("Encounter", narrativeTable([
+      ["Class", ENCOUNTER_CLASSES[classCode]],
+      ["Hospital episode", encounter?.episodeId?.trim()],
+      ["Admitted", start],
+      ["Discharged", end],
+      ["Admit source", admitSource && ADMIT_SOURCES[admitSource]],
+      ["Discharge disposition", disposition?.label],
+      ["Ward / bed", encounter?.location?.trim()],
+    ])),
+    ...(encounter?.episodeId?.trim() ? {
+      identifier: [{
+        type: { coding: [{ system: "http://terminology.hl7.org/CodeSystem/v2-0203", code: "VN", display: "Visit number" }], text: "Hospital episode" },
+        value: encounter.episodeId.trim(),
+      }],
+    } : {}),
+    status: "finished",
+    class: {
+      system: "http://terminology.hl7.org/CodeSystem/v3-ActCode",
+      code: classCode,
+      display: ENCOUNTER_CLASSES[classCode],
+    },
+    subject: { reference: `urn:uuid:${ctx.patId}`, type: "Patient" },
+    period: { ...(start ? { start } : {}), end },
+    ...(admitSource || disposition ? {
+      hospitalization: {
+        ...(admitSource ? {
+          admitSource: { coding: [{ system: "http://terminology.hl7.org/CodeSystem/admit-source", code: admitSource, display: ADMIT_SOURCES[admitSource] }] },
+        } : {}),
+        ...(disposition ? {
+          dischargeDisposition: {
+            coding: [{ system: "http://terminology.hl7.org/CodeSystem/discharge-disposition", code: disposition.code, display: disposition.display }],
+            text: disposition.label,
+          },
+        } : {}),
+      },
+    } : {}),
+    ...(encounter?.location?.trim() ? { location: [{ location: { display: encounter.location.trim() }, status: "completed" }] } : {}),
+    ...(diagnosisLinks.length ? {
+      diagnosis: diagnosisLinks.map(({ id, role }) => {
+        const r = DIAGNOSIS_ROLES[role] || DIAGNOSIS_ROLES.discharge;
+        return {
+          condition: { reference: `urn:uuid:${id}`, type: "Condition" },
+          use: { coding: [{ system: "http://terminology.hl7.org/CodeSystem/diagnosis-role", ...r.use }], text: r.label },
+          ...(r.rank ? { rank: r.rank } : {}),
+        };
+      }),
+    } : {}),
+    meta: { profile: ["https://nrces.in/ndhm/fhir/r4/StructureDefinition/Encounter"] },
+  };
+}
+
+/* diagnoses: [{ codeSystem, code, display, clinicalStatus, role, onsetDate }] */
+export function buildConditionResources(conditionIds, diagnoses, ctx) {
+  return diagnoses.map((d, idx) => {
+    const code = buildCodeableConcept(d, "Diagnosis");
+    const role = (DIAGNOSIS_ROLES[d.role] || DIAGNOSIS_ROLES.discharge).label;
+    return {
+      resourceType: "Condition",
+      id: conditionIds[idx],
+      language: "en-IN",
+      text: buildNarrative("Condition", narrativeTable([
+        ["Diagnosis", code.text],
+        ["Code", codeLabel(d)],
+        ["Type", `${role} diagnosis`],
+        ["Clinical status", d.clinicalStatus || "active"],
+        ["Onset", d.onsetDate],
+      ])),
+      clinicalStatus: {
+        coding: [{ system: "http://terminology.hl7.org/CodeSystem/condition-clinical", code: d.clinicalStatus || "active" }],
+      },
+      verificationStatus: {
+        coding: [{ system: "http://terminology.hl7.org/CodeSystem/condition-ver-status", code: "confirmed" }],
+      },
+      category: [{
+        coding: [{ system: "http://terminology.hl7.org/CodeSystem/condition-category", code: "encounter-diagnosis", display: "Encounter Diagnosis" }],
+        text: `${role} diagnosis`,
+      }],
+      code,
+      subject: { reference: `urn:uuid:${ctx.patId}`, type: "Patient" },
+      encounter: { reference: `urn:uuid:${ctx.encId}`, type: "Encounter" },
+      ...(d.onsetDate ? { onsetDateTime: d.onsetDate } : {}),
+      recordedDate: ctx.authoredOn,
+      recorder: { reference: `urn:uuid:${ctx.pracId}`, display: ctx.practitionerName },
+      meta: { profile: ["https://nrces.in/ndhm/fhir/r4/StructureDefinition/Condition"] },
+    };
+  });
+}
+
+/* allergies: [{ codeSystem, code, display, category, criticality, manifestation, severity, verificationStatus }] */
+export function buildAllergyIntoleranceResources(allergyIds, allergies, ctx) {
+  return allergies.map((a, idx) => {
+    const verification = a.verificationStatus || "confirmed";
+    const code = buildCodeableConcept(a, "Allergy");
+    return {
+      resourceType: "AllergyIntolerance",
+      id: allergyIds[idx],
+      language: "en-IN",
+      text: buildNarrative("AllergyIntolerance", narrativeTable([
+        ["Allergy", code.text],
+        ["Code", codeLabel(a)],
+        ["Category", a.category],
+        ["Criticality", a.criticality],
+        ["Reaction", [a.manifestation?.trim(), a.severity].filter(Boolean).join(" — ")],
+        ["Verification", verification],
+      ])),
+      // clinicalStatus SHALL NOT be present when the record was entered in error (ait-2)
+      ...(verification !== "entered-in-error" ? {
+        clinicalStatus: {
+          coding: [{ system: "http://terminology.hl7.org/CodeSystem/allergyintolerance-clinical", code: verification === "refuted" ? "inactive" : "active" }],
+        },
+      } : {}),
+      verificationStatus: {
+        coding: [{ system: "http://terminology.hl7.org/CodeSystem/allergyintolerance-verification", code: verification }],
+      },
+      ...(a.category ? { category: [a.category] } : {}),
+      ...(a.criticality ? { criticality: a.criticality } : {}),
+      code,
+      patient: { reference: `urn:uuid:${ctx.patId}`, type: "Patient" },
+      encounter: { reference: `urn:uuid:${ctx.encId}`, type: "Encounter" },
+      recordedDate: ctx.authoredOn,
+      recorder: { reference: `urn:uuid:${ctx.pracId}`, display: ctx.practitionerName },
+      ...(a.manifestation?.trim() ? {
+        reaction: [{
+          manifestation: [{ text: a.manifestation.trim() }],
+          ...(a.severity ? { severity: a.severity } : {}),
+        }],
+      } : {}),
+      meta: { profile: ["https://nrces.in/ndhm/fhir/r4/StructureDefinition/AllergyIntolerance"] },
+    };
+  });
+}
+
+/*
+  procedures: [{ codeSystem, code, display, status, performedStart, performedEnd, performer, bodySite, outcome }]
+  performer left blank means the composition author (ctx.pracId) performed it
+*/
+export function buildProcedureResources(procedureIds, procedures, ctx) {
+  return procedures.map((p, idx) => {
+    const start = localDatetimeToISOWithOffset(p.performedStart);
+    const end = localDatetimeToISOWithOffset(p.performedEnd);
+    const code = buildCodeableConcept(p, "Procedure");
+    return {
+      resourceType: "Procedure",
+      id: procedureIds[idx],
+      language: "en-IN",
+      text: buildNarrative("Procedure", narrativeTable([
+        ["Procedure", code.text],
+        ["Code", codeLabel(p)],
+        ["Status", p.status || "completed"],
+        ["Performed", [start, end].filter(Boolean).join(" – ")],
+        ["Performer", p.performer?.trim() || ctx.practitionerName],
+        ["Body site", p.bodySite?.trim()],
+        ["Outcome", p.outcome?.trim()],
+      ])),
+      status: p.status || "completed",
+      code,
+      subject: { reference: `urn:uuid:${ctx.patId}`, type: "Patient" },
+      encounter: { reference: `urn:uuid:${ctx.encId}`, type: "Encounter" },
+      ...(start && end ? { performedPeriod: { start, end } } : start ? { performedDateTime: start } : {}),
+      recorder: { reference: `urn:uuid:${ctx.pracId}`, display: ctx.practitionerName },
+      performer: [{
+        actor: p.performer?.trim()
+          ? { display: p.performer.trim() }
+          : { reference: `urn:uuid:${ctx.pracId}`, type: "Practitioner", display: ctx.practitionerName },
+      }],
+      ...(p.bodySite?.trim() ? { bodySite: [{ text: p.bodySite.trim() }] } : {}),
+      ...(p.outcome?.trim() ? { outcome: { text: p.outcome.trim() } } : {}),
+      meta: { profile: ["https://nrces.in/ndhm/fhir/r4/StructureDefinition/Procedure"] },
+    };
+  });
+}
+
+/* "12.5" → 12.5; anything non-numeric stays a string */
+function toNumber(v) {
+  const s = String(v ?? "").trim();
+  return s !== "" && !isNaN(Number(s)) ? Number(s) : null;
+}
+
+function ucumQuantity(value, unit) {
+  return { value, ...(unit ? { unit, system: "http://unitsofmeasure.org", code: unit } : {}) };
+}
+
+/*
+  observations: [{ codeSystem, code, display, value, unit, low, high, interpretation, effective }]
+  defaults.effective is used when a row has no effective time of its own
+*/
+export function buildObservationResources(obsIds, observations, ctx, defaults = {}) {
+  return observations.map((o, idx) => {
+    const num = toNumber(o.value);
+    const low = toNumber(o.low);
+    const high = toNumber(o.high);
+    const effective = localDatetimeToISOWithOffset(o.effective || defaults.effective);
+    const interp = OBSERVATION_INTERPRETATION[o.interpretation];
+    const code = buildCodeableConcept(o, "Observation");
+    const unit = o.unit?.trim() || "";
+    return {
+      resourceType: "Observation",
+      id: obsIds[idx],
+      language: "en-IN",
+      text: buildNarrative("Observation", narrativeTable([
+        ["Test", code.text],
+        ["Code", codeLabel(o)],
+        ["Result", o.value?.trim() ? `${o.value.trim()} ${unit}`.trim() : ""],
+        ["Reference range", low !== null || high !== null ? `${low ?? ""} – ${high ?? ""} ${unit}`.trim() : ""],
+        ["Interpretation", interp],
+        ["Effective", effective],
+      ])),
+      status: "final",
+      category: [{
+        coding: [{ system: "http://terminology.hl7.org/CodeSystem/observation-category", code: "laboratory", display: "Laboratory" }],
+      }],
+      code,
+      subject: { reference: `urn:uuid:${ctx.patId}`, type: "Patient" },
+      encounter: { reference: `urn:uuid:${ctx.encId}`, type: "Encounter" },
+      ...(effective ? { effectiveDateTime: effective } : {}),
+      performer: [{ reference: `urn:uuid:${ctx.pracId}`, type: "Practitioner", display: ctx.practitionerName }],
+      ...(num !== null ? { valueQuantity: ucumQuantity(num, o.unit?.trim()) } : o.value?.trim() ? { valueString: o.value.trim() } : {}),
+      ...(interp ? {
+        interpretation: [{
+          coding: [{ system: "http://terminology.hl7.org/CodeSystem/v3-ObservationInterpretation", code: o.interpretation, display: interp }],
+        }],
+      } : {}),
+      ...(low !== null || high !== null ? {
+        referenceRange: [{
+          ...(low !== null ? { low: ucumQuantity(low, o.unit?.trim()) } : {}),
+          ...(high !== null ? { high: ucumQuantity(high, o.unit?.trim()) } : {}),
+        }],
+      } : {}),
+      meta: { profile: ["https://nrces.in/ndhm/fhir/r4/StructureDefinition/Observation"] },
+    };
+  });
+}
+
+/* BMI (kg/m2, one decimal) from height in cm and weight in kg; null when either is missing */
+export function calculateBmi(heightCm, weightKg) {
+  const h = toNumber(heightCm);
+  const w = toNumber(weightKg);
+  if (!h || !w) return null;
+  return Math.round((w / Math.pow(h / 100, 2)) * 10) / 10;
+}
+
+/* VITAL_SIGNS keys with a value, in VITAL_SIGNS order; BMI is derived when not given */
+export function presentVitalSigns(vitals = {}) {
+  return Object.keys(VITAL_SIGNS).filter(key => {
+    if (key === "bp") return toNumber(vitals.bpSystolic) !== null || toNumber(vitals.bpDiastolic) !== null;
+    if (key === "bmi") return toNumber(vitals.bmi) !== null || calculateBmi(vitals.height, vitals.weight) !== null;
+    return toNumber(vitals[key]) !== null;
+  });
+}
+
+function loincConcept({ code, display }) {
+  return { coding: [{ system: "http://loinc.org", code, display }], text: display };
+}
+
+/*
+  vitals: { bpSystolic, bpDiastolic, pulse, temperature, spo2, respRate, height, weight, bmi, effective }
+  vitalIds: one id per presentVitalSigns(vitals) key
+*/
+export function buildVitalSignObservations(vitalIds, vitals, ctx) {
+  const effective = localDatetimeToISOWithOffset(vitals.effective) || ctx.authoredOn;
+  return presentVitalSigns(vitals).map((key, idx) => {
+    const def = VITAL_SIGNS[key];
+    const value = key === "bmi" ? (toNumber(vitals.bmi) ?? calculateBmi(vitals.height, vitals.weight)) : toNumber(vitals[key]);
+    const components = key === "bp"
+      ? [["systolic", vitals.bpSystolic], ["diastolic", vitals.bpDiastolic]]
+        .filter(([, v]) => toNumber(v) !== null)
+        .map(([k, v]) => ({ code: loincConcept(BP_COMPONENTS[k]), valueQuantity: ucumQuantity(toNumber(v), def.unit) }))
+      : null;
+    const result = key === "bp"
+      ? `${toNumber(vitals.bpSystolic) ?? "–"}/${toNumber(vitals.bpDiastolic) ?? "–"} ${def.unit}`
+      : `${value} ${def.unit}`;
+    return {
+      resourceType: "Observation",
+      id: vitalIds[idx],
+      language: "en-IN",
+      text: buildNarrative("Observation", narrativeTable([
+        ["Vital sign", def.label],
+        ["Result", result],
+        ["Effective", effective],
+      ])),
+      status: "final",
+      category: [{
+        coding: [{ system: "http://terminology.hl7.org/CodeSystem/observation-category", code: "vital-signs", display: "Vital Signs" }],
+      }],
+      code: loincConcept(def),
+      subject: { reference: `urn:uuid:${ctx.patId}`, type: "Patient" },
+      encounter: { reference: `urn:uuid:${ctx.encId}`, type: "Encounter" },
+      effectiveDateTime: effective,
+      performer: [{ reference: `urn:uuid:${ctx.pracId}`, type: "Practitioner", display: ctx.practitionerName }],
+      ...(components ? { component: components } : { valueQuantity: ucumQuantity(value, def.unit) }),
+      meta: {
+        profile: [def.bodyMeasurement
+          ? "https://nrces.in/ndhm/fhir/r4/StructureDefinition/ObservationBodyMeasurement"
+          : "https://nrces.in/ndhm/fhir/r4/StructureDefinition/ObservationVitalSigns"],
+      },
+    };
+  });
+}
+
+/*
+  report: { codeSystem, code, display, effective, conclusion }
+  resultIds: Observation ids grouped under this report
+  binaryId: Binary holding the attached report PDF (optional) — exposed as presentedForm
+*/
+export function buildDiagnosticReportResource(reportId, report, resultIds, binaryId, contentType, ctx) {
+  const effective = localDatetimeToISOWithOffset(report.effective);
+  const code = buildCodeableConcept(report, "Investigation report");
+  return {
+    resourceType: "DiagnosticReport",
+    id: reportId,
+    language: "en-IN",
+    text: buildNarrative("DiagnosticReport", narrativeTable([
+      ["Report", code.text],
+      ["Code", codeLabel(report)],
+      ["Effective", effective],
+      ["Results", resultIds.length ? `${resultIds.length} observation(s)` : ""],
+      ["Conclusion", report.conclusion?.trim()],
+      ["Attached report", binaryId ? contentType : ""],
+    ])),
+    status: "final",
+    category: [{
+      coding: [{ system: "http://terminology.hl7.org/CodeSystem/v2-0074", code: "LAB", display: "Laboratory" }],
+    }],
+    code,
+    subject: { reference: `urn:uuid:${ctx.patId}`, type: "Patient" },
+    encounter: { reference: `urn:uuid:${ctx.encId}`, type: "Encounter" },
+    ...(effective ? { effectiveDateTime: effective } : {}),
+    issued: ctx.authoredOn,
+    performer: [{ reference: `urn:uuid:${ctx.pracId}`, type: "Practitioner", display: ctx.practitionerName }],
+    ...(resultIds.length ? { result: resultIds.map(id => ({ reference: `urn:uuid:${id}`, type: "Observation" })) } : {}),
+    ...(report.conclusion?.trim() ? { conclusion: report.conclusion.trim() } : {}),
+    ...(binaryId ? { presentedForm: [{ contentType, url: `urn:uuid:${binaryId}`, title: report.display || "Report" }] } : {}),
+    meta: { profile: ["https://nrces.in/ndhm/fhir/r4/StructureDefinition/DiagnosticReportLab"] },
+  };
+}
+
+/* familyHistory: [{ relationship (v3-RoleCode), codeSystem, code, display, onsetAge (years) }] */
+export function buildFamilyMemberHistoryResources(historyIds, familyHistory, ctx) {
+  return familyHistory.map((f, idx) => {
+    const relationship = FAMILY_RELATIONSHIPS[f.relationship] ? f.relationship : "FAMMEMB";
+    const onsetAge = toNumber(f.onsetAge);
+    const code = buildCodeableConcept(f, "Condition");
+    return {
+      resourceType: "FamilyMemberHistory",
+      id: historyIds[idx],
+      language: "en-IN",
+      text: buildNarrative("FamilyMemberHistory", narrativeTable([
+        ["Relative", FAMILY_RELATIONSHIPS[relationship]],
+        ["Condition", code.text],
+        ["Code", codeLabel(f)],
+        ["Onset age", onsetAge !== null ? `${onsetAge} years` : ""],
+      ])),
+      status: "completed",
+      patient: { reference: `urn:uuid:${ctx.patId}`, type: "Patient" },
+      date: ctx.authoredOn,
+      relationship: {
+        coding: [{ system: "http://terminology.hl7.org/CodeSystem/v3-RoleCode", code: relationship, display: FAMILY_RELATIONSHIPS[relationship] }],
+        text: FAMILY_RELATIONSHIPS[relationship],
+      },
+      condition: [{
+        code,
+        ...(onsetAge !== null ? { onsetAge: { value: onsetAge, unit: "years", system: "http://unitsofmeasure.org", code: "a" } } : {}),
+      }],
+      meta: { profile: ["https://nrces.in/ndhm/fhir/r4/StructureDefinition/FamilyMemberHistory"] },
+    };
+  });
+}
+
+/* Drug name with strength ("Paracetamol 500 mg"); medicationText is the legacy free-text name */
+export function medicationDisplay(m = {}) {
+  const name = (m.display || m.medicationText || "").trim();
+  const strength = (m.strength || "").trim();
+  if (!strength || name.toLowerCase().includes(strength.toLowerCase())) return name;
+  return name ? `${name} ${strength}` : "";
+}
+
+/* [[medication, dosage, dispense]] → XHTML medication table (values escaped) */
+function medicationTableHtml(rows) {
+  const body = rows.map(cells => `<tr>${cells.map(c => `<td>${escapeHtml(c)}</td>`).join("")}</tr>`).join("");
+  return `<table><thead><tr><th>Medication</th><th>Dosage</th><th>Dispense</th></tr></thead><tbody>${body}</tbody></table>`;
+}
+
+/* Reconciliation state of a medications row (MEDICATION_RECONCILIATION key); unset rows are new prescriptions */
+function reconciliationOf(m) {
+  return MEDICATION_RECONCILIATION[m?.reconciliation] ? m.reconciliation : "new";
+}
+
+/*
+  medications: [{ codeSystem, code, display, system?, strength, ...dosage fields (see dosage.js), reconciliation }]
+  ctx.formularySystem: CodeSystem uri for codeSystem "local" rows
+  medReqIds line up with medications; stopped home medications are not prescribed.
+*/
+export function buildMedicationRequests(medReqIds, medications, ctx) {
+  return medications.flatMap((m, idx) => {
+    if (!MEDICATION_RECONCILIATION[reconciliationOf(m)].request) return [];
+    const display = medicationDisplay(m);
+    const dispenseRequest = buildDispenseRequest(m);
+    return {
+      resourceType: "MedicationRequest",
+      id: medReqIds[idx],
+      language: "en-IN",
+      text: buildNarrative("MedicationRequest", medicationTableHtml([[display, dosageInstructionText(m), dispenseRequest ? `${dispenseRequest.quantity.value} ${dispenseRequest.quantity.unit || ""}`.trim() : ""]])),
+      status: "active",
+      intent: "order",
+      medicationCodeableConcept: buildCodeableConcept({ ...m, display }, "Medication", ctx.formularySystem),
+      subject: { reference: `urn:uuid:${ctx.patId}`, type: "Patient" },
+      authoredOn: ctx.authoredOn,
+      requester: { reference: `urn:uuid:${ctx.pracId}`, display: ctx.practitionerName },
+      dosageInstruction: [buildDosage(m)],
+      ...(dispenseRequest ? { dispenseRequest } : {}),
+      meta: { profile: ["https://nrces.in/ndhm/fhir/r4/StructureDefinition/MedicationRequest"] },
+    };
+  });
+}
+
+/*
+  Pre-admission (home) medications → MedicationStatement: continued ones stay "active",
+  dose-changed and stopped ones are "stopped" with a statusReason.
+  medications: rows as for buildMedicationRequests plus { reconciliation, priorDosage, stopReason };
+  statementIds line up with medications, new drugs are skipped.
+*/
+export function buildMedicationStatements(statementIds, medications, ctx) {
+  return medications.flatMap((m, idx) => {
+    const state = reconciliationOf(m);
+    if (!MEDICATION_RECONCILIATION[state].statement) return [];
+    const display = medicationDisplay(m);
+    const reason = state === "changed" ? "Dose changed during admission" : (m.stopReason || "").trim();
+    // the home dose differs from the discharge dose only for dose-changed rows
+    const dosage = state === "changed" ? (m.priorDosage?.trim() ? { text: m.priorDosage.trim() } : null) : buildDosage(m);
+    return {
+      resourceType: "MedicationStatement",
+      id: statementIds[idx],
+      language: "en-IN",
+      text: buildNarrative("MedicationStatement", narrativeTable([
+        ["Medication", display],
+        ["Reconciliation", MEDICATION_RECONCILIATION[state].label],
+        ["Home dosage", dosage?.text],
+        ["Reason", reason],
+      ])),
+      status: MEDICATION_RECONCILIATION[state].statement,
+      ...(reason ? { statusReason: [{ text: reason }] } : {}),
+      medicationCodeableConcept: buildCodeableConcept({ ...m, display }, "Medication", ctx.formularySystem),
+      subject: { reference: `urn:uuid:${ctx.patId}`, type: "Patient" },
+      context: { reference: `urn:uuid:${ctx.encId}`, type: "Encounter" },
+      dateAsserted: ctx.authoredOn,
+      informationSource: { reference: `urn:uuid:${ctx.pracId}`, display: ctx.practitionerName },
+      ...(dosage ? { dosage: [dosage] } : {}),
+      meta: { profile: ["https://nrces.in/ndhm/fhir/r4/StructureDefinition/MedicationStatement"] },
+    };
+  });
+}
+
+/* Medications section narrative: one table grouping the rows by reconciliation state */
+export function medicationReconciliationHtml(medications) {
+  const groups = Object.entries(MEDICATION_RECONCILIATION)
+    .map(([state, r]) => ({ r, rows: medications.filter(m => reconciliationOf(m) === state) }))
+    .filter(g => g.rows.length);
+  if (!groups.length) return "";
+  const body = groups.map(({ r, rows }) => [
+    `<tr><th colspan="3">${escapeHtml(r.label)}</th></tr>`,
+    ...rows.map(m => {
+      const state = reconciliationOf(m);
+      const note = state === "changed"
+        ? (m.priorDosage?.trim() ? `Previously: ${m.priorDosage.trim()}` : "Dose changed")
+        : state === "stopped" ? (m.stopReason?.trim() || "") : "";
+      return `<tr><td>${escapeHtml(medicationDisplay(m))}</td><td>${escapeHtml(dosageInstructionText(m))}</td><td>${escapeHtml(note)}</td></tr>`;
+    }),
+  ].join("")).join("");
+  return `<table><thead><tr><th>Medication</th><th>Dosage</th><th>Change / reason</th></tr></thead><tbody>${body}</tbody></table>`;
+}
+
+export function buildCarePlanResource(carePlanId, carePlanText, ctx) {
+  if (!carePlanText?.trim()) return null;
+  return {
+    resourceType: "CarePlan",
+    id: carePlanId,
+    language: "en-IN",
+    text: buildNarrative("Care Plan", textToXhtml(carePlanText)),
+    status: "active",
+    intent: "plan",
+    subject: { reference: `urn:uuid:${ctx.patId}`, type: "Patient" },
+    author: [{ reference: `urn:uuid:${ctx.pracId}` }],
+    activity: [{ detail: { kind: "ServiceRequest", description: carePlanText } }],
+    meta: { profile: ["https://nrces.in/ndhm/fhir/r4/StructureDefinition/CarePlan"] },
+  };
+}
+
+/*
+  attachment: { contentType, data } with base64 data (no data:... prefix); placeholder PDF when absent
+  docType: CodeableConcept for DocumentReference.type (defaults to the discharge summary)
+*/
+export function buildBinaryAndDocRef(binaryId, docRefId, attachment, ctx, docType = { coding: [SNOMED.DOC_TYPE], text: "Discharge summary" }) {
+  let contentType = "application/pdf";
+  let dataB64 = PLACEHOLDER_PDF_B64;
+  if (attachment?.data) {
+    const ct = attachment.contentType;
+    if (ct === "application/pdf" || ct === "image/jpeg" || ct === "image/jpg") contentType = ct;
+    dataB64 = attachment.data;
+  }
+
+  const binary = {
+    resourceType: "Binary",
+    id: binaryId,
+    language: "en-IN",
+    meta: { profile: ["https://nrces.in/ndhm/fhir/r4/StructureDefinition/Binary"] },
+    contentType,
+    data: dataB64,
+  };
+
+  const docRef = {
+    resourceType: "DocumentReference",
+    id: docRefId,
+    language: "en-IN",
+    text: buildNarrative("DocumentReference", `<p>${escapeHtml(docType.text || "Discharge document")} (${escapeHtml(contentType)})</p>`),
+    status: "current",
+    type: docType,
+    subject: { reference: `urn:uuid:${ctx.patId}`, type: "Patient" },
+    date: nowISOWithOffset(),
+    content: [{
+      attachment: {
+        contentType, url: `urn:uuid:${binaryId}`,
+        data: dataB64 // 🔹 must be present
+      }
+    }],
+    meta: { profile: ["https://nrces.in/ndhm/fhir/r4/StructureDefinition/DocumentReference"] },
+  };
+
+  return { binary, docRef };
+}
+
+/* One-line, human-readable summary of a section entry (unescaped) */
+function entrySummary(r) {
+  const quantity = q => (q ? `${q.value}${q.unit ? ` ${q.unit}` : ""}` : "");
+  switch (r.resourceType) {
+    case "Observation": {
+      const value = r.component
+        ? r.component.map(c => quantity(c.valueQuantity)).join(" / ")
+        : quantity(r.valueQuantity) || r.valueString || "";
+      return value ? `${r.code?.text}: ${value}` : r.code?.text;
+    }
+    case "FamilyMemberHistory":
+      return `${r.relationship?.text}: ${r.condition?.[0]?.code?.text || ""}`;
+    case "MedicationRequest":
+      return `${r.medicationCodeableConcept?.text} — ${r.dosageInstruction?.[0]?.text || ""}`;
+    case "MedicationStatement":
+      return `${r.medicationCodeableConcept?.text} (home medication, ${r.status})`;
+    case "CarePlan":
+      return r.activity?.[0]?.detail?.description;
+    case "DocumentReference":
+      return r.type?.text || "Document";
+    default:
+      return r.code?.text || r.resourceType;
+  }
+}
+
+/*
+  entries:   resources referenced by the section; each is listed in the section narrative
+  text:      narrative when the section has no entries
+  note:      free text added to the narrative of a section with entries (status "additional")
+  noteHtml:  ready-made XHTML used instead of the entry list (e.g. the medication reconciliation table)
+  emptyText: shown when there are neither entries nor text; the narrative status is then "empty". No emptyReason is
+             coded: a blank form field only means nothing was entered, not that the patient has none
+  Free text goes through textToXhtml (escaped, paragraphs / <br/> kept); the whole div is sanitised.
+*/
+function makeSection(title, coding, { entries, text, note, noteHtml, emptyText = "No data" } = {}) {
+  const sec = {
+    title,
+    code: { coding: [coding], text: coding.display },
+  };
+  const wrap = html => `<div xmlns="http://www.w3.org/1999/xhtml" lang="en-IN" xml:lang="en-IN">${sanitizeXhtml(html)}</div>`;
+  if (entries && entries.length) {
+    sec.entry = entries.map(r => ({ reference: `urn:uuid:${r.id}`, type: r.resourceType }));
+    const list = noteHtml || `<ul>${entries.map(r => `<li>${escapeHtml(entrySummary(r))}</li>`).join("")}</ul>`;
+    const noteXhtml = textToXhtml(note);
+    sec.text = { status: noteXhtml || noteHtml ? "additional" : "generated", div: wrap(list + noteXhtml) };
+  } else {
+    const html = textToXhtml(text);
+    sec.text = { status: html ? "generated" : "empty", div: wrap(html || `<p>${escapeHtml(emptyText)}</p>`) };
+  }
+  return sec;
+}
+
+/*
+  meta:    { status, title }
+  sections: free-text values keyed by section (chiefComplaints, physicalExam, ...)
+  entries: { vitals, conditions, allergies, familyHistory, procedures, reports, reportDocRefs, medStatements, medReqs,
+             carePlan, docRef } — resources already built for this bundle
+           plus medicationSummary: XHTML table for the Medications section (medicationReconciliationHtml)
+*/
+export function buildComposition(compId, meta, sections, entries, ctx) {
+  const {
+    vitals = [], conditions = [], allergies = [], familyHistory = [], procedures = [],
+    reports = [], reportDocRefs = [], medStatements = [], medReqs = [], carePlan, docRef, medicationSummary = "",
+  } = entries;
+  const sectionList = [
+    makeSection("Chief Complaints", SNOMED.SECTION_CHIEF, { text: sections.chiefComplaints }),
+    makeSection("Physical Examination", SNOMED.SECTION_PHYS, { entries: vitals, text: sections.physicalExam, note: sections.physicalExam }),
+    makeSection("Allergies", SNOMED.SECTION_ALLERGY, { entries: allergies, text: sections.allergies, note: sections.allergies }),
+    makeSection("Medical History", SNOMED.SECTION_MEDHIST, { text: sections.medicalHistory }),
+    makeSection("Family History", SNOMED.SECTION_FAMHIST, { entries: familyHistory, text: sections.familyHistory, note: sections.familyHistory }),
+    makeSection("Investigations", SNOMED.SECTION_INVEST, {
+      entries: [...reports, ...reportDocRefs], text: sections.investigations, note: sections.investigations,
+    }),
+    makeSection("Diagnoses", SNOMED.SECTION_DIAGNOSIS, { entries: conditions, emptyText: "No diagnoses recorded" }),
+    makeSection("Medications", SNOMED.SECTION_MEDS, { entries: [...medStatements, ...medReqs], noteHtml: medicationSummary, emptyText: "No medications" }),
+    makeSection("Procedures", SNOMED.SECTION_PROC, { entries: procedures, text: sections.procedures, note: sections.procedures }),
+    makeSection("Care Plan", SNOMED.SECTION_CAREPLAN, { entries: carePlan ? [carePlan] : null, text: sections.carePlan }),
+    makeSection("Documents", SNOMED.SECTION_DOCREF, { entries: docRef ? [docRef] : null, emptyText: "Discharge documents attached" }),
+  ];
+
+  return {
+    resourceType: "Composition",
+    id: compId,
+    language: "en-IN",
+    text: buildNarrative("Composition", narrativeTable([
+      ["Title", meta.title],
+      ["Status", meta.status],
+      ["Date", ctx.authoredOn],
+      ["Author", ctx.practitionerName],
+    ])),
+    status: meta.status,
+    type: { coding: [SNOMED.DOC_TYPE], text: "Discharge summary" },
+    subject: { reference: `urn:uuid:${ctx.patId}`, type: "Patient" },
+    encounter: { reference: `urn:uuid:${ctx.encId}`, type: "Encounter" },
+    date: ctx.authoredOn,
+    author: [{ reference: `urn:uuid:${ctx.pracId}`, display: ctx.practitionerName }],
+    title: meta.title,
+    custodian: { reference: `urn:uuid:${ctx.orgId}` },
+    section: sectionList,
+    meta: { profile: ["https://nrces.in/ndhm/fhir/r4/StructureDefinition/DischargeSummaryRecord"] },
+  };
+}
@@ -0,0 +1,168 @@
+// src/fhir/summaryPdf.js
+import { renderPdf } from "./pdf";
+import { displayDate } from "./utils";
+
+/*
+  Printable discharge summary (PDF, base64) laid out from the resources built for the bundle,
+  so the attached document always says what the structured entries say.
+
+  doc = {
+    title, status, authoredOn,
+    organization, patient, practitioner, encounter,       — resources
+    sections,                                             — free-text values (chiefComplaints, physicalExam, ...)
+    vitals, conditions, allergies, familyHistory, procedures, reports, observations,
+    medStatements, medReqs, carePlan                      — resources (arrays may be empty)
+  }
+*/
+
+function quantity(q) {
+  return q ? `${q.value}${q.unit ? ` ${q.unit}` : ""}` : "";
+}
+
+function observationValue(o) {
+  if (o.component) return o.component.map(c => quantity(c.valueQuantity)).join(" / ");
+  return quantity(o.valueQuantity) || o.valueString || "";
+}
+
+function identifierValue(res, text) {
+  return (res?.identifier || []).find(i => i.type?.text === text)?.value || "";
+}
+
+export function renderDischargeSummaryPdf(doc) {
+  const {
+    organization, patient, practitioner, encounter, sections = {},
+    vitals = [], conditions = [], allergies = [], familyHistory = [], procedures = [],
+    reports = [], observations = [], medStatements = [], medReqs = [], carePlan,
+  } = doc;
+  const blocks = [];
+  const freeText = (heading, value) => {
+    if (!value?.trim()) return;
+    blocks.push({ type: "heading", text: heading }, { type: "text", text: value.trim() });
+  };
+
+  blocks.push({ type: "title", text: doc.title || "Discharge Summary" });
+  if (doc.status && doc.status !== "final") blocks.push({ type: "text", text: `Document status: ${doc.status}`, bold: true, color: "0.7 0.1 0.1" });
+
+  blocks.push({ type: "heading", text: "Patient" }, {
+    type: "fields",
+    rows: [
+      ["Name", patient?.name?.[0]?.text],
+      ["Gender / DOB", [patient?.gender, displayDate(patient?.birthDate)].filter(Boolean).join(" / ")],
+      ["ABHA number", identifierValue(patient, "ABHA Number")],
+      ["ABHA address", identifierValue(patient, "ABHA Address")],
+      ["Mobile", (patient?.telecom || []).find(t => t.system === "phone")?.value],
+    ],
+  });
+
+  blocks.push({ type: "heading", text: "Admission" }, {
+    type: "fields",
+    rows: [
+      ["Episode", identifierValue(encounter, "Hospital episode")],
+      ["Admitted", displayDate(encounter?.period?.start)],
+      ["Discharged", displayDate(encounter?.period?.end)],
+      ["Ward / bed", encounter?.location?.[0]?.location?.display],
+      ["Discharge to", encounter?.hospitalization?.dischargeDisposition?.text],
+    ],
+  });
+
+  freeText("Chief Complaints", sections.chiefComplaints);
+  freeText("Medical History", sections.medicalHistory);
+
+  if (conditions.length) {
+    blocks.push({ type: "heading", text: "Diagnoses" }, {
+      type: "table",
+      columns: [{ label: "Diagnosis", width: 0.55 }, { label: "Code", width: 0.2 }, { label: "Type", width: 0.25 }],
+      rows: conditions.map(c => [c.code?.text, c.code?.coding?.[0]?.code || "", c.category?.[0]?.text || ""]),
+    });
+  }
+
+  if (vitals.length || sections.physicalExam?.trim()) {
+    blocks.push({ type: "heading", text: "Examination" });
+    if (vitals.length) blocks.push({ type: "fields", rows: vitals.map(v => [v.code?.text, observationValue(v)]) });
+    if (sections.physicalExam?.trim()) blocks.push({ type: "text", text: sections.physicalExam.trim() });
+  }
+
+  if (allergies.length || sections.allergies?.trim()) {
+    blocks.push({ type: "heading", text: "Allergies" });
+    allergies.forEach(a => blocks.push({
+      type: "text",
+      text: `• ${a.code?.text}${a.criticality ? ` (criticality ${a.criticality})` : ""}${a.reaction?.[0]?.manifestation?.[0]?.text ? ` — ${a.reaction[0].manifestation[0].text}` : ""}`,
+    }));
+    if (sections.allergies?.trim()) blocks.push({ type: "text", text: sections.allergies.trim() });
+  }
+
+  if (familyHistory.length || sections.familyHistory?.trim()) {
+    blocks.push({ type: "heading", text: "Family History" });
+    familyHistory.forEach(f => blocks.push({ type: "text", text: `• ${f.relationship?.text}: ${f.condition?.[0]?.code?.text || ""}` }));
+    if (sections.familyHistory?.trim()) blocks.push({ type: "text", text: sections.familyHistory.trim() });
+  }
+
+  if (reports.length || sections.investigations?.trim()) {
+    blocks.push({ type: "heading", text: "Investigations" });
+    const byId = Object.fromEntries(observations.map(o => [o.id, o]));
+    reports.forEach(r => {
+      const results = (r.result || []).map(ref => byId[ref.reference.replace("urn:uuid:", "")]).filter(Boolean);
+      blocks.push({ type: "text", text: `${r.code?.text}${r.effectiveDateTime ? ` (${displayDate(r.effectiveDateTime)})` : ""}`, bold: true });
+      if (results.length) {
+        blocks.push({
+          type: "table",
+          columns: [{ label: "Test", width: 0.45 }, { label: "Result", width: 0.25 }, { label: "Reference range", width: 0.3 }],
+          rows: results.map(o => [
+            o.code?.text,
+            `${observationValue(o)}${o.interpretation?.[0]?.coding?.[0]?.code ? ` (${o.interpretation[0].coding[0].code})` : ""}`,
+            o.referenceRange ? [quantity(o.referenceRange[0].low), quantity(o.referenceRange[0].high)].filter(Boolean).join(" – ") : "",
+          ]),
+        });
+      }
+      if (r.conclusion) blocks.push({ type: "text", text: `Conclusion: ${r.conclusion}` });
+    });
+    if (sections.investigations?.trim()) blocks.push({ type: "text", text: sections.investigations.trim() });
+  }
+
+  if (procedures.length || sections.procedures?.trim()) {
+    blocks.push({ type: "heading", text: "Procedures" });
+    procedures.forEach(p => blocks.push({
+      type: "text",
+      text: `• ${p.code?.text} — ${p.status}${p.performedDateTime || p.performedPeriod?.start ? ` (${displayDate(p.performedDateTime || p.performedPeriod.start)})` : ""}`,
+    }));
+    if (sections.procedures?.trim()) blocks.push({ type: "text", text: sections.procedures.trim() });
+  }
+
+  if (medReqs.length) {
+    blocks.push({ type: "heading", text: "Discharge Medications" }, {
+      type: "table",
+      columns: [{ label: "Medication", width: 0.4 }, { label: "Dosage", width: 0.45 }, { label: "Qty", width: 0.15 }],
+      rows: medReqs.map(m => [
+        m.medicationCodeableConcept?.text,
+        m.dosageInstruction?.[0]?.text || "",
+        quantity(m.dispenseRequest?.quantity),
+      ]),
+    });
+  }
+  const stopped = medStatements.filter(s => s.status === "stopped");
+  if (stopped.length) {
+    blocks.push({ type: "heading", text: "Stopped / Changed Home Medications" });
+    stopped.forEach(s => blocks.push({ type: "text", text: `• ${s.medicationCodeableConcept?.text}${s.statusReason?.[0]?.text ? ` — ${s.statusReason[0].text}` : ""}` }));
+  }
+
+  freeText("Care Plan / Advice", carePlan?.activity?.[0]?.detail?.description || sections.carePlan);
+
+  blocks.push({ type: "space", height: 24 }, { type: "rule" }, {
+    type: "fields",
+    rows: [
+      ["Doctor", practitioner?.name?.[0]?.text],
+      ["Registration no.", practitioner?.identifier?.[0]?.value],
+      ["Date", displayDate(doc.authoredOn)],
+    ],
+  });
+
+  const address = organization?.address?.[0];
+  const addressText = address && (address.text || [address.line?.[0], address.city, address.state, address.postalCode].filter(Boolean).join(", "));
+  const contact = [addressText, (organization?.telecom || []).find(t => t.system === "phone")?.value].filter(Boolean).join("  |  ");
+  const hfr = (organization?.identifier || []).find(i => i.system === "https://facility.ndhm.gov.in")?.value;
+
+  return renderPdf(blocks, {
+    header: [organization?.name || "Discharge Summary", contact, hfr ? `HFR ID: ${hfr}` : ""].filter(Boolean),
+    footer: `${doc.title || "Discharge Summary"} — ${patient?.name?.[0]?.text || ""} — generated ${displayDate(doc.authoredOn)}`,
+  });
+}
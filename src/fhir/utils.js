@@ -0,0 +1,185 @@
+// src/fhir/utils.js
+/* --------------------------------- HELPERS --------------------------------- */
+export function uuidv4() {
+  return "xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx".replace(/[xy]/g, (c) => {
+    const r = (Math.random() * 16) | 0;
+    const v = c === "x" ? r : (r & 0x3) | 0x8;
+    return v.toString(16);
+  });
+}
+
+export function isUuid(s) {
+  return typeof s === "string" && /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/.test(s);
+}
+
+// If a global id isn't a UUID, generate a UUID for bundle-local references
+export function safeUuid(maybeId) {
+  const s = (maybeId || "").toLowerCase();
+  return isUuid(s) ? s : uuidv4();
+}
+
+export function toFHIRDateFromDDMMYYYY(ddmmyyyy) {
+  if (!ddmmyyyy) return undefined;
+  const parts = String(ddmmyyyy).split("-");
+  if (parts.length !== 3) return undefined;
+  const [dd, mm, yyyy] = parts;
+  if (yyyy && yyyy.length === 4) return `${yyyy}-${mm.padStart(2, "0")}-${dd.padStart(2, "0")}`;
+  return undefined;
+}
+
+export function nowISOWithOffset() {
+  return isoWithOffset(new Date());
+}
+
+/* Date → YYYY-MM-DDTHH:MM:SS+HH:MM in local time */
+export function isoWithOffset(d) {
+  const tzo = -d.getTimezoneOffset();
+  const sign = tzo >= 0 ? "+" : "-";
+  const pad = (n) => String(Math.floor(Math.abs(n))).padStart(2, "0");
+  return (
+    d.getFullYear() +
+    "-" +
+    pad(d.getMonth() + 1) +
+    "-" +
+    pad(d.getDate()) +
+    "T" +
+    pad(d.getHours()) +
+    ":" +
+    pad(d.getMinutes()) +
+    ":" +
+    pad(d.getSeconds()) +
+    sign +
+    pad(tzo / 60) +
+    ":" +
+    pad(tzo % 60)
+  );
+}
+
+/* "2025-09-12T10:00:00+05:30" → "12-09-2025 10:00"; dates only → "12-09-2025" (printed documents) */
+export function displayDate(iso) {
+  const m = /^(\d{4})-(\d{2})-(\d{2})(?:T(\d{2}):(\d{2}))?/.exec(iso || "");
+  if (!m) return iso || "";
+  return `${m[3]}-${m[2]}-${m[1]}${m[4] ? ` ${m[4]}:${m[5]}` : ""}`;
+}
+
+/* 'datetime-local' input (YYYY-MM-DDTHH:MM) → ISO with offset; date-only values pass through */
+export function localDatetimeToISOWithOffset(value) {
+  if (!value) return undefined;
+  const s = String(value).trim();
+  if (/^\d{4}-\d{2}-\d{2}$/.test(s)) return s;
+  const d = new Date(s);
+  return isNaN(d.getTime()) ? undefined : isoWithOffset(d);
+}
+
+/* Depth-first walk over a resource calling visit(node, key, path) for every key of every object */
+export function walkElements(node, path, visit) {
+  if (Array.isArray(node)) {
+    node.forEach((v, i) => walkElements(v, `${path}[${i}]`, visit));
+    return;
+  }
+  if (!node || typeof node !== "object") return;
+  Object.keys(node).forEach(key => {
+    visit(node, key, `${path}.${key}`);
+    walkElements(node[key], `${path}.${key}`, visit);
+  });
+}
+
+/* Escape text for XHTML narratives (element content and attribute values) */
+export function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+/* Free text (textarea) → escaped XHTML: blank lines separate <p> paragraphs, single newlines become <br/> */
+export function textToXhtml(text) {
+  return String(text ?? "")
+    .replace(/\r\n?/g, "\n")
+    .split(/\n\s*\n/)
+    .map(p => p.trim())
+    .filter(Boolean)
+    .map(p => `<p>${p.split("\n").map(escapeHtml).join("<br/>")}</p>`)
+    .join("");
+}
+
+/*
+  Whitelist sanitiser for the FHIR narrative XHTML subset (txt-1 / txt-2):
+  - script / style / head-like blocks and comments are dropped with their content
+  - tags outside the basic formatting set are removed (their text is kept)
+  - only presentational attributes survive; on* handlers and javascript: urls never do
+  - stray "<" / "&" in text are escaped, void elements are self-closed
+*/
+const XHTML_TAGS = new Set([
+  "a", "abbr", "b", "big", "blockquote", "br", "caption", "cite", "code", "col", "colgroup", "dd", "dfn", "div", "dl", "dt",
+  "em", "h1", "h2", "h3", "h4", "h5", "h6", "hr", "i", "img", "kbd", "li", "ol", "p", "pre", "q", "samp", "small", "span",
+  "strong", "sub", "sup", "table", "tbody", "td", "tfoot", "th", "thead", "tr", "tt", "u", "ul", "var",
+]);
+const XHTML_VOID = new Set(["br", "hr", "img", "col"]);
+const XHTML_ATTRS = new Set([
+  "xmlns", "lang", "xml:lang", "id", "class", "style", "title", "dir", "colspan", "rowspan", "span", "align", "valign",
+  "href", "name", "src", "alt", "width", "height", "border", "cellpadding", "cellspacing", "summary", "abbr", "scope",
+]);
+
+function sanitizeAttributes(raw) {
+  const out = [];
+  for (const [, name, , dq, sq, bare] of raw.matchAll(/([a-zA-Z_:][\w:.-]*)\s*=\s*("([^"]*)"|'([^']*)'|([^\s"'>]+))/g)) {
+    const key = name.toLowerCase();
+    const value = dq ?? sq ?? bare ?? "";
+    if (!XHTML_ATTRS.has(key)) continue;
+    if ((key === "href" || key === "src") && /^\s*(javascript|vbscript|data):/i.test(value) && !/^\s*data:image\//i.test(value)) continue;
+    out.push(`${key}="${escapeText(value).replace(/"/g, "&quot;")}"`);
+  }
+  return out.length ? ` ${out.join(" ")}` : "";
+}
+
+export function sanitizeXhtml(html) {
+  const cleaned = String(html ?? "")
+    .replace(/<!--[\s\S]*?-->/g, "")
+    .replace(/<(script|style|iframe|object|embed|applet|form|head|title)\b[\s\S]*?(<\/\1\s*>|$)/gi, "")
+    .replace(/<(base|link|meta)\b[^>]*>/gi, "");
+  let out = "";
+  let last = 0;
+  const TAG = /<(\/?)([a-zA-Z][\w:-]*)([^<>]*?)(\/?)>/g;
+  let m;
+  while ((m = TAG.exec(cleaned))) {
+    out += escapeText(cleaned.slice(last, m.index));
+    last = m.index + m[0].length;
+    const [, closing, rawName, attrs] = m;
+    const name = rawName.toLowerCase();
+    if (!XHTML_TAGS.has(name)) continue;
+    if (XHTML_VOID.has(name)) out += closing ? "" : `<${name}${sanitizeAttributes(attrs)}/>`;
+    else out += closing ? `</${name}>` : `<${name}${sanitizeAttributes(attrs)}>`;
+  }
+  return out + escapeText(cleaned.slice(last));
+}
+
+/* Escape text between tags; XML's own and numeric entities already present are kept (no &nbsp; in XHTML) */
+function escapeText(text) {
+  return text
+    .replace(/&(?!(#\d+|#x[0-9a-fA-F]+|amp|lt|gt|quot|apos);)/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+}
+
+/* [[label, value]] → two-column XHTML table; rows without a value are skipped, values are escaped */
+export function narrativeTable(rows) {
+  const body = rows
+    .filter(([, v]) => v !== undefined && v !== null && String(v).trim() !== "")
+    .map(([label, v]) => `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(v)}</td></tr>`)
+    .join("");
+  return body ? `<table><tbody>${body}</tbody></table>` : "";
+}
+
+/* Narrative wrapper with lang & xml:lang; html is passed through sanitizeXhtml, the title is escaped */
+export function buildNarrative(title, html) {
+  return {
+    status: "generated",
+    div: `<div xmlns="http://www.w3.org/1999/xhtml" lang="en-IN" xml:lang="en-IN"><h3>${escapeHtml(title)}</h3>${sanitizeXhtml(html)}</div>`,
+  };
+}
+
+/* Small PDF placeholder */
+export const PLACEHOLDER_PDF_B64 = "JVBERi0xLjQKJeLjz9MK";
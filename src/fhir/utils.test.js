@@ -0,0 +1,27 @@
+import { textToXhtml, sanitizeXhtml, escapeHtml, displayDate } from "./utils";
+
+test("escapes markup characters", () => {
+  expect(escapeHtml(`<a href="x">Tom & 'Jerry'</a>`)).toBe("&lt;a href=&quot;x&quot;&gt;Tom &amp; &#39;Jerry&#39;&lt;/a&gt;");
+});
+
+test("textToXhtml keeps paragraphs and line breaks of textarea input", () => {
+  expect(textToXhtml("Fever < 3 days\r\nCough & cold\n\n  Vomiting  ")).toBe("<p>Fever &lt; 3 days<br/>Cough &amp; cold</p><p>Vomiting</p>");
+  expect(textToXhtml("   ")).toBe("");
+  expect(textToXhtml(undefined)).toBe("");
+});
+
+test("sanitizeXhtml whitelists the FHIR narrative subset", () => {
+  expect(sanitizeXhtml(`<p onclick="x()">BP <b>high</b><script>alert(1)</script></p>`)).toBe("<p>BP <b>high</b></p>");
+  expect(sanitizeXhtml(`<iframe src="x"></iframe><form><input name="a"></form>ok`)).toBe("ok");
+  expect(sanitizeXhtml(`<a href="javascript:alert(1)" title="t">link</a>`)).toBe(`<a title="t">link</a>`);
+  expect(sanitizeXhtml(`<table border=1><tr><td colspan='2'>A &amp; B & C</td></tr></table><br>`))
+    .toBe(`<table border="1"><tr><td colspan="2">A &amp; B &amp; C</td></tr></table><br/>`);
+  expect(sanitizeXhtml("a &nbsp; b <!-- hidden --> 1 < 2")).toBe("a &amp;nbsp; b  1 &lt; 2");
+});
+
+test("displayDate prints FHIR dates as DD-MM-YYYY", () => {
+  expect(displayDate("2025-09-12T10:05:00+05:30")).toBe("12-09-2025 10:05");
+  expect(displayDate("1991-12-30")).toBe("30-12-1991");
+  expect(displayDate("2025")).toBe("2025");
+  expect(displayDate(undefined)).toBe("");
+});
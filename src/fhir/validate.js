@@ -0,0 +1,161 @@
+// src/fhir/validate.js
+import { RESOURCE_RULES, DISCHARGE_SUMMARY, DATE_ELEMENTS, DATE_FORMATS, CODE_PATTERNS } from "./profiles";
+import { checkReferences } from "./references";
+import { walkElements } from "./utils";
+
+/*
+  Offline validation of a Discharge Summary document Bundle (no terminology server, no network).
+  Checks, against the rules bundled in profiles.js:
+    - FHIR R4 cardinalities and required code bindings per resource
+    - NRCES DischargeSummaryRecord: Composition first, document type, section codes / entry types
+    - every urn:uuid reference resolves to exactly one Bundle entry (see references.js)
+    - coding systems are absolute URIs and codes look like their terminology
+    - date / dateTime / instant formats and XHTML narratives
+    - inpatient Encounter: admission time present and not after the discharge time
+  Returns { errors, warnings } — arrays of { path, message }; submit only when errors is empty.
+*/
+export function validateBundle(bundle) {
+  const errors = [];
+  const warnings = [];
+  const error = (path, message) => errors.push({ path, message });
+  const warn = (path, message) => warnings.push({ path, message });
+
+  if (bundle?.resourceType !== "Bundle") {
+    error("Bundle", "resourceType must be Bundle");
+    return { errors, warnings };
+  }
+  checkResource(bundle, "Bundle", error, warn);
+
+  const entries = Array.isArray(bundle.entry) ? bundle.entry : [];
+  const typeByUrl = {};
+  entries.forEach((e, i) => {
+    const path = `Bundle.entry[${i}]`;
+    if (!e?.fullUrl) error(`${path}.fullUrl`, "fullUrl is required in a document Bundle");
+    else typeByUrl[e.fullUrl] = typeByUrl[e.fullUrl] || e.resource?.resourceType;
+    if (e?.fullUrl?.startsWith("urn:uuid:") && e.resource?.id && e.fullUrl !== `urn:uuid:${e.resource.id}`) {
+      error(`${path}.fullUrl`, `fullUrl does not match resource id ${e.resource.id}`);
+    }
+  });
+
+  const refs = checkReferences(bundle);
+  refs.duplicates.forEach(d => error(`Bundle.entry[${d.indexes[1]}].fullUrl`, `duplicate fullUrl ${d.fullUrl}`));
+  refs.malformed.forEach(r => error(r.path, `${r.reference} is not a valid urn:uuid`));
+  refs.unresolved.forEach(r => error(r.path, `${r.reference} does not resolve to any Bundle entry`));
+  refs.external.forEach(r => warn(r.path, `${r.reference} is not a Bundle-local urn:uuid reference`));
+  refs.orphans.forEach(o => warn(o.path, `${o.resourceType || "entry"} is not referenced from the Composition`));
+
+  const { entry, ...envelope } = bundle;
+  walkElements(envelope, "Bundle", (node, key, nodePath) => checkElement(node, key, nodePath, error, warn));
+  entries.forEach((e, i) => {
+    const res = e?.resource;
+    const path = `Bundle.entry[${i}].resource`;
+    if (!res?.resourceType) {
+      error(path, "entry has no resource");
+      return;
+    }
+    const label = `${path}(${res.resourceType})`;
+    if (!RESOURCE_RULES[res.resourceType]) warn(label, `${res.resourceType} is not part of the discharge summary profile`);
+    else checkResource(res, label, error, warn);
+    if (res.resourceType === "Encounter") checkEncounterPeriod(res, label, error);
+    walkElements(res, label, (node, key, nodePath) => checkElement(node, key, nodePath, error, warn));
+  });
+
+  const composition = entries[0]?.resource;
+  if (composition?.resourceType !== "Composition") error("Bundle.entry[0]", "the first entry of a document Bundle must be the Composition");
+  else checkComposition(composition, "Bundle.entry[0].resource(Composition)", typeByUrl, error, warn);
+
+  return { errors, warnings };
+}
+
+/* Cardinalities, required bindings and the declared profile */
+function checkResource(res, path, error, warn) {
+  const rules = RESOURCE_RULES[res.resourceType];
+  (rules.one || []).forEach(k => {
+    if (isEmpty(res[k])) error(`${path}.${k}`, `${k} is required (1..1)`);
+    else if (Array.isArray(res[k])) error(`${path}.${k}`, `${k} must be a single value, not a list`);
+  });
+  (rules.many || []).forEach(k => {
+    if (!Array.isArray(res[k]) || !res[k].length) error(`${path}.${k}`, `${k} is required (1..*)`);
+  });
+  Object.entries(rules.codes || {}).forEach(([k, allowed]) => {
+    if (res[k] !== undefined && !allowed.includes(res[k])) error(`${path}.${k}`, `"${res[k]}" is not one of ${allowed.join(", ")}`);
+  });
+  const profiles = [].concat(rules.profile || []);
+  if (profiles.length && !(res.meta?.profile || []).some(p => profiles.includes(p))) {
+    warn(`${path}.meta.profile`, `should declare ${profiles.join(" or ")}`);
+  }
+}
+
+/* An inpatient stay needs its admission time, and discharge cannot precede admission */
+function checkEncounterPeriod(enc, path, error) {
+  const { start, end } = enc.period || {};
+  if (enc.class?.code === "IMP" && !start) error(`${path}.period.start`, "admission date/time is required for an inpatient encounter");
+  if (start && end && Date.parse(end) < Date.parse(start)) error(`${path}.period.end`, "discharge date/time is before the admission date/time");
+}
+
+function checkComposition(comp, path, typeByUrl, error, warn) {
+  const { type, sections } = DISCHARGE_SUMMARY;
+  if (!(comp.type?.coding || []).some(c => c.system === type.system && c.code === type.code)) {
+    error(`${path}.type`, `type must be SNOMED CT ${type.code} (${type.display})`);
+  }
+  const seen = new Set();
+  (comp.section || []).forEach((sec, i) => {
+    const secPath = `${path}.section[${i}]`;
+    const code = sec.code?.coding?.[0]?.code;
+    if (!code) {
+      error(`${secPath}.code`, "section code is required");
+      return;
+    }
+    seen.add(code);
+    if (!sec.text && !(sec.entry || []).length && !(sec.section || []).length) {
+      error(secPath, "a section must contain text, entries or sub-sections (cmp-1)");
+    }
+    const slice = sections[code];
+    if (!slice) {
+      warn(`${secPath}.code`, `section code ${code} is not defined by the discharge summary profile`);
+      return;
+    }
+    (sec.entry || []).forEach((ref, j) => {
+      const target = typeByUrl[ref.reference];
+      if (target && !slice.entries.includes(target)) {
+        error(`${secPath}.entry[${j}]`, `${target} is not allowed in the "${sec.title || code}" section`);
+      }
+    });
+  });
+  Object.entries(sections).forEach(([code, slice]) => {
+    if (slice.required && !seen.has(code)) error(`${path}.section`, `required section ${code} is missing`);
+  });
+}
+
+/* Per-element checks while walking a resource */
+function checkElement(node, key, path, error, warn) {
+  const value = node[key];
+  if (key === "coding" && Array.isArray(value)) {
+    value.forEach((c, i) => checkCoding(c, `${path}[${i}]`, error, warn));
+  }
+  if (DATE_ELEMENTS[key] && typeof value === "string" && !DATE_FORMATS[DATE_ELEMENTS[key]].test(value)) {
+    error(path, `"${value}" is not a valid FHIR ${DATE_ELEMENTS[key]}`);
+  }
+  if (key === "div" && typeof value === "string" && !value.startsWith('<div xmlns="http://www.w3.org/1999/xhtml"')) {
+    error(path, "narrative div must be an XHTML <div> in the http://www.w3.org/1999/xhtml namespace");
+  }
+}
+
+function checkCoding(c, path, error, warn) {
+  if (!c?.code) {
+    error(`${path}.code`, "coding has no code");
+    return;
+  }
+  if (c.code !== c.code.trim()) error(`${path}.code`, `"${c.code}" has leading or trailing whitespace`);
+  if (!c.system) {
+    warn(`${path}.system`, `code ${c.code} has no code system`);
+    return;
+  }
+  if (!/^(https?:\/\/|urn:)/.test(c.system)) error(`${path}.system`, `"${c.system}" is not an absolute URI`);
+  const known = CODE_PATTERNS[c.system];
+  if (known && !known.pattern.test(c.code)) warn(`${path}.code`, `"${c.code}" does not look like a ${known.label}`);
+}
+
+function isEmpty(v) {
+  return v === undefined || v === null || v === "" || (Array.isArray(v) && !v.length);
+}
@@ -0,0 +1,88 @@
+import { buildDischargeSummaryBundle } from "./bundle";
+import { validateBundle } from "./validate";
+
+function bundle(overrides = {}) {
+  return buildDischargeSummaryBundle({
+    patient: { user_id: 46, name: "Rohit Kumar", gender: "Male", dob: "30-12-1991", mobile: "7273000898", abha_ref: "91-7104-3321-8355" },
+    abhaAddress: "rohit@sbx",
+    practitioner: { id: "cf362b2c-8bbe-46b1-b3c5-9a46a0b363e9", name: "Dr. A. Verma", license: "21-1521-3828-3227" },
+    custodian: { name: "Demo Hospital", hfrId: "IN0410000183" },
+    sections: { chiefComplaints: "Fever for 3 days", carePlan: "Review after 1 week" },
+    diagnoses: [{ codeSystem: "icd10", code: "A01.0", display: "Typhoid fever", role: "discharge" }],
+    medications: [{ display: "Paracetamol", strength: "500 mg", doseValue: "1", doseUnit: "tablet", frequency: "BD" }],
+    encounter: { classCode: "IMP", admittedAt: "2025-09-05T09:30", dischargedAt: "2025-09-12T10:00" },
+    authoredOn: "2025-09-12T10:00:00+05:30",
+    ...overrides,
+  });
+}
+
+function entryOf(b, type) {
+  return b.entry.findIndex(e => e.resource.resourceType === type);
+}
+
+test("a generated discharge summary has no errors", () => {
+  const { errors } = validateBundle(bundle());
+  expect(errors).toEqual([]);
+});
+
+test("requires the admission time of an inpatient stay and rejects a discharge before admission", () => {
+  const missing = bundle({ encounter: { classCode: "IMP", dischargedAt: "2025-09-12T10:00" } });
+  const i = entryOf(missing, "Encounter");
+  expect(missing.entry[i].resource.period.start).toBeUndefined();
+  expect(validateBundle(missing).errors).toContainEqual({
+    path: `Bundle.entry[${i}].resource(Encounter).period.start`,
+    message: "admission date/time is required for an inpatient encounter",
+  });
+  expect(validateBundle(bundle({ encounter: { classCode: "AMB", dischargedAt: "2025-09-12T10:00" } })).errors).toEqual([]);
+
+  const reversed = bundle({ encounter: { classCode: "IMP", admittedAt: "2025-09-12T10:00", dischargedAt: "2025-09-05T09:30" } });
+  expect(validateBundle(reversed).errors).toEqual([{
+    path: `Bundle.entry[${i}].resource(Encounter).period.end`,
+    message: "discharge date/time is before the admission date/time",
+  }]);
+});
+
+test("reports unresolved urn:uuid references with the field path", () => {
+  const b = bundle();
+  const i = entryOf(b, "Condition");
+  b.entry[i].resource.subject.reference = "urn:uuid:00000000-0000-4000-8000-000000000000";
+  const { errors } = validateBundle(b);
+  expect(errors).toContainEqual({
+    path: `Bundle.entry[${i}].resource(Condition).subject.reference`,
+    message: "urn:uuid:00000000-0000-4000-8000-000000000000 does not resolve to any Bundle entry",
+  });
+});
+
+test("checks cardinalities, required bindings and date formats", () => {
+  const b = bundle();
+  const med = b.entry[entryOf(b, "MedicationRequest")].resource;
+  delete med.intent;
+  med.status = "done";
+  med.authoredOn = "12-09-2025";
+  const messages = validateBundle(b).errors.map(e => e.message);
+  expect(messages).toEqual(expect.arrayContaining([
+    "intent is required (1..1)",
+    `"done" is not one of active, on-hold, cancelled, completed, entered-in-error, stopped, draft, unknown`,
+    `"12-09-2025" is not a valid FHIR dateTime`,
+  ]));
+});
+
+test("enforces the discharge summary profile on the Composition", () => {
+  const b = bundle();
+  const comp = b.entry[0].resource;
+  comp.type = { coding: [{ system: "http://loinc.org", code: "18842-5" }], text: "Discharge summary" };
+  comp.section = comp.section.filter(s => s.title !== "Medications");
+  comp.section.find(s => s.title === "Allergies").entry = [{ reference: b.entry[entryOf(b, "Condition")].fullUrl }];
+  const messages = validateBundle(b).errors.map(e => e.message);
+  expect(messages).toEqual(expect.arrayContaining([
+    "type must be SNOMED CT 373942005 (Discharge summary)",
+    "required section 1003606003 is missing",
+    `Condition is not allowed in the "Allergies" section`,
+  ]));
+});
+
+test("warns about codes that do not match their code system", () => {
+  const { errors, warnings } = validateBundle(bundle({ diagnoses: [{ codeSystem: "icd10", code: "typhoid", display: "Typhoid fever" }] }));
+  expect(errors).toEqual([]);
+  expect(warnings.map(w => w.message)).toContain(`"typhoid" does not look like a ICD-10 code`);
+});
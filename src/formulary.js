@@ -0,0 +1,67 @@
+// src/formulary.js
+/*
+  Local drug catalogue (public/formulary.json)
+  - { system, drugs: [{ code, generic, brand, strength, form, dosage: { ...medication row defaults } }] }
+  - A bare array of drugs is accepted too (system then comes from config)
+*/
+
+export function normalizeFormulary(json) {
+  if (Array.isArray(json)) return { system: "", drugs: json };
+  return {
+    system: json?.system || "",
+    drugs: Array.isArray(json?.drugs) ? json.drugs : [],
+  };
+}
+
+/* Case-insensitive match on brand / generic / code; prefix matches rank first */
+export function searchFormulary(drugs, query, limit = 8) {
+  const q = String(query || "").trim().toLowerCase();
+  if (q.length < 2) return [];
+  const scored = [];
+  for (const d of drugs) {
+    const fields = [d.brand, d.generic, d.code].filter(Boolean).map(f => String(f).toLowerCase());
+    if (fields.some(f => f.startsWith(q))) scored.push({ d, score: 0 });
+    else if (fields.some(f => f.includes(q))) scored.push({ d, score: 1 });
+  }
+  scored.sort((a, b) => a.score - b.score || String(a.d.generic).localeCompare(String(b.d.generic)));
+  return scored.slice(0, limit).map(s => s.d);
+}
+
+export function drugLabel(d) {
+  return `${d.brand ? `${d.brand} — ` : ""}${d.generic}${d.strength ? ` ${d.strength}` : ""}${d.form ? ` (${d.form})` : ""}`;
+}
+
+/* Dosage fields a catalogue drug may leave out; cleared so nothing carries over from the drug it replaces */
+const CLEARED_DOSAGE = {
+  doseValue: "", doseUnit: "", route: "", frequency: "", duration: "", durationUnit: "d",
+  asNeeded: false, additionalInstruction: "", dispenseQuantity: "", dispenseUnit: "",
+};
+
+/*
+  Medications row fields to merge when a catalogue drug is picked (every dosage field is replaced).
+  formularyDisplay remembers the picked name so renameMedication can tell when the row stops being that drug.
+*/
+export function drugToMedication(d, system) {
+  const display = d.brand ? `${d.generic} (${d.brand})` : d.generic;
+  return {
+    ...CLEARED_DOSAGE,
+    codeSystem: "local",
+    system: system || undefined,
+    code: d.code || "",
+    display,
+    formularyDisplay: display,
+    strength: d.strength || "",
+    dosageText: "",
+    ...(d.dosage || {}),
+  };
+}
+
+/*
+  Row after its name is typed over. Once the name no longer matches the picked catalogue drug the drug's code
+  and system are dropped and the row is free text again (codeSystem: the blank row's), so the coding never
+  contradicts the name.
+*/
+export function renameMedication(row, display, codeSystem) {
+  if (!row.formularyDisplay || display === row.formularyDisplay) return { ...row, display };
+  return { ...row, display, codeSystem, code: "", system: undefined, formularyDisplay: undefined };
+}
@@ -0,0 +1,53 @@
+import { normalizeFormulary, searchFormulary, drugToMedication, renameMedication } from "./formulary";
+
+const ondansetron = {
+  code: "ONDA4", generic: "Ondansetron", brand: "Emeset", strength: "4 mg",
+  dosage: { doseValue: "1", doseUnit: "tablet", route: "oral", frequency: "TDS", duration: "3", durationUnit: "d", asNeeded: true },
+};
+const amlodipine = {
+  code: "AMLO5", generic: "Amlodipine", strength: "5 mg",
+  dosage: { doseValue: "1", doseUnit: "tablet", route: "oral", frequency: "OD", duration: "30", durationUnit: "d" },
+};
+const insulin = {
+  code: "INSR", generic: "Insulin regular", strength: "40 IU/mL",
+  dosage: { doseValue: "6", doseUnit: "unit", route: "sc", frequency: "TDS", additionalInstruction: "before-food" },
+};
+
+test("accepts a catalogue object or a bare drug array", () => {
+  expect(normalizeFormulary({ system: "https://example.org/formulary", drugs: [amlodipine] })).toEqual({ system: "https://example.org/formulary", drugs: [amlodipine] });
+  expect(normalizeFormulary([amlodipine])).toEqual({ system: "", drugs: [amlodipine] });
+});
+
+test("ranks prefix matches on brand / generic / code first", () => {
+  expect(searchFormulary([ondansetron, amlodipine, insulin], "a")).toEqual([]);
+  expect(searchFormulary([ondansetron, amlodipine, insulin], "emes")).toEqual([ondansetron]);
+  expect(searchFormulary([ondansetron, amlodipine, insulin], "in").map(d => d.code)).toEqual(["INSR", "AMLO5"]);
+});
+
+test("replacing a drug does not carry over dosage fields the new drug leaves out", () => {
+  const pick = (row, drug, system) => ({ ...row, ...drugToMedication(drug, system) });
+  const row = pick({ reconciliation: "continued", dispenseQuantity: "10", dispenseUnit: "tablet" }, ondansetron, "https://example.org/formulary");
+  expect(row).toMatchObject({ display: "Ondansetron (Emeset)", asNeeded: true, system: "https://example.org/formulary" });
+
+  const replaced = pick({ ...row, additionalInstruction: "after-food" }, amlodipine);
+  expect(replaced).toMatchObject({
+    code: "AMLO5", display: "Amlodipine", frequency: "OD", duration: "30", asNeeded: false,
+    additionalInstruction: "", dispenseQuantity: "", dispenseUnit: "", system: undefined, reconciliation: "continued",
+  });
+
+  expect(pick(replaced, insulin)).toMatchObject({ doseValue: "6", doseUnit: "unit", route: "sc", duration: "", additionalInstruction: "before-food", asNeeded: false });
+});
+
+test("typing over a picked drug's name drops its code and makes the row free text", () => {
+  const picked = { ...drugToMedication(amlodipine, "https://example.org/formulary"), reconciliation: "new" };
+  expect(picked).toMatchObject({ codeSystem: "local", code: "AMLO5", system: "https://example.org/formulary" });
+
+  expect(renameMedication(picked, "Amlodipine", "snomed")).toMatchObject({ code: "AMLO5", codeSystem: "local" });
+
+  const edited = renameMedication(picked, "Amlodipine besylate", "snomed");
+  expect(edited).toMatchObject({ display: "Amlodipine besylate", codeSystem: "snomed", code: "", system: undefined, formularyDisplay: undefined, frequency: "OD" });
+  expect(renameMedication(edited, "Amlodipine besylate 5", "snomed")).toMatchObject({ display: "Amlodipine besylate 5", codeSystem: "snomed", code: "" });
+
+  const typed = { codeSystem: "snomed", code: "386864001", display: "Amlodipine" };
+  expect(renameMedication(typed, "Amlodipine 5 mg", "snomed")).toEqual({ ...typed, display: "Amlodipine 5 mg" });
+});
@@ -0,0 +1,176 @@
+// src/outbox.js
+/*
+  Outbox for bundle submissions that could not be delivered (offline, network error, server error)
+  - Persisted in localStorage ("discharge-outbox") so a refresh or crash does not lose the bundle
+  - Items are keyed by Bundle.identifier; a retry re-posts the exact same bundle, and idempotencyHeaders adds
+    If-None-Exist on that identifier so the server never stores the document twice. The header needs CORS
+    permission on a cross-origin server, so the caller only sends it when the environment enables
+    conditionalCreate (src/config.js); otherwise the server de-duplicates on the identifier in the body
+  - Retryable failures (no response, 408, 429, 5xx) back off exponentially; other rejections are "failed"
+    and wait for a manual retry
+  - Once delivered an item keeps only what the Outbox panel shows: the payload (patient data, base64 attachments)
+    is dropped so it does not sit in localStorage or use up the quota later bundles need
+  item: { id, patientKey, patientName, payload: { bundle, patient }, status: "pending" | "failed" | "sent",
+          attempts, nextAttemptAt, lastError, createdAt, sentAt } (no payload once "sent")
+*/
+
+const STORAGE_KEY = "discharge-outbox";
+const BACKOFF_BASE_MS = 5000;
+const BACKOFF_MAX_MS = 10 * 60 * 1000;
+
+export const OUTBOX_POLL_MS = 5000;
+
+function storage() {
+  try {
+    return typeof window !== "undefined" ? window.localStorage : null;
+  } catch {
+    return null;
+  }
+}
+
+/* A delivered item without its payload */
+function withoutPayload(item) {
+  const { payload, ...rest } = item;
+  return rest;
+}
+
+export function loadOutbox() {
+  try {
+    const items = JSON.parse(storage()?.getItem(STORAGE_KEY) || "[]");
+    return Array.isArray(items) ? items.map(i => (i?.status === "sent" && i.payload ? withoutPayload(i) : i)) : [];
+  } catch (err) {
+    console.warn("Ignoring unreadable outbox", err);
+    return [];
+  }
+}
+
+/* false when the outbox could not be written (e.g. storage quota exceeded by large attachments) */
+export function saveOutbox(items) {
+  try {
+    storage()?.setItem(STORAGE_KEY, JSON.stringify(items));
+    return true;
+  } catch (err) {
+    console.warn("Could not save the outbox", err);
+    return false;
+  }
+}
+
+/* 5 s, 10 s, 20 s, ... capped at 10 minutes */
+export function backoffDelay(attempts) {
+  return Math.min(BACKOFF_BASE_MS * 2 ** Math.max(attempts - 1, 0), BACKOFF_MAX_MS);
+}
+
+export function isRetryable(error) {
+  const status = error?.response?.status;
+  return !status || status === 408 || status === 429 || status >= 500;
+}
+
+/*
+  409 that confirms the server already holds this bundle (an earlier attempt got through): the body is the stored
+  resource with the same identifier, or an OperationOutcome "duplicate" issue naming the identifier.
+  Any other 409 is an ordinary rejection and the item stays in the Outbox. A conditional create that finds the
+  match answers 200 and needs no special case.
+*/
+export function isDuplicate(error, bundle) {
+  const value = bundle?.identifier?.value;
+  const data = error?.response?.data;
+  if (error?.response?.status !== 409 || !value || !data || typeof data !== "object") return false;
+  if (data.identifier?.value === value) return true;
+  return data.resourceType === "OperationOutcome" && (data.issue || []).some(i =>
+    i?.code === "duplicate" && [i.diagnostics, i.details?.text].some(t => String(t || "").includes(value)));
+}
+
+export function errorMessage(error) {
+  const status = error?.response?.status;
+  const data = error?.response?.data;
+  const detail = typeof data === "string" ? data : data?.message || data?.error || "";
+  return [status ? `HTTP ${status}` : "No response", detail || error?.message].filter(Boolean).join(": ");
+}
+
+/* Headers that make the create conditional on Bundle.identifier */
+export function idempotencyHeaders(bundle) {
+  const { system, value } = bundle?.identifier || {};
+  return value ? { "If-None-Exist": `identifier=${system ? `${system}|` : ""}${value}` } : {};
+}
+
+export function createOutboxItem(payload, { patientKey, patientName }, now = Date.now()) {
+  return {
+    id: payload.bundle.identifier.value,
+    patientKey,
+    patientName: patientName || "",
+    payload,
+    status: "pending",
+    attempts: 0,
+    nextAttemptAt: now,
+    lastError: "",
+    createdAt: new Date(now).toISOString(),
+    sentAt: null,
+  };
+}
+
+/* Item after one delivery attempt (error null = delivered; a delivered item loses its payload) */
+export function recordAttempt(item, error, now = Date.now()) {
+  const attempts = item.attempts + 1;
+  if (!error || isDuplicate(error, item.payload?.bundle)) {
+    return { ...withoutPayload(item), attempts, status: "sent", sentAt: new Date(now).toISOString(), nextAttemptAt: null, lastError: "" };
+  }
+  const retryable = isRetryable(error);
+  return {
+    ...item,
+    attempts,
+    status: retryable ? "pending" : "failed",
+    nextAttemptAt: retryable ? now + backoffDelay(attempts) : null,
+    lastError: errorMessage(error),
+  };
+}
+
+/* Replace (or append) an item by id and persist; returns the new list */
+export function upsertOutboxItem(items, item) {
+  const next = items.some(i => i.id === item.id) ? items.map(i => (i.id === item.id ? item : i)) : [...items, item];
+  return saveOutbox(next) ? next : items;
+}
+
+export function removeOutboxItem(items, id) {
+  const next = items.filter(i => i.id !== id);
+  saveOutbox(next);
+  return next;
+}
+
+/* Queue items for an immediate attempt (manual retry, or every pending item when the browser comes back online) */
+export function retryNow(items, match = i => i.status === "pending", now = Date.now()) {
+  const next = items.map(i => (i.status !== "sent" && match(i) ? { ...i, status: "pending", nextAttemptAt: now } : i));
+  saveOutbox(next);
+  return next;
+}
+
+/*
+  Deliver every pending item that is due, one at a time. post(payload, headers) must reject like axios.
+  onChange(items, { item, payload, response, error }) is called after each attempt (payload: what was posted, since
+  a delivered item no longer carries it). Returns the final list.
+*/
+let flushing = false;
+export async function flushOutbox(post, onChange, now = () => Date.now()) {
+  if (flushing) return loadOutbox();
+  flushing = true;
+  try {
+    let items = loadOutbox();
+    const due = items.filter(i => i.status === "pending" && (i.nextAttemptAt || 0) <= now());
+    for (const item of due) {
+      let response = null;
+      let error = null;
+      try {
+        response = await post(item.payload, idempotencyHeaders(item.payload.bundle));
+      } catch (err) {
+        error = err;
+      }
+      const current = loadOutbox();
+      if (!current.some(i => i.id === item.id)) continue; // removed while in flight
+      const attempted = recordAttempt(item, error, now());
+      items = upsertOutboxItem(current, attempted);
+      onChange?.(items, { item: attempted, payload: item.payload, response, error });
+    }
+    return items;
+  } finally {
+    flushing = false;
+  }
+}
@@ -0,0 +1,79 @@
+import {
+  backoffDelay, createOutboxItem, recordAttempt, isDuplicate, idempotencyHeaders, flushOutbox, loadOutbox, saveOutbox, retryNow,
+} from "./outbox";
+
+const bundle = { resourceType: "Bundle", identifier: { system: "urn:ietf:rfc:3986", value: "urn:uuid:0b6f9c52-5d2a-4c1e-9a37-2f1d3c4b5a69" } };
+const payload = { bundle, patient: 46 };
+const httpError = status => Object.assign(new Error(`HTTP ${status}`), { response: { status, data: { message: "nope" } } });
+
+beforeEach(() => window.localStorage.clear());
+
+test("backs off exponentially up to ten minutes", () => {
+  expect([1, 2, 3, 4].map(backoffDelay)).toEqual([5000, 10000, 20000, 40000]);
+  expect(backoffDelay(20)).toBe(600000);
+});
+
+test("makes the create conditional on Bundle.identifier", () => {
+  expect(idempotencyHeaders(bundle)).toEqual({ "If-None-Exist": "identifier=urn:ietf:rfc:3986|urn:uuid:0b6f9c52-5d2a-4c1e-9a37-2f1d3c4b5a69" });
+});
+
+test("classifies attempts: retry network and 5xx errors, fail other rejections", () => {
+  const item = createOutboxItem(payload, { patientKey: "46", patientName: "Rohit Kumar" }, 1000);
+  expect(item.id).toBe(bundle.identifier.value);
+
+  const offline = recordAttempt(item, new Error("Network Error"), 2000);
+  expect(offline).toMatchObject({ status: "pending", attempts: 1, nextAttemptAt: 7000, lastError: "No response: Network Error" });
+  expect(recordAttempt(offline, httpError(503), 8000)).toMatchObject({ status: "pending", attempts: 2, nextAttemptAt: 18000 });
+  expect(recordAttempt(item, httpError(400), 2000)).toMatchObject({ status: "failed", nextAttemptAt: null, lastError: "HTTP 400: nope" });
+  expect(recordAttempt(item, httpError(409), 2000)).toMatchObject({ status: "failed", lastError: "HTTP 409: nope" });
+});
+
+test("a 409 counts as delivered only when it confirms this bundle is already stored", () => {
+  const item = createOutboxItem(payload, { patientKey: "46" }, 1000);
+  const conflict = data => Object.assign(new Error("HTTP 409"), { response: { status: 409, data } });
+  const duplicate = { resourceType: "OperationOutcome", issue: [{ severity: "error", code: "duplicate", diagnostics: `Bundle ${bundle.identifier.value} exists` }] };
+
+  expect(isDuplicate(conflict(duplicate), bundle)).toBe(true);
+  expect(isDuplicate(conflict({ resourceType: "Bundle", id: "42", identifier: bundle.identifier }), bundle)).toBe(true);
+  expect(recordAttempt(item, conflict(duplicate), 2000)).toMatchObject({ status: "sent", lastError: "" });
+
+  const other = { resourceType: "OperationOutcome", issue: [{ severity: "error", code: "duplicate", diagnostics: "Bundle urn:uuid:other exists" }] };
+  expect(isDuplicate(conflict(other), bundle)).toBe(false);
+  expect(isDuplicate(conflict({ resourceType: "OperationOutcome", issue: [{ severity: "error", code: "conflict" }] }), bundle)).toBe(false);
+  expect(recordAttempt(item, conflict("Version conflict"), 2000)).toMatchObject({ status: "failed", nextAttemptAt: null });
+});
+
+test("flushes due items with the same bundle and records the outcome", async () => {
+  const due = recordAttempt(createOutboxItem(payload, { patientKey: "46" }, 0), new Error("Network Error"), 0);
+  const later = { ...due, id: "urn:uuid:later", nextAttemptAt: 60000 };
+  saveOutbox([due, later]);
+  const post = jest.fn().mockResolvedValue({ data: {} });
+
+  const items = await flushOutbox(post, null, () => 10000);
+  expect(post).toHaveBeenCalledTimes(1);
+  expect(post).toHaveBeenCalledWith(payload, idempotencyHeaders(bundle));
+  expect(items.map(i => i.status)).toEqual(["sent", "pending"]);
+  expect(loadOutbox()[0].attempts).toBe(2);
+
+  retryNow(loadOutbox(), undefined, 10000);
+  await flushOutbox(post, null, () => 10000);
+  expect(post).toHaveBeenCalledTimes(2);
+  expect(loadOutbox().map(i => i.status)).toEqual(["sent", "sent"]);
+});
+
+test("a delivered item keeps no bundle in storage", async () => {
+  const item = createOutboxItem(payload, { patientKey: "46", patientName: "Rohit Kumar" }, 0);
+  const sent = recordAttempt(item, null, 5000);
+  expect(sent).not.toHaveProperty("payload");
+  expect(sent).toMatchObject({ id: item.id, patientKey: "46", patientName: "Rohit Kumar", status: "sent", sentAt: new Date(5000).toISOString() });
+
+  saveOutbox([item]);
+  const onChange = jest.fn();
+  await flushOutbox(jest.fn().mockResolvedValue({ data: {} }), onChange, () => 0);
+  expect(window.localStorage.getItem("discharge-outbox")).not.toContain("Bundle");
+  expect(onChange.mock.calls[0][1]).toMatchObject({ item: { status: "sent" }, payload });
+
+  // items stored as "sent" by an earlier version lose their payload on load
+  window.localStorage.setItem("discharge-outbox", JSON.stringify([{ ...item, status: "sent" }]));
+  expect(loadOutbox()[0]).not.toHaveProperty("payload");
+});
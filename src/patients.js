@@ -0,0 +1,131 @@
+// src/patients.js
+/*
+  Patient search for the Patient card
+  - Server first: GET <patientsUrl>?search=<text>&page=<n>&per_page=<size>
+    Accepts a Laravel-style paginator { data, current_page, last_page, total }, { items | results, total },
+    or a bare array (a page when it fits per_page, otherwise the whole list, filtered and paged here)
+  - Fallback: public/patients.json loaded once and filtered / paged in the browser
+  - Matches name, mobile, ABHA number (digits only, dashes ignored) and ABHA addresses
+  result: { items, page, pageCount, total, hasMore, source: "server" | "local" } (pageCount / total null when unknown)
+*/
+
+export const PATIENT_PAGE_SIZE = 10;
+export const PATIENT_SEARCH_DEBOUNCE_MS = 300;
+
+/* Normalize ABHA addresses: handles strings or objects with 'address' & 'isPrimary' */
+export function normalizeAbhaAddresses(patientObj) {
+  const raw =
+    patientObj?.additional_attributes?.abha_addresses && Array.isArray(patientObj.additional_attributes.abha_addresses)
+      ? patientObj.additional_attributes.abha_addresses
+      : Array.isArray(patientObj?.abha_addresses)
+        ? patientObj.abha_addresses
+        : [];
+
+  const out = raw
+    .map((item) => {
+      if (!item) return null;
+      if (typeof item === "string") return { value: item, label: item, primary: false };
+      if (typeof item === "object") {
+        if (item.address) return { value: String(item.address), label: item.isPrimary ? `${item.address} (primary)` : String(item.address), primary: !!item.isPrimary };
+        try {
+          const v = JSON.stringify(item);
+          return { value: v, label: v, primary: !!item.isPrimary };
+        } catch {
+          return null;
+        }
+      }
+      return null;
+    })
+    .filter(Boolean);
+
+  out.sort((a, b) => (b.primary - a.primary) || a.value.localeCompare(b.value));
+  return out;
+}
+
+const digitsOf = value => String(value ?? "").replace(/\D/g, "");
+
+export function matchesPatient(patient, query) {
+  const q = String(query || "").trim().toLowerCase();
+  if (!q) return true;
+  if (String(patient?.name || "").toLowerCase().includes(q)) return true;
+  if (normalizeAbhaAddresses(patient).some(a => a.value.toLowerCase().includes(q))) return true;
+  const digits = /^[\d\s+-]+$/.test(q) ? digitsOf(q) : "";
+  return digits.length >= 3 && [patient?.mobile, patient?.abha_ref].some(v => digitsOf(v).includes(digits));
+}
+
+export function filterPatients(patients, query, page = 1, pageSize = PATIENT_PAGE_SIZE) {
+  const matches = patients.filter(p => matchesPatient(p, query));
+  const pageCount = Math.max(1, Math.ceil(matches.length / pageSize));
+  const current = Math.min(Math.max(1, page), pageCount);
+  return {
+    items: matches.slice((current - 1) * pageSize, current * pageSize),
+    page: current,
+    pageCount,
+    total: matches.length,
+    hasMore: current < pageCount,
+  };
+}
+
+/* Server response → result (see header) */
+export function normalizePatientPage(json, query, page, pageSize = PATIENT_PAGE_SIZE) {
+  if (Array.isArray(json)) {
+    if (json.length > pageSize) return filterPatients(json, query, page, pageSize);
+    return { items: json, page, pageCount: null, total: null, hasMore: json.length === pageSize };
+  }
+  const items = json?.data || json?.items || json?.results;
+  if (!Array.isArray(items)) throw new Error("Unexpected patient search response");
+  const current = Number(json.current_page || json.page || page);
+  const total = json.total ?? json.meta?.total ?? null;
+  const pageCount = json.last_page ?? (total !== null ? Math.max(1, Math.ceil(total / pageSize)) : null);
+  return {
+    items,
+    page: current,
+    pageCount,
+    total,
+    hasMore: pageCount !== null ? current < pageCount : items.length === pageSize,
+  };
+}
+
+let localPatients = null;
+
+/* public/patients.json, fetched once per session */
+export function loadLocalPatients() {
+  if (!localPatients) {
+    localPatients = fetch("/patients.json")
+      .then(res => {
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        return res.json();
+      })
+      .then(json => (Array.isArray(json) ? json : []))
+      .catch(err => {
+        localPatients = null;
+        throw err;
+      });
+  }
+  return localPatients;
+}
+
+async function searchLocal(query, page, pageSize) {
+  return { ...filterPatients(await loadLocalPatients(), query, page, pageSize), source: "local" };
+}
+
+/*
+  fetchImpl: fetch-compatible (auth.fetch); local: skip the server (it failed earlier in the session).
+  Server failures fall back to the local list and are reported as serverError; an expired session is rethrown.
+*/
+export async function searchPatients({ url, fetch: fetchImpl, query = "", page = 1, pageSize = PATIENT_PAGE_SIZE, signal, local = false }) {
+  if (local) return searchLocal(query, page, pageSize);
+  try {
+    const target = new URL(url, window.location.href);
+    target.searchParams.set("search", query.trim());
+    target.searchParams.set("page", String(page));
+    target.searchParams.set("per_page", String(pageSize));
+    const res = await fetchImpl(target.toString(), { headers: { Accept: "application/json" }, signal });
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    return { ...normalizePatientPage(await res.json(), query, page, pageSize), source: "server" };
+  } catch (err) {
+    if (err.sessionExpired || err.name === "AbortError") throw err;
+    console.warn("⚠️ Patient search API failed, searching local patients.json", err);
+    return { ...(await searchLocal(query, page, pageSize)), serverError: err.message };
+  }
+}
@@ -0,0 +1,52 @@
+import { matchesPatient, filterPatients, normalizePatientPage, searchPatients, normalizeAbhaAddresses } from "./patients";
+
+const rohit = {
+  user_id: 46, name: "Rohit Kumar", mobile: "7273000898", abha_ref: "91-7104-3321-8355",
+  additional_attributes: { abha_addresses: ["rohitkumar30@sbx", { address: "rohit@abdm", isPrimary: true }] },
+};
+const varsha = { user_id: 51, name: "Varsha Singh", mobile: "8595141365", abha_ref: "91-1587-3084-6421" };
+const many = Array.from({ length: 23 }, (_, i) => ({ user_id: 100 + i, name: `Patient ${i}`, mobile: `90000000${String(i).padStart(2, "0")}` }));
+
+test("matches name, mobile, ABHA number and ABHA address", () => {
+  expect(matchesPatient(rohit, "kumar")).toBe(true);
+  expect(matchesPatient(rohit, "7273000")).toBe(true);
+  expect(matchesPatient(rohit, "9171043321")).toBe(true);
+  expect(matchesPatient(rohit, "91-7104-3321")).toBe(true);
+  expect(matchesPatient(rohit, "rohit@abdm")).toBe(true);
+  expect(matchesPatient(rohit, "varsha")).toBe(false);
+  expect(matchesPatient(varsha, "91")).toBe(false); // too few digits to match numbers
+  expect(normalizeAbhaAddresses(rohit).map(a => a.label)).toEqual(["rohit@abdm (primary)", "rohitkumar30@sbx"]);
+});
+
+test("pages the local list", () => {
+  expect(filterPatients(many, "", 3, 10)).toMatchObject({ page: 3, pageCount: 3, total: 23, hasMore: false });
+  expect(filterPatients(many, "", 3, 10).items).toHaveLength(3);
+  expect(filterPatients([rohit, varsha], "singh").items).toEqual([varsha]);
+  expect(filterPatients([], "x")).toMatchObject({ items: [], page: 1, pageCount: 1, total: 0 });
+});
+
+test("normalizes paginated and bare-array server responses", () => {
+  expect(normalizePatientPage({ data: [rohit], current_page: 2, last_page: 5, total: 41 }, "", 2, 10))
+    .toEqual({ items: [rohit], page: 2, pageCount: 5, total: 41, hasMore: true });
+  expect(normalizePatientPage([rohit, varsha], "", 1, 2)).toMatchObject({ items: [rohit, varsha], pageCount: null, hasMore: true });
+  // an API that ignores the paging parameters returns everything: filter and page it here
+  expect(normalizePatientPage(many, "Patient 2", 1, 10)).toMatchObject({ total: 4, pageCount: 1 });
+  expect(() => normalizePatientPage({ nope: true }, "", 1)).toThrow("Unexpected patient search response");
+});
+
+test("queries the server and falls back to patients.json when it fails", async () => {
+  const api = jest.fn(async () => ({ ok: true, json: async () => ({ data: [rohit], current_page: 1, last_page: 1, total: 1 }) }));
+  const result = await searchPatients({ url: "/api/v5/patients", fetch: api, query: " rohit ", page: 1, pageSize: 10 });
+  expect(result).toMatchObject({ source: "server", items: [rohit] });
+  expect(new URL(api.mock.calls[0][0]).search).toBe("?search=rohit&page=1&per_page=10");
+
+  const down = jest.fn(async () => ({ ok: false, status: 502 }));
+  const originalFetch = window.fetch;
+  window.fetch = jest.fn(async () => ({ ok: true, json: async () => [rohit, varsha] }));
+  jest.spyOn(console, "warn").mockImplementation(() => {});
+  const fallback = await searchPatients({ url: "/api/v5/patients", fetch: down, query: "varsha" });
+  expect(fallback).toMatchObject({ source: "local", serverError: "HTTP 502", items: [varsha] });
+  expect(window.fetch).toHaveBeenCalledWith("/patients.json");
+  console.warn.mockRestore();
+  window.fetch = originalFetch;
+});
@@ -0,0 +1,55 @@
+// src/submissions.js
+/*
+  Session log of bundle submissions (kept in App state only)
+  record: { key, at, via: "direct" | "outbox", bundleId, patientName, outcome, httpStatus, ids, message,
+            issues: [{ severity, code, details, diagnostics, expression, fields: [{ section, item, field }] }] }
+  outcome: "submitted" | "duplicate" | "queued" | "retrying" | "rejected"
+*/
+import { parseOperationOutcome, returnedIds, issueField } from "./fhir";
+import { isDuplicate, isRetryable, errorMessage } from "./outbox";
+
+let sequence = 0;
+
+/*
+  One submission attempt. item is the outbox item (payload + patient; payload is passed separately for an item the
+  Outbox already marked sent), response / error what axios returned;
+  queued marks a bundle stored for later without being sent (offline); stored is false when the Outbox
+  could not hold a bundle that was not delivered.
+*/
+export function submissionRecord({ item, payload = item.payload, response, error, queued = false, stored = true, via = "direct" }) {
+  const bundle = payload?.bundle;
+  const body = error ? error.response?.data : response?.data;
+  const issues = parseOperationOutcome(body).map(issue => ({
+    ...issue,
+    fields: issue.expression.map(expr => issueField(expr, bundle)),
+  }));
+
+  let outcome = "submitted";
+  let message = "Submitted successfully";
+  const lost = "the Outbox could not store it; download the JSON from the Bundle preview";
+  if (queued) {
+    outcome = "queued";
+    message = `Offline — ${stored ? "stored in the Outbox, it will be sent when the connection returns" : lost}`;
+  } else if (error && isDuplicate(error, bundle)) {
+    outcome = "duplicate";
+    message = "Already received by the server (same Bundle.identifier)";
+  } else if (error) {
+    outcome = isRetryable(error) ? "retrying" : "rejected";
+    const next = !stored ? lost : outcome === "retrying" ? "kept in the Outbox and retried automatically" : "kept in the Outbox for a manual retry";
+    message = `${errorMessage(error)} — ${next}`;
+  }
+
+  sequence += 1;
+  return {
+    key: sequence,
+    at: new Date().toISOString(),
+    via,
+    bundleId: item.id,
+    patientName: item.patientName,
+    outcome,
+    httpStatus: (error ? error.response?.status : response?.status) || null,
+    ids: error ? [] : returnedIds(response?.data, response?.headers),
+    message,
+    issues,
+  };
+}
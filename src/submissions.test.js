@@ -0,0 +1,34 @@
+import { submissionRecord } from "./submissions";
+import { createOutboxItem } from "./outbox";
+
+const bundle = {
+  resourceType: "Bundle",
+  identifier: { system: "urn:ietf:rfc:3986", value: "urn:uuid:0b6f9c52-5d2a-4c1e-9a37-2f1d3c4b5a69" },
+  entry: [{ fullUrl: "urn:uuid:1", resource: { resourceType: "Patient", id: "1", name: [{ text: "Rohit Kumar" }] } }],
+};
+const item = createOutboxItem({ bundle, patient: 46 }, { patientKey: "46", patientName: "Rohit Kumar" });
+
+test("records a successful submission with the returned ids", () => {
+  const record = submissionRecord({ item, response: { status: 201, data: { id: "doc-17" }, headers: {} } });
+  expect(record).toMatchObject({ outcome: "submitted", httpStatus: 201, ids: ["doc-17"], bundleId: bundle.identifier.value, issues: [] });
+});
+
+test("maps OperationOutcome issues of a rejected submission to form fields", () => {
+  const error = Object.assign(new Error("Request failed"), {
+    response: {
+      status: 422,
+      data: { resourceType: "OperationOutcome", issue: [{ severity: "error", code: "invalid", diagnostics: "Bad DOB", expression: ["Bundle.entry[0].resource.birthDate"] }] },
+    },
+  });
+  const record = submissionRecord({ item, error });
+  expect(record.outcome).toBe("rejected");
+  expect(record.message).toBe("HTTP 422: Request failed — kept in the Outbox for a manual retry");
+  expect(record.issues[0].fields).toEqual([{ section: "Patient", item: "Rohit Kumar", field: "Date of birth" }]);
+});
+
+test("records offline and unstored submissions", () => {
+  expect(submissionRecord({ item, queued: true }).outcome).toBe("queued");
+  const record = submissionRecord({ item, error: new Error("Network Error"), stored: false });
+  expect(record.outcome).toBe("retrying");
+  expect(record.message).toMatch(/could not store it/);
+});